@@ -13,11 +13,13 @@ namespace KanBeast.Server.Controllers;
 public class SettingsController : ControllerBase
 {
     private readonly ISettingsService _settingsService;
+    private readonly IWorkQueueService _workQueueService;
     private readonly IHubContext<KanbanHub, IKanbanHubClient> _hubContext;
 
-    public SettingsController(ISettingsService settingsService, IHubContext<KanbanHub, IKanbanHubClient> hubContext)
+    public SettingsController(ISettingsService settingsService, IWorkQueueService workQueueService, IHubContext<KanbanHub, IKanbanHubClient> hubContext)
     {
         _settingsService = settingsService;
+        _workQueueService = workQueueService;
         _hubContext = hubContext;
     }
 
@@ -33,6 +35,9 @@ public class SettingsController : ControllerBase
     {
         Settings updatedSettings = await _settingsService.UpdateSettingsAsync(settings);
         await _hubContext.Clients.All.SettingsUpdated(updatedSettings.File);
+
+        // Raising the max-active limit may let queued tickets start.
+        await _workQueueService.PromoteQueuedTicketsAsync();
         return Ok(updatedSettings);
     }
 
@@ -19,6 +19,7 @@ public class TicketsController : ControllerBase
     private readonly IWorkerOrchestrator _workerOrchestrator;
     private readonly IHubContext<KanbanHub, IKanbanHubClient> _hubContext;
     private readonly ConversationStore _conversationStore;
+    private readonly IWorkQueueService _workQueueService;
     private readonly ILogger<TicketsController> _logger;
 
     public TicketsController(
@@ -26,12 +27,14 @@ public class TicketsController : ControllerBase
         IWorkerOrchestrator workerOrchestrator,
         IHubContext<KanbanHub, IKanbanHubClient> hubContext,
         ConversationStore conversationStore,
+        IWorkQueueService workQueueService,
         ILogger<TicketsController> logger)
     {
         _ticketService = ticketService;
         _workerOrchestrator = workerOrchestrator;
         _hubContext = hubContext;
         _conversationStore = conversationStore;
+        _workQueueService = workQueueService;
         _logger = logger;
     }
 
@@ -126,6 +129,10 @@ public class TicketsController : ControllerBase
             return BadRequest("A planner LLM must be selected.");
         }
 
+        // Blockers are only set through PATCH /tickets/{id}/blockedby, which checks them for missing ids and cycles.
+        ticket.BlockedBy = new List<string>();
+        ticket.AutoStartWhenUnblocked = false;
+
         Ticket createdTicket = await _ticketService.CreateTicketAsync(ticket);
         _logger.LogInformation("POST /tickets - created #{Id}: {Title}", createdTicket.Id, createdTicket.Title);
 
@@ -154,6 +161,12 @@ public class TicketsController : ControllerBase
         }
 
         await _hubContext.Clients.All.TicketCreated(createdTicket);
+
+        if (createdTicket.IsQueued)
+        {
+            await _workQueueService.PromoteQueuedTicketsAsync();
+        }
+
         return Ok(createdTicket);
     }
 
@@ -199,22 +212,354 @@ public class TicketsController : ControllerBase
 
         _logger.LogInformation("DELETE /tickets/{Id} - deleted", id);
         await _hubContext.Clients.All.TicketDeleted(id);
+
+        // Deleting an Active ticket frees a slot for the queue.
+        await _workQueueService.PromoteQueuedTicketsAsync();
         return NoContent();
     }
 
     [HttpPatch("{id}/status")]
     public async Task<ActionResult<Ticket>> UpdateTicketStatus(string id, [FromBody] TicketStatusUpdate update)
     {
-        Ticket? ticket = await _ticketService.UpdateTicketStatusAsync(id, update.Status);
-        if (ticket == null)
+        Ticket? existing = await _ticketService.GetTicketAsync(id);
+        if (existing == null)
         {
             return NotFound();
         }
 
+        if (update.Status == TicketStatus.Active && existing.Status != TicketStatus.Active)
+        {
+            List<string> openBlockers = _ticketService.GetOpenBlockers(existing);
+            if (openBlockers.Count > 0)
+            {
+                string blockerList = $"#{string.Join(", #", openBlockers)}";
+                _logger.LogInformation("PATCH /tickets/{Id}/status - start refused, blocked by {Blockers}", id, blockerList);
+                return Conflict($"Ticket #{id} is blocked by {blockerList}. Those tickets must be Done before this one can start.");
+            }
+        }
+
+        Ticket? ticket;
+        if (update.Status == TicketStatus.Active && existing.Status != TicketStatus.Active)
+        {
+            // Starting work goes through the queue so the max-active limit holds for manual starts too.
+            ticket = await _workQueueService.TryStartTicketAsync(id);
+            if (ticket == null)
+            {
+                _logger.LogInformation("PATCH /tickets/{Id}/status - start refused, max active tickets reached", id);
+                return Conflict("The maximum number of active tickets is already running. Queue this ticket or raise the limit in Settings.");
+            }
+        }
+        else
+        {
+            ticket = await _ticketService.UpdateTicketStatusAsync(id, update.Status);
+            if (ticket == null)
+            {
+                return NotFound();
+            }
+        }
+
         _logger.LogInformation("PATCH /tickets/{Id}/status - changed to {Status}", id, update.Status);
 
         await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
         await _hubContext.Clients.All.TicketUpdated(ticket);
+
+        // A ticket leaving Active (Done, Failed or cancelled) frees a slot for the next queued one.
+        await _workQueueService.PromoteQueuedTicketsAsync();
+        return Ok(ticket);
+    }
+
+    // Sends a Failed ticket back to Active. Resume keeps the tasks, branch and planning conversation.
+    // Restart clears the tasks, finishes the old conversations and restarts the worker so it plans
+    // from scratch, optionally on a freshly created branch. When no Active slot is free the ticket
+    // is queued in Backlog instead.
+    [HttpPost("{id}/retry")]
+    public async Task<ActionResult<Ticket>> RetryTicket(string id, [FromBody] RetryRequest request)
+    {
+        Ticket? existing = await _ticketService.GetTicketAsync(id);
+        if (existing == null)
+        {
+            return NotFound();
+        }
+
+        if (existing.Status != TicketStatus.Failed)
+        {
+            return Conflict($"Ticket #{id} is {existing.Status}. Only Failed tickets can be retried.");
+        }
+
+        List<string> openBlockers = _ticketService.GetOpenBlockers(existing);
+        if (openBlockers.Count > 0)
+        {
+            return Conflict($"Ticket #{id} is blocked by #{string.Join(", #", openBlockers)}. Those tickets must be Done before this one can start.");
+        }
+
+        if (request.MaxCost.HasValue && request.MaxCost.Value >= 0)
+        {
+            await _ticketService.SetMaxCostAsync(id, request.MaxCost.Value);
+        }
+
+        bool plannerChanged = !string.IsNullOrWhiteSpace(request.PlannerLlmId) && request.PlannerLlmId != existing.PlannerLlmId;
+        if (plannerChanged)
+        {
+            await _ticketService.SetPlannerLlmAsync(id, request.PlannerLlmId);
+        }
+
+        if (request.Restart)
+        {
+            try
+            {
+                await _workerOrchestrator.StopWorkerAsync(id);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to stop worker for ticket #{Id}: {Message}", id, ex.Message);
+            }
+
+            await _ticketService.DeleteAllTasksAsync(id);
+
+            // Finished conversations stay viewable, but the new worker won't reconstitute them.
+            List<ConversationData> openConversations = _conversationStore.GetNonFinalized(id);
+            foreach (ConversationData conversation in openConversations)
+            {
+                await _conversationStore.FinishAsync(id, conversation.Id);
+            }
+
+            await _ticketService.SetDeleteBranchOnStartAsync(id, request.DeleteBranch);
+
+            string detail = request.DeleteBranch ? "tasks cleared, new planning conversation, branch deleted" : "tasks cleared, new planning conversation";
+            await _ticketService.AddActivityLogAsync(id, $"Retry: Restarting from scratch ({detail})");
+
+            try
+            {
+                string workerId = await _workerOrchestrator.StartWorkerAsync(id);
+                _logger.LogInformation("Worker container restarted: {WorkerId} for ticket #{Id}", workerId, id);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Could not restart worker container for ticket #{Id}: {Message}", id, ex.Message);
+            }
+
+            List<ConversationInfo> infos = _conversationStore.GetInfoList(id);
+            await _hubContext.Clients.Group($"ticket-{id}").ConversationsUpdated(id, infos);
+        }
+        else
+        {
+            // The live worker keeps its planning conversation, so switch its model directly.
+            ConversationData? planning = _conversationStore.GetActivePlanning(id);
+            if (plannerChanged && planning != null)
+            {
+                await _hubContext.Clients.Group($"worker-{id}").ConversationModelChanged(id, planning.Id, request.PlannerLlmId!);
+            }
+
+            await _ticketService.AddActivityLogAsync(id, "Retry: Resuming with existing tasks, branch and planning conversation");
+        }
+
+        Ticket? ticket = await _workQueueService.TryStartTicketAsync(id);
+        if (ticket == null)
+        {
+            await _ticketService.UpdateTicketStatusAsync(id, TicketStatus.Backlog);
+            await _ticketService.SetQueuedAsync(id, true);
+            await _ticketService.AddActivityLogAsync(id, "Retry: No free Active slot, queued to start when one opens");
+            ticket = await _ticketService.GetTicketAsync(id);
+            if (ticket == null)
+            {
+                return NotFound();
+            }
+        }
+
+        _logger.LogInformation("POST /tickets/{Id}/retry - {Mode}, now {Status}", id, request.Restart ? "restart" : "resume", ticket.Status);
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPatch("{id}/queue")]
+    public async Task<ActionResult<Ticket>> SetQueued(string id, [FromBody] QueueUpdate update)
+    {
+        Ticket? existing = await _ticketService.GetTicketAsync(id);
+        if (existing == null)
+        {
+            return NotFound();
+        }
+
+        string? conflict = WorkQueueRules.GetQueueConflict(existing);
+        if (conflict != null)
+        {
+            return Conflict(conflict);
+        }
+
+        Ticket? ticket = await _ticketService.SetQueuedAsync(id, update.IsQueued);
+        if (ticket == null)
+        {
+            // Deleted or moved out of Backlog since the check above.
+            return Conflict($"Ticket #{id} is no longer in the Backlog.");
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/queue - queued: {IsQueued}", id, update.IsQueued);
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+
+        await _workQueueService.PromoteQueuedTicketsAsync();
+
+        // The queue may have started it straight away.
+        Ticket? latest = await _ticketService.GetTicketAsync(id);
+        return Ok(latest);
+    }
+
+    [HttpPatch("{id}/labels")]
+    public async Task<ActionResult<Ticket>> SetLabels(string id, [FromBody] LabelsUpdate update)
+    {
+        Ticket? ticket = await _ticketService.SetLabelsAsync(id, update.Labels ?? new List<string>());
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/labels - set to [{Labels}]", id, string.Join(", ", ticket.Labels));
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPatch("{id}/review")]
+    public async Task<ActionResult<Ticket>> SetRequireHumanReview(string id, [FromBody] ReviewModeUpdate update)
+    {
+        Ticket? ticket = await _ticketService.SetRequireHumanReviewAsync(id, update.RequireHumanReview);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/review - require human review: {RequireHumanReview}", id, update.RequireHumanReview);
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPost("{id}/plan/approve")]
+    public async Task<ActionResult<Ticket>> ApprovePlan(string id)
+    {
+        Ticket? existing = await _ticketService.GetTicketAsync(id);
+        if (existing == null)
+        {
+            return NotFound();
+        }
+
+        if (!existing.RequirePlanApproval || existing.PlanApproved)
+        {
+            return Conflict($"Ticket #{id} has no plan waiting for approval.");
+        }
+
+        if (existing.Tasks.Count == 0)
+        {
+            return Conflict($"Ticket #{id} has no tasks yet. Wait for the planner to propose a plan.");
+        }
+
+        await _ticketService.SetPlanApprovedAsync(id, true);
+        Ticket? ticket = await _ticketService.AddActivityLogAsync(id, "Plan: Approved, development can start");
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("POST /tickets/{Id}/plan/approve - approved with {Count} task(s)", id, ticket.Tasks.Count);
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    // Sends the plan back to the planner with the reviewer's comments as a chat message.
+    [HttpPost("{id}/plan/revise")]
+    public async Task<ActionResult<Ticket>> RequestPlanRevision(string id, [FromBody] PlanRevisionRequest request)
+    {
+        Ticket? existing = await _ticketService.GetTicketAsync(id);
+        if (existing == null)
+        {
+            return NotFound();
+        }
+
+        if (string.IsNullOrWhiteSpace(request.Comments))
+        {
+            return BadRequest("Comments are required to send the plan back.");
+        }
+
+        if (!existing.RequirePlanApproval || existing.PlanApproved)
+        {
+            return Conflict($"Ticket #{id} has no plan waiting for approval.");
+        }
+
+        ConversationData? planning = _conversationStore.GetActivePlanning(id);
+        if (planning == null)
+        {
+            return Conflict($"Ticket #{id} has no planning conversation to send comments to.");
+        }
+
+        string comments = request.Comments.Trim();
+        string message = $"The plan was sent back for changes:\n\n{comments}\n\nRevise the tasks and subtasks (call delete_all_tasks and rebuild if needed), then stop for another review.";
+        await _hubContext.Clients.Group($"worker-{id}").WorkerChatMessage(id, planning.Id, message);
+
+        Ticket? ticket = await _ticketService.AddActivityLogAsync(id, $"Plan: Sent back to the planner - {comments}");
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("POST /tickets/{Id}/plan/revise - sent back to planner", id);
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPatch("{id}/blockedby")]
+    public async Task<ActionResult<Ticket>> SetBlockedBy(string id, [FromBody] BlockedByUpdate update)
+    {
+        Ticket? existing = await _ticketService.GetTicketAsync(id);
+        if (existing == null)
+        {
+            return NotFound();
+        }
+
+        List<string> blockedBy = update.BlockedBy ?? new List<string>();
+        string? error = _ticketService.ValidateBlockedBy(id, blockedBy);
+        if (error != null)
+        {
+            return BadRequest(error);
+        }
+
+        Ticket? ticket = await _ticketService.SetBlockedByAsync(id, blockedBy, update.AutoStartWhenUnblocked);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/blockedby - blocked by [{Blockers}], auto-start: {AutoStart}", id, string.Join(", ", ticket.BlockedBy), ticket.AutoStartWhenUnblocked);
+        await _hubContext.Clients.Group($"ticket-{id}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+
+        // Removing the last open blocker of an auto-start ticket can start it right away.
+        await _workQueueService.PromoteQueuedTicketsAsync();
+
+        Ticket? latest = await _ticketService.GetTicketAsync(id);
+        return Ok(latest);
+    }
+
+    [HttpPatch("{id}/rank")]
+    public async Task<ActionResult<Ticket>> UpdateTicketRank(string id, [FromBody] RankUpdate update)
+    {
+        List<Ticket>? changed = await _ticketService.MoveTicketBeforeAsync(id, update.BeforeTicketId);
+        if (changed == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/rank - moved before {BeforeId}, {Count} tickets renumbered", id, update.BeforeTicketId ?? "end", changed.Count);
+
+        foreach (Ticket changedTicket in changed)
+        {
+            await _hubContext.Clients.Group($"ticket-{changedTicket.Id}").TicketUpdated(changedTicket);
+            await _hubContext.Clients.All.TicketUpdated(changedTicket);
+        }
+
+        Ticket? ticket = await _ticketService.GetTicketAsync(id);
         return Ok(ticket);
     }
 
@@ -281,8 +626,13 @@ public class TicketsController : ControllerBase
     [HttpPatch("{ticketId}/tasks/{taskId}/subtasks/{subtaskId}")]
     public async Task<ActionResult<Ticket>> UpdateSubtaskStatus(string ticketId, string taskId, string subtaskId, [FromBody] SubtaskStatusUpdate update)
     {
+        if (update.Status == SubtaskStatus.Rejected && string.IsNullOrWhiteSpace(update.Feedback))
+        {
+            return BadRequest("A reason is required to reject work.");
+        }
+
         ActionResult<Ticket> result;
-        Ticket? ticket = await _ticketService.UpdateSubtaskStatusAsync(ticketId, taskId, subtaskId, update.Status);
+        Ticket? ticket = await _ticketService.UpdateSubtaskStatusAsync(ticketId, taskId, subtaskId, update.Status, update.Feedback);
 
         if (ticket == null)
         {
@@ -301,8 +651,13 @@ public class TicketsController : ControllerBase
     [HttpPatch("{ticketId}/tasks/{taskId}/status")]
     public async Task<ActionResult<Ticket>> UpdateTaskStatus(string ticketId, string taskId, [FromBody] SubtaskStatusUpdate update)
     {
+        if (update.Status == SubtaskStatus.Rejected && string.IsNullOrWhiteSpace(update.Feedback))
+        {
+            return BadRequest("A reason is required to reject work.");
+        }
+
         ActionResult<Ticket> result;
-        Ticket? ticket = await _ticketService.UpdateTaskStatusAsync(ticketId, taskId, update.Status);
+        Ticket? ticket = await _ticketService.UpdateTaskStatusAsync(ticketId, taskId, update.Status, update.Feedback);
 
         if (ticket == null)
         {
@@ -318,6 +673,108 @@ public class TicketsController : ControllerBase
         return result;
     }
 
+    [HttpPatch("{ticketId}/tasks/{taskId}/details")]
+    public async Task<ActionResult<Ticket>> UpdateTaskDetails(string ticketId, string taskId, [FromBody] TaskDetailsUpdate update)
+    {
+        string? error = _ticketService.ValidateTaskName(ticketId, taskId, null, update.Name ?? string.Empty);
+        if (error != null)
+        {
+            return BadRequest(error);
+        }
+
+        Ticket? ticket = await _ticketService.UpdateTaskDetailsAsync(ticketId, taskId, update.Name, update.Description ?? string.Empty);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/tasks/{TaskId}/details - renamed to {Name}", ticketId, taskId, update.Name);
+        await _hubContext.Clients.Group($"ticket-{ticketId}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPatch("{ticketId}/tasks/{taskId}/position")]
+    public async Task<ActionResult<Ticket>> MoveTask(string ticketId, string taskId, [FromBody] PositionUpdate update)
+    {
+        Ticket? ticket = await _ticketService.MoveTaskAsync(ticketId, taskId, update.Index);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/tasks/{TaskId}/position - moved to {Index}", ticketId, taskId, update.Index);
+        await _hubContext.Clients.Group($"ticket-{ticketId}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpDelete("{ticketId}/tasks/{taskId}")]
+    public async Task<ActionResult<Ticket>> DeleteTask(string ticketId, string taskId)
+    {
+        Ticket? ticket = await _ticketService.DeleteTaskAsync(ticketId, taskId);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("DELETE /tickets/{Id}/tasks/{TaskId} - deleted", ticketId, taskId);
+        await _hubContext.Clients.Group($"ticket-{ticketId}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPatch("{ticketId}/tasks/{taskId}/subtasks/{subtaskId}/details")]
+    public async Task<ActionResult<Ticket>> UpdateSubtaskDetails(string ticketId, string taskId, string subtaskId, [FromBody] TaskDetailsUpdate update)
+    {
+        string? error = _ticketService.ValidateTaskName(ticketId, taskId, subtaskId, update.Name ?? string.Empty);
+        if (error != null)
+        {
+            return BadRequest(error);
+        }
+
+        Ticket? ticket = await _ticketService.UpdateSubtaskDetailsAsync(ticketId, taskId, subtaskId, update.Name, update.Description ?? string.Empty);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/tasks/{TaskId}/subtasks/{SubtaskId}/details - renamed to {Name}", ticketId, taskId, subtaskId, update.Name);
+        await _hubContext.Clients.Group($"ticket-{ticketId}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpPatch("{ticketId}/tasks/{taskId}/subtasks/{subtaskId}/position")]
+    public async Task<ActionResult<Ticket>> MoveSubtask(string ticketId, string taskId, string subtaskId, [FromBody] PositionUpdate update)
+    {
+        Ticket? ticket = await _ticketService.MoveSubtaskAsync(ticketId, taskId, subtaskId, update.Index);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("PATCH /tickets/{Id}/tasks/{TaskId}/subtasks/{SubtaskId}/position - moved to {Index}", ticketId, taskId, subtaskId, update.Index);
+        await _hubContext.Clients.Group($"ticket-{ticketId}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
+    [HttpDelete("{ticketId}/tasks/{taskId}/subtasks/{subtaskId}")]
+    public async Task<ActionResult<Ticket>> DeleteSubtask(string ticketId, string taskId, string subtaskId)
+    {
+        Ticket? ticket = await _ticketService.DeleteSubtaskAsync(ticketId, taskId, subtaskId);
+        if (ticket == null)
+        {
+            return NotFound();
+        }
+
+        _logger.LogInformation("DELETE /tickets/{Id}/tasks/{TaskId}/subtasks/{SubtaskId} - deleted", ticketId, taskId, subtaskId);
+        await _hubContext.Clients.Group($"ticket-{ticketId}").TicketUpdated(ticket);
+        await _hubContext.Clients.All.TicketUpdated(ticket);
+        return Ok(ticket);
+    }
+
     [HttpPost("{id}/activity")]
     public async Task<ActionResult<Ticket>> AddActivity(string id, [FromBody] ActivityUpdate activity)
     {
@@ -416,7 +873,16 @@ public class TicketsController : ControllerBase
 }
 
 public record TicketStatusUpdate(TicketStatus Status);
-public record SubtaskStatusUpdate(SubtaskStatus Status);
+public record RankUpdate(string? BeforeTicketId);
+public record RetryRequest(bool Restart, bool DeleteBranch, decimal? MaxCost, string? PlannerLlmId);
+public record QueueUpdate(bool IsQueued);
+public record LabelsUpdate(List<string>? Labels);
+public record BlockedByUpdate(List<string>? BlockedBy, bool AutoStartWhenUnblocked);
+public record SubtaskStatusUpdate(SubtaskStatus Status, string? Feedback);
+public record ReviewModeUpdate(bool RequireHumanReview);
+public record PlanRevisionRequest(string Comments);
+public record TaskDetailsUpdate(string Name, string? Description);
+public record PositionUpdate(int Index);
 public record ActivityUpdate(string Message);
 public record BranchUpdate(string BranchName);
 public record CostUpdate(decimal Cost);
@@ -71,6 +71,7 @@ public class Server
         builder.Services.AddSingleton<ITicketService, TicketService>();
         builder.Services.AddSingleton<ISettingsService, SettingsService>();
         builder.Services.AddSingleton<ConversationStore>();
+        builder.Services.AddSingleton<IWorkQueueService, WorkQueueService>();
         builder.Services.AddSingleton<WorkerOrchestrator>();
         builder.Services.AddSingleton<IWorkerOrchestrator>(sp => sp.GetRequiredService<WorkerOrchestrator>());
         builder.Services.AddHostedService<WorkerOrchestrator>(sp => sp.GetRequiredService<WorkerOrchestrator>());
@@ -10,7 +10,8 @@ using System.Threading.Tasks;
 
 namespace KanBeast.Server.Services;
 
-// Periodically checks Active tickets for stale workers and moves them to Failed.
+// Periodically checks Active tickets for stale workers and moves them to Failed, then lets the
+// work queue fill any freed slots (this also catches queued tickets left over from a restart).
 // A ticket is considered stale if its worker has not sent a heartbeat in 5 minutes.
 // Workers send heartbeats every LLM iteration, so a 5-minute gap means the worker
 // is genuinely dead (crash, OOM, network partition), not just busy.
@@ -20,15 +21,18 @@ public class ActiveTicketWatchdog : BackgroundService
 	private static readonly TimeSpan StaleThreshold = TimeSpan.FromMinutes(5);
 
 	private readonly ITicketService _ticketService;
+	private readonly IWorkQueueService _workQueueService;
 	private readonly IHubContext<KanbanHub, IKanbanHubClient> _hubContext;
 	private readonly ILogger<ActiveTicketWatchdog> _logger;
 
 	public ActiveTicketWatchdog(
 		ITicketService ticketService,
+		IWorkQueueService workQueueService,
 		IHubContext<KanbanHub, IKanbanHubClient> hubContext,
 		ILogger<ActiveTicketWatchdog> logger)
 	{
 		_ticketService = ticketService;
+		_workQueueService = workQueueService;
 		_hubContext = hubContext;
 		_logger = logger;
 	}
@@ -42,6 +46,7 @@ public class ActiveTicketWatchdog : BackgroundService
 			try
 			{
 				await CheckForStaleTicketsAsync();
+				await _workQueueService.PromoteQueuedTicketsAsync();
 			}
 			catch (OperationCanceledException)
 			{
@@ -133,7 +133,8 @@ public class ConversationStore
                     IsFinished = data.IsFinished,
                     StartedAt = data.StartedAt,
                     ActiveModel = data.ActiveModel,
-                    Role = data.Role
+                    Role = data.Role,
+                    ParentId = data.ParentId
                 });
             }
 
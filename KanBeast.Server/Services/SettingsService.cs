@@ -95,6 +95,17 @@ public class SettingsService : ISettingsService
                 settingsFile.WebSearch = incomingSettings.File.WebSearch;
             }
 
+            if (incomingSettings.File.WorkQueue.MaxActiveTickets >= 0)
+            {
+                settingsFile.WorkQueue = incomingSettings.File.WorkQueue;
+            }
+
+            // The settings form always sends the full label list, so an empty list means every label was removed.
+            if (incomingSettings.File.Labels != null)
+            {
+                settingsFile.Labels = incomingSettings.File.Labels;
+            }
+
             if (incomingSettings.SystemPrompts.Count > 0)
             {
                 incomingSettings.SystemPrompts = UpdatePromptFiles(incomingSettings.SystemPrompts);
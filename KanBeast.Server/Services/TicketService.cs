@@ -20,11 +20,26 @@ public interface ITicketService
     Task<Ticket?> UpdateTicketAsync(string id, Ticket ticket);
     Task<bool> DeleteTicketAsync(string id);
     Task<Ticket?> UpdateTicketStatusAsync(string id, TicketStatus status);
+    Task<List<Ticket>?> MoveTicketBeforeAsync(string id, string? beforeTicketId);
+    Task<Ticket?> SetQueuedAsync(string id, bool isQueued);
+    Task<Ticket?> SetLabelsAsync(string id, List<string> labels);
+    Task<Ticket?> SetRequireHumanReviewAsync(string id, bool requireHumanReview);
+    Task<Ticket?> SetPlanApprovedAsync(string id, bool planApproved);
+    Task<Ticket?> SetBlockedByAsync(string id, List<string> blockedBy, bool autoStartWhenUnblocked);
+    string? ValidateBlockedBy(string id, List<string> blockedBy);
+    List<string> GetOpenBlockers(Ticket ticket);
     Task<Ticket?> UpdateTicketTitleDescriptionAsync(string id, string title, string description);
     Task<Ticket?> AddTaskToTicketAsync(string id, KanbanTask task);
     Task<Ticket?> AddSubtaskToTaskAsync(string ticketId, string taskId, KanbanSubtask subtask);
-    Task<Ticket?> UpdateSubtaskStatusAsync(string ticketId, string taskId, string subtaskId, SubtaskStatus status);
-    Task<Ticket?> UpdateTaskStatusAsync(string ticketId, string taskId, SubtaskStatus status);
+    Task<Ticket?> UpdateSubtaskStatusAsync(string ticketId, string taskId, string subtaskId, SubtaskStatus status, string? reviewFeedback);
+    Task<Ticket?> UpdateTaskStatusAsync(string ticketId, string taskId, SubtaskStatus status, string? reviewFeedback);
+    Task<Ticket?> UpdateTaskDetailsAsync(string ticketId, string taskId, string name, string description);
+    Task<Ticket?> DeleteTaskAsync(string ticketId, string taskId);
+    Task<Ticket?> MoveTaskAsync(string ticketId, string taskId, int index);
+    Task<Ticket?> UpdateSubtaskDetailsAsync(string ticketId, string taskId, string subtaskId, string name, string description);
+    Task<Ticket?> DeleteSubtaskAsync(string ticketId, string taskId, string subtaskId);
+    Task<Ticket?> MoveSubtaskAsync(string ticketId, string taskId, string subtaskId, int index);
+    string? ValidateTaskName(string ticketId, string taskId, string? subtaskId, string name);
     Task<Ticket?> MarkTaskCompleteAsync(string ticketId, string taskId);
     Task<Ticket?> AddActivityLogAsync(string id, string activity);
     Task<Ticket?> SetBranchNameAsync(string id, string branchName);
@@ -32,6 +47,7 @@ public interface ITicketService
     Task<Ticket?> SetMaxCostAsync(string id, decimal maxCost);
     Task<Ticket?> SetPlannerLlmAsync(string id, string? plannerLlmId);
     Task<Ticket?> DeleteAllTasksAsync(string id);
+    Task<Ticket?> SetDeleteBranchOnStartAsync(string id, bool deleteBranch);
 }
 
 public class TicketService : ITicketService
@@ -41,6 +57,7 @@ public class TicketService : ITicketService
     private readonly JsonSerializerOptions _jsonOptions;
     private readonly ILogger<TicketService> _logger;
     private readonly object _idLock = new();
+    private readonly object _rankLock = new();
     private int _nextTicketId = 1;
 
     public TicketService(ILogger<TicketService> logger)
@@ -227,12 +244,212 @@ public class TicketService : ITicketService
             return null;
         }
 
-        ticket.Status = status;
+        ticket.ChangeStatus(status);
         ticket.UpdatedAt = DateTime.UtcNow;
         await SaveTicketToDiskAsync(ticket);
         return ticket;
     }
 
+    public async Task<Ticket?> SetQueuedAsync(string id, bool isQueued)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        if (ticket.Status != TicketStatus.Backlog)
+        {
+            return null;
+        }
+
+        ticket.IsQueued = isQueued;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> SetLabelsAsync(string id, List<string> labels)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        List<string> distinct = new List<string>();
+        foreach (string label in labels)
+        {
+            string trimmed = label.Trim();
+            if (trimmed.Length > 0 && !distinct.Contains(trimmed))
+            {
+                distinct.Add(trimmed);
+            }
+        }
+
+        ticket.Labels = distinct;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> SetRequireHumanReviewAsync(string id, bool requireHumanReview)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        ticket.RequireHumanReview = requireHumanReview;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> SetPlanApprovedAsync(string id, bool planApproved)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        ticket.PlanApproved = planApproved;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> SetBlockedByAsync(string id, List<string> blockedBy, bool autoStartWhenUnblocked)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        List<string> distinct = new List<string>();
+        foreach (string blockerId in blockedBy)
+        {
+            if (!distinct.Contains(blockerId))
+            {
+                distinct.Add(blockerId);
+            }
+        }
+
+        ticket.BlockedBy = distinct;
+        ticket.AutoStartWhenUnblocked = autoStartWhenUnblocked;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    // Returns an error message if the proposed blockers include the ticket itself, an unknown ticket,
+    // or a ticket that already (directly or transitively) waits on this one. Null means the list is valid.
+    public string? ValidateBlockedBy(string id, List<string> blockedBy)
+    {
+        string? error = null;
+
+        foreach (string blockerId in blockedBy)
+        {
+            if (string.Equals(blockerId, id, StringComparison.Ordinal))
+            {
+                error = $"Ticket #{id} cannot be blocked by itself.";
+            }
+            else if (!_tickets.ContainsKey(blockerId))
+            {
+                error = $"Ticket #{blockerId} does not exist.";
+            }
+            else if (DependsOn(blockerId, id))
+            {
+                error = $"Ticket #{blockerId} already depends on #{id}; blocking on it would create a cycle.";
+            }
+
+            if (error != null)
+            {
+                break;
+            }
+        }
+
+        return error;
+    }
+
+    // Blockers of the ticket that still exist and have not reached Done.
+    public List<string> GetOpenBlockers(Ticket ticket)
+    {
+        List<string> open = new List<string>();
+        foreach (string blockerId in ticket.BlockedBy)
+        {
+            if (_tickets.TryGetValue(blockerId, out Ticket? blocker) && blocker.Status != TicketStatus.Done)
+            {
+                open.Add(blockerId);
+            }
+        }
+
+        return open;
+    }
+
+    // True when fromId is blocked by targetId, directly or through a chain of blockers.
+    private bool DependsOn(string fromId, string targetId)
+    {
+        HashSet<string> visited = new HashSet<string>();
+        Stack<string> pending = new Stack<string>();
+        pending.Push(fromId);
+        bool found = false;
+
+        while (pending.Count > 0 && !found)
+        {
+            string currentId = pending.Pop();
+            if (!visited.Add(currentId) || !_tickets.TryGetValue(currentId, out Ticket? current))
+            {
+                continue;
+            }
+
+            foreach (string blockerId in current.BlockedBy)
+            {
+                if (string.Equals(blockerId, targetId, StringComparison.Ordinal))
+                {
+                    found = true;
+                    break;
+                }
+
+                pending.Push(blockerId);
+            }
+        }
+
+        return found;
+    }
+
+    // Moves a ticket within its column so it sits directly above beforeTicketId (or at the bottom when null),
+    // then renumbers the whole column 1..n. Returns every ticket whose rank changed, or null if either id is
+    // unknown or the two tickets are in different columns.
+    public async Task<List<Ticket>?> MoveTicketBeforeAsync(string id, string? beforeTicketId)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        Ticket? beforeTicket = null;
+        if (!string.IsNullOrEmpty(beforeTicketId))
+        {
+            if (!_tickets.TryGetValue(beforeTicketId, out beforeTicket) || beforeTicket.Status != ticket.Status)
+            {
+                return null;
+            }
+        }
+
+        List<Ticket> changed;
+        lock (_rankLock)
+        {
+            changed = Ticket.MoveBefore(_tickets.Values, ticket, beforeTicket);
+        }
+
+        foreach (Ticket changedTicket in changed)
+        {
+            changedTicket.UpdatedAt = DateTime.UtcNow;
+            await SaveTicketToDiskAsync(changedTicket);
+        }
+
+        return changed;
+    }
+
     public async Task<Ticket?> AddTaskToTicketAsync(string id, KanbanTask task)
     {
         Ticket? ticket = null;
@@ -338,7 +555,7 @@ public class TicketService : ITicketService
         return ticket;
     }
 
-    public async Task<Ticket?> UpdateSubtaskStatusAsync(string ticketId, string taskId, string subtaskId, SubtaskStatus status)
+    public async Task<Ticket?> UpdateSubtaskStatusAsync(string ticketId, string taskId, string subtaskId, SubtaskStatus status, string? reviewFeedback)
     {
         if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
         {
@@ -377,6 +594,8 @@ public class TicketService : ITicketService
             return null;
         }
 
+        RecordReview(ticket, subtask.Name, subtask.Status, status, reviewFeedback);
+        subtask.ReviewFeedback = NextReviewFeedback(subtask.ReviewFeedback, status, reviewFeedback);
         subtask.Status = status;
         subtask.LastUpdatedAt = DateTime.UtcNow;
         task.LastUpdatedAt = DateTime.UtcNow;
@@ -385,7 +604,7 @@ public class TicketService : ITicketService
         return ticket;
     }
 
-    public async Task<Ticket?> UpdateTaskStatusAsync(string ticketId, string taskId, SubtaskStatus status)
+    public async Task<Ticket?> UpdateTaskStatusAsync(string ticketId, string taskId, SubtaskStatus status, string? reviewFeedback)
     {
         if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
         {
@@ -408,6 +627,8 @@ public class TicketService : ITicketService
             return null;
         }
 
+        RecordReview(ticket, task.Name, task.Status, status, reviewFeedback);
+        task.ReviewFeedback = NextReviewFeedback(task.ReviewFeedback, status, reviewFeedback);
         task.Status = status;
         task.LastUpdatedAt = DateTime.UtcNow;
         ticket.UpdatedAt = DateTime.UtcNow;
@@ -415,6 +636,239 @@ public class TicketService : ITicketService
         return ticket;
     }
 
+    // A human verdict on work waiting in AwaitingReview goes into the activity log.
+    private static void RecordReview(Ticket ticket, string name, SubtaskStatus previous, SubtaskStatus next, string? reviewFeedback)
+    {
+        if (previous != SubtaskStatus.AwaitingReview)
+        {
+            return;
+        }
+
+        if (next == SubtaskStatus.Complete)
+        {
+            AppendActivity(ticket, $"Review: Approved '{name}'");
+        }
+        else if (next == SubtaskStatus.Rejected)
+        {
+            AppendActivity(ticket, $"Review: Rejected '{name}' - {reviewFeedback?.Trim()}");
+        }
+    }
+
+    // Rejecting stores the reviewer's reason for the developer. Approval clears it; other changes leave it alone.
+    private static string NextReviewFeedback(string current, SubtaskStatus next, string? reviewFeedback)
+    {
+        string result = current;
+
+        if (next == SubtaskStatus.Rejected)
+        {
+            result = reviewFeedback?.Trim() ?? string.Empty;
+        }
+        else if (next == SubtaskStatus.Complete)
+        {
+            result = string.Empty;
+        }
+
+        return result;
+    }
+
+    public async Task<Ticket?> UpdateTaskDetailsAsync(string ticketId, string taskId, string name, string description)
+    {
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        if (task == null)
+        {
+            return null;
+        }
+
+        task.Name = name.Trim();
+        task.Description = description;
+        task.LastUpdatedAt = DateTime.UtcNow;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> DeleteTaskAsync(string ticketId, string taskId)
+    {
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        if (task == null)
+        {
+            return null;
+        }
+
+        ticket.Tasks.Remove(task);
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    // Moves a task to the given position in the list. Out-of-range positions clamp to the ends.
+    public async Task<Ticket?> MoveTaskAsync(string ticketId, string taskId, int index)
+    {
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        if (task == null)
+        {
+            return null;
+        }
+
+        ticket.Tasks.Remove(task);
+        ticket.Tasks.Insert(Math.Clamp(index, 0, ticket.Tasks.Count), task);
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> UpdateSubtaskDetailsAsync(string ticketId, string taskId, string subtaskId, string name, string description)
+    {
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        KanbanSubtask? subtask = task != null ? FindSubtask(task, subtaskId) : null;
+        if (task == null || subtask == null)
+        {
+            return null;
+        }
+
+        subtask.Name = name.Trim();
+        subtask.Description = description;
+        subtask.LastUpdatedAt = DateTime.UtcNow;
+        task.LastUpdatedAt = DateTime.UtcNow;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> DeleteSubtaskAsync(string ticketId, string taskId, string subtaskId)
+    {
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        KanbanSubtask? subtask = task != null ? FindSubtask(task, subtaskId) : null;
+        if (task == null || subtask == null)
+        {
+            return null;
+        }
+
+        task.Subtasks.Remove(subtask);
+        task.LastUpdatedAt = DateTime.UtcNow;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    public async Task<Ticket?> MoveSubtaskAsync(string ticketId, string taskId, string subtaskId, int index)
+    {
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        KanbanSubtask? subtask = task != null ? FindSubtask(task, subtaskId) : null;
+        if (task == null || subtask == null)
+        {
+            return null;
+        }
+
+        task.Subtasks.Remove(subtask);
+        task.Subtasks.Insert(Math.Clamp(index, 0, task.Subtasks.Count), subtask);
+        task.LastUpdatedAt = DateTime.UtcNow;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
+
+    // Tasks and subtasks are also looked up by name, so a rename must not collide with a sibling.
+    // Returns an error message, or null when the name is usable.
+    public string? ValidateTaskName(string ticketId, string taskId, string? subtaskId, string name)
+    {
+        string trimmed = name.Trim();
+        if (trimmed.Length == 0)
+        {
+            return "A name is required.";
+        }
+
+        if (!_tickets.TryGetValue(ticketId, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        if (subtaskId == null)
+        {
+            foreach (KanbanTask candidate in ticket.Tasks)
+            {
+                if (candidate.Id != taskId && string.Equals(candidate.Name, trimmed, StringComparison.Ordinal))
+                {
+                    return $"Another task is already named '{trimmed}'.";
+                }
+            }
+
+            return null;
+        }
+
+        KanbanTask? task = FindTask(ticket, taskId);
+        if (task == null)
+        {
+            return null;
+        }
+
+        foreach (KanbanSubtask candidate in task.Subtasks)
+        {
+            if (candidate.Id != subtaskId && string.Equals(candidate.Name, trimmed, StringComparison.Ordinal))
+            {
+                return $"Another subtask of '{task.Name}' is already named '{trimmed}'.";
+            }
+        }
+
+        return null;
+    }
+
+    private static KanbanTask? FindTask(Ticket ticket, string taskId)
+    {
+        foreach (KanbanTask candidate in ticket.Tasks)
+        {
+            if (string.Equals(candidate.Id, taskId, StringComparison.Ordinal))
+            {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    private static KanbanSubtask? FindSubtask(KanbanTask task, string subtaskId)
+    {
+        foreach (KanbanSubtask candidate in task.Subtasks)
+        {
+            if (string.Equals(candidate.Id, subtaskId, StringComparison.Ordinal))
+            {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
     public async Task<Ticket?> AddActivityLogAsync(string id, string activity)
     {
         if (!_tickets.TryGetValue(id, out Ticket? ticket))
@@ -422,12 +876,17 @@ public class TicketService : ITicketService
             return null;
         }
 
-        ticket.ActivityLog.Add($"[{DateTime.UtcNow:yyyy-MM-dd HH:mm:ss}] {activity}");
+        AppendActivity(ticket, activity);
         ticket.UpdatedAt = DateTime.UtcNow;
         await SaveTicketToDiskAsync(ticket);
         return ticket;
     }
 
+    private static void AppendActivity(Ticket ticket, string activity)
+    {
+        ticket.ActivityLog.Add($"[{DateTime.UtcNow:yyyy-MM-dd HH:mm:ss}] {activity}");
+    }
+
     public async Task<Ticket?> SetBranchNameAsync(string id, string branchName)
     {
         if (!_tickets.TryGetValue(id, out Ticket? ticket))
@@ -436,6 +895,8 @@ public class TicketService : ITicketService
         }
 
         ticket.BranchName = branchName;
+        // The worker reports the branch once it exists, so a pending delete has been carried out.
+        ticket.DeleteBranchOnStart = false;
         ticket.UpdatedAt = DateTime.UtcNow;
         await SaveTicketToDiskAsync(ticket);
         return ticket;
@@ -494,6 +955,8 @@ public class TicketService : ITicketService
         }
 
         ticket.Tasks.Clear();
+        // An approval covered the old plan, not whatever replaces it.
+        ticket.PlanApproved = false;
         ticket.UpdatedAt = DateTime.UtcNow;
         await SaveTicketToDiskAsync(ticket);
         return ticket;
@@ -511,4 +974,17 @@ public class TicketService : ITicketService
         await SaveTicketToDiskAsync(ticket);
         return ticket;
     }
+
+    public async Task<Ticket?> SetDeleteBranchOnStartAsync(string id, bool deleteBranch)
+    {
+        if (!_tickets.TryGetValue(id, out Ticket? ticket))
+        {
+            return null;
+        }
+
+        ticket.DeleteBranchOnStart = deleteBranch;
+        ticket.UpdatedAt = DateTime.UtcNow;
+        await SaveTicketToDiskAsync(ticket);
+        return ticket;
+    }
 }
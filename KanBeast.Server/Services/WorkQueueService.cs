@@ -0,0 +1,148 @@
+using KanBeast.Server.Hubs;
+using KanBeast.Server.Models;
+using KanBeast.Shared;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace KanBeast.Server.Services;
+
+// Starts queued Backlog tickets while fewer than WorkQueue.MaxActiveTickets are Active,
+// and guards manual starts against the same limit. Tickets with open blockers wait in the queue,
+// and auto-start tickets join it once all their blockers are Done.
+public interface IWorkQueueService
+{
+    Task<Ticket?> TryStartTicketAsync(string ticketId);
+    Task<List<Ticket>> PromoteQueuedTicketsAsync();
+}
+
+public class WorkQueueService : IWorkQueueService
+{
+    // Serializes every Backlog -> Active transition so two starts can't both take the last slot.
+    private readonly SemaphoreSlim _startLock = new SemaphoreSlim(1, 1);
+    private readonly ITicketService _ticketService;
+    private readonly ISettingsService _settingsService;
+    private readonly IHubContext<KanbanHub, IKanbanHubClient> _hubContext;
+    private readonly ILogger<WorkQueueService> _logger;
+
+    public WorkQueueService(
+        ITicketService ticketService,
+        ISettingsService settingsService,
+        IHubContext<KanbanHub, IKanbanHubClient> hubContext,
+        ILogger<WorkQueueService> logger)
+    {
+        _ticketService = ticketService;
+        _settingsService = settingsService;
+        _hubContext = hubContext;
+        _logger = logger;
+    }
+
+    // Moves the ticket to Active if a slot is free. Returns null when the limit is reached.
+    public async Task<Ticket?> TryStartTicketAsync(string ticketId)
+    {
+        Ticket? started = null;
+
+        await _startLock.WaitAsync();
+        try
+        {
+            int freeSlots = await GetFreeSlotsAsync();
+            if (freeSlots > 0)
+            {
+                started = await _ticketService.UpdateTicketStatusAsync(ticketId, TicketStatus.Active);
+            }
+        }
+        finally
+        {
+            _startLock.Release();
+        }
+
+        return started;
+    }
+
+    // Starts queued Backlog tickets in column order until the limit is reached. Broadcasts each
+    // started ticket so its worker picks up the Active status, and returns them.
+    public async Task<List<Ticket>> PromoteQueuedTicketsAsync()
+    {
+        List<Ticket> started = new List<Ticket>();
+
+        await QueueUnblockedTicketsAsync();
+
+        await _startLock.WaitAsync();
+        try
+        {
+            int freeSlots = await GetFreeSlotsAsync();
+            IEnumerable<Ticket> tickets = await _ticketService.GetAllTicketsAsync();
+            List<Ticket> toStart = WorkQueueRules.PickTicketsToStart(tickets, freeSlots, ticket => _ticketService.GetOpenBlockers(ticket).Count > 0);
+
+            foreach (Ticket next in toStart)
+            {
+                await _ticketService.AddActivityLogAsync(next.Id, "Queue: Started automatically from the work queue");
+                Ticket? updated = await _ticketService.UpdateTicketStatusAsync(next.Id, TicketStatus.Active);
+
+                if (updated != null)
+                {
+                    _logger.LogInformation("Work queue started ticket #{Id}", updated.Id);
+                    started.Add(updated);
+                }
+            }
+        }
+        finally
+        {
+            _startLock.Release();
+        }
+
+        foreach (Ticket ticket in started)
+        {
+            await _hubContext.Clients.Group($"ticket-{ticket.Id}").TicketUpdated(ticket);
+            await _hubContext.Clients.All.TicketUpdated(ticket);
+        }
+
+        return started;
+    }
+
+    // Auto-start tickets whose blockers are all Done are put in the queue. The flag is cleared so a user
+    // can still take the ticket back out of the queue without it being re-added.
+    private async Task QueueUnblockedTicketsAsync()
+    {
+        List<Ticket> queued = new List<Ticket>();
+        IEnumerable<Ticket> tickets = await _ticketService.GetAllTicketsAsync();
+
+        foreach (Ticket ticket in tickets)
+        {
+            if (ticket.Status != TicketStatus.Backlog || !ticket.AutoStartWhenUnblocked || ticket.BlockedBy.Count == 0)
+            {
+                continue;
+            }
+
+            if (_ticketService.GetOpenBlockers(ticket).Count > 0)
+            {
+                continue;
+            }
+
+            await _ticketService.SetBlockedByAsync(ticket.Id, ticket.BlockedBy, false);
+            await _ticketService.AddActivityLogAsync(ticket.Id, "Queue: All blockers are Done, queued to start automatically");
+            Ticket? updated = await _ticketService.SetQueuedAsync(ticket.Id, true);
+            if (updated != null)
+            {
+                _logger.LogInformation("Ticket #{Id} unblocked, added to the work queue", updated.Id);
+                queued.Add(updated);
+            }
+        }
+
+        foreach (Ticket ticket in queued)
+        {
+            await _hubContext.Clients.Group($"ticket-{ticket.Id}").TicketUpdated(ticket);
+            await _hubContext.Clients.All.TicketUpdated(ticket);
+        }
+    }
+
+    private async Task<int> GetFreeSlotsAsync()
+    {
+        Settings settings = await _settingsService.GetSettingsAsync();
+        IEnumerable<Ticket> tickets = await _ticketService.GetAllTicketsAsync();
+        return WorkQueueRules.GetFreeSlots(settings.File.WorkQueue.MaxActiveTickets, tickets);
+    }
+}
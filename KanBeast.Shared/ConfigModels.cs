@@ -72,6 +72,21 @@ public class WebSearchConfig
 	public string Engine { get; set; } = "auto";
 }
 
+// A user-defined ticket label. Tickets reference labels by name; Color is a CSS hex color like "#22c55e".
+public class LabelDefinition
+{
+	public string Name { get; set; } = string.Empty;
+	public string Color { get; set; } = "#71717a";
+}
+
+// Limits how many tickets run at once. Queued Backlog tickets are started as slots free up.
+// MaxActiveTickets of 0 means no limit: queuing a ticket starts it straight away. Negative values are
+// ignored when settings are saved.
+public class WorkQueueSettings
+{
+	public int MaxActiveTickets { get; set; } = 0;
+}
+
 // Defines settings persisted in settings.json. Shared by server and worker.
 public class SettingsFile
 {
@@ -83,4 +98,7 @@ public class SettingsFile
 	public GitConfig GitConfig { get; set; } = new();
 	public CompactionSettings Compaction { get; set; } = new();
 	public WebSearchConfig WebSearch { get; set; } = new();
+	public WorkQueueSettings WorkQueue { get; set; } = new();
+	// Null when a settings update leaves labels out, so the saved list is kept; read as no labels.
+	public List<LabelDefinition>? Labels { get; set; }
 }
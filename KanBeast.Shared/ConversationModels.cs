@@ -65,6 +65,14 @@ public class ConversationData
 	[JsonPropertyName("chapterSummaries")]
 	public List<string> ChapterSummaries { get; set; } = new();
 
+	// When each chapter was compacted (ISO 8601), aligned with the newest entries of ChapterSummaries.
+	[JsonPropertyName("chapterCompactedAt")]
+	public List<string> ChapterCompactedAt { get; set; } = new();
+
+	// How long each tool call took to run, in milliseconds, keyed by tool call id.
+	[JsonPropertyName("toolDurations")]
+	public Dictionary<string, long> ToolDurations { get; set; } = new();
+
 	[JsonPropertyName("isFinished")]
 	public bool IsFinished { get; set; }
 
@@ -75,6 +83,11 @@ public class ConversationData
 	[JsonPropertyName("activeModel")]
 	[JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
 	public string? ActiveModel { get; set; }
+
+	// The conversation that started this one: planner for a developer, developer or planner for a subagent.
+	[JsonPropertyName("parentId")]
+	[JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+	public string? ParentId { get; set; }
 }
 
 // Lightweight metadata returned in API responses.
@@ -102,4 +115,8 @@ public class ConversationInfo
 	[JsonPropertyName("role")]
 	[JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
 	public string? Role { get; set; }
+
+	[JsonPropertyName("parentId")]
+	[JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+	public string? ParentId { get; set; }
 }
@@ -28,6 +28,8 @@ public class Ticket
 	public string Description { get; set; } = string.Empty;
 	public TicketStatus Status { get; set; } = TicketStatus.Backlog;
 	public string? BranchName { get; set; }
+	// Set by a restart retry. The next worker deletes the branch on origin and recreates it from the default branch.
+	public bool DeleteBranchOnStart { get; set; } = false;
 	public string? PlannerLlmId { get; set; }
 	public List<KanbanTask> Tasks { get; set; } = new();
 	public List<string> ActivityLog { get; set; } = new();
@@ -36,6 +38,21 @@ public class Ticket
 	public string? ContainerName { get; set; }
 	public decimal LlmCost { get; set; } = 0m;
 	public decimal MaxCost { get; set; } = 0m;
+	// Manual position within the ticket's column (1 = top). 0 means not ranked yet.
+	public int Rank { get; set; } = 0;
+	// Backlog tickets marked for the work queue are started automatically when an Active slot frees up.
+	public bool IsQueued { get; set; } = false;
+	// Ids of tickets that must reach Done before this one can start.
+	public List<string> BlockedBy { get; set; } = new();
+	// When set, the ticket joins the work queue as soon as every blocker is Done.
+	public bool AutoStartWhenUnblocked { get; set; } = false;
+	// Names of labels from SettingsFile.Labels.
+	public List<string> Labels { get; set; } = new();
+	// When set, finished work waits in AwaitingReview for a human to approve or reject it.
+	public bool RequireHumanReview { get; set; } = false;
+	// When set, an Active ticket only plans until a human approves the plan (PlanApproved).
+	public bool RequirePlanApproval { get; set; } = false;
+	public bool PlanApproved { get; set; } = false;
 	public List<ConversationInfo> Conversations { get; set; } = new();
 
 	public string FormatPlanningGoal()
@@ -67,6 +84,89 @@ public class Ticket
 
 		return sb.ToString().TrimEnd();
 	}
+
+	// Orders two tickets from the same column. Ranked tickets go by rank; unranked ones fall back to
+	// creation date, newest first in Backlog (so new work shows at the top) and oldest first elsewhere.
+	public static int CompareColumnOrder(Ticket a, Ticket b)
+	{
+		int result;
+		bool isBacklog = a.Status == TicketStatus.Backlog;
+
+		if (a.Rank > 0 && b.Rank > 0)
+		{
+			result = a.Rank.CompareTo(b.Rank);
+		}
+		else if (a.Rank > 0 || b.Rank > 0)
+		{
+			// Unranked tickets sit above the ranked ones in Backlog and below them in other columns.
+			int unrankedFirst = a.Rank > 0 ? 1 : -1;
+			result = isBacklog ? unrankedFirst : -unrankedFirst;
+		}
+		else if (isBacklog)
+		{
+			result = b.CreatedAt.CompareTo(a.CreatedAt);
+		}
+		else
+		{
+			result = a.CreatedAt.CompareTo(b.CreatedAt);
+		}
+
+		return result;
+	}
+
+	// Moves the ticket to another column. A manual rank only means something inside one column, so it
+	// starts over on a move, and only Backlog tickets wait in the work queue.
+	public void ChangeStatus(TicketStatus status)
+	{
+		if (Status != status)
+		{
+			Rank = 0;
+		}
+
+		if (status != TicketStatus.Backlog)
+		{
+			IsQueued = false;
+		}
+
+		Status = status;
+	}
+
+	// Puts the ticket just above beforeTicket in its column, or at the bottom when beforeTicket is null,
+	// then renumbers the column 1..n. tickets may hold every ticket; only those in the same column count.
+	// Returns the tickets whose rank changed.
+	public static List<Ticket> MoveBefore(IEnumerable<Ticket> tickets, Ticket ticket, Ticket? beforeTicket)
+	{
+		List<Ticket> column = new List<Ticket>();
+		foreach (Ticket candidate in tickets)
+		{
+			if (candidate.Status == ticket.Status && candidate.Id != ticket.Id)
+			{
+				column.Add(candidate);
+			}
+		}
+
+		column.Sort(CompareColumnOrder);
+
+		int insertAt = column.Count;
+		if (beforeTicket != null && beforeTicket.Id != ticket.Id)
+		{
+			insertAt = column.IndexOf(beforeTicket);
+		}
+
+		column.Insert(insertAt, ticket);
+
+		List<Ticket> changed = new List<Ticket>();
+		for (int i = 0; i < column.Count; i++)
+		{
+			if (column[i].Rank != i + 1)
+			{
+				column[i].Rank = i + 1;
+				changed.Add(column[i]);
+			}
+		}
+
+		return changed;
+	}
 }
 
 public class KanbanTask
@@ -75,6 +175,8 @@ public class KanbanTask
 	public string Name { get; set; } = string.Empty;
 	public string Description { get; set; } = string.Empty;
 	public SubtaskStatus Status { get; set; } = SubtaskStatus.Incomplete;
+	// Reason given by the human reviewer when the work was last rejected.
+	public string ReviewFeedback { get; set; } = string.Empty;
 	public DateTime LastUpdatedAt { get; set; } = DateTime.UtcNow;
 	public List<KanbanSubtask> Subtasks { get; set; } = new();
 }
@@ -85,5 +187,7 @@ public class KanbanSubtask
 	public string Name { get; set; } = string.Empty;
 	public string Description { get; set; } = string.Empty;
 	public SubtaskStatus Status { get; set; } = SubtaskStatus.Incomplete;
+	// Reason given by the human reviewer when the work was last rejected.
+	public string ReviewFeedback { get; set; } = string.Empty;
 	public DateTime LastUpdatedAt { get; set; } = DateTime.UtcNow;
 }
@@ -0,0 +1,77 @@
+using System.Collections.Generic;
+using System;
+
+namespace KanBeast.Shared;
+
+// The work queue's decisions, kept apart from ticket storage and SignalR so the worker's test runner can
+// check them. The server's WorkQueueService and TicketsController apply them to the live tickets.
+public static class WorkQueueRules
+{
+	// Remaining Active slots, or int.MaxValue when maxActiveTickets is 0 (no limit).
+	public static int GetFreeSlots(int maxActiveTickets, IEnumerable<Ticket> tickets)
+	{
+		int freeSlots = int.MaxValue;
+
+		if (maxActiveTickets > 0)
+		{
+			int activeCount = 0;
+			foreach (Ticket ticket in tickets)
+			{
+				if (ticket.Status == TicketStatus.Active)
+				{
+					activeCount++;
+				}
+			}
+
+			freeSlots = Math.Max(0, maxActiveTickets - activeCount);
+		}
+
+		return freeSlots;
+	}
+
+	// Queued Backlog tickets in column order, which is the order they start in.
+	public static List<Ticket> GetQueuedTickets(IEnumerable<Ticket> tickets)
+	{
+		List<Ticket> queued = new List<Ticket>();
+		foreach (Ticket ticket in tickets)
+		{
+			if (ticket.Status == TicketStatus.Backlog && ticket.IsQueued)
+			{
+				queued.Add(ticket);
+			}
+		}
+
+		queued.Sort(Ticket.CompareColumnOrder);
+		return queued;
+	}
+
+	// The queued tickets to start now: up to freeSlots of them in column order. Blocked tickets keep
+	// their place in the queue and are passed over.
+	public static List<Ticket> PickTicketsToStart(IEnumerable<Ticket> tickets, int freeSlots, Func<Ticket, bool> isBlocked)
+	{
+		List<Ticket> picked = new List<Ticket>();
+		List<Ticket> queued = GetQueuedTickets(tickets);
+
+		for (int i = 0; i < queued.Count && picked.Count < freeSlots; i++)
+		{
+			if (!isBlocked(queued[i]))
+			{
+				picked.Add(queued[i]);
+			}
+		}
+
+		return picked;
+	}
+
+	// Why the ticket can't be queued or taken out of the queue, or null when it can.
+	public static string? GetQueueConflict(Ticket ticket)
+	{
+		string? conflict = null;
+		if (ticket.Status != TicketStatus.Backlog)
+		{
+			conflict = $"Ticket #{ticket.Id} is {ticket.Status}. Only Backlog tickets can be queued.";
+		}
+
+		return conflict;
+	}
+}
@@ -119,19 +119,26 @@ public class AgentOrchestrator
 				if (latestTicket != null)
 				{
 					TicketStatus previousStatus = ticketHolder.Ticket.Status;
+					bool couldDevelop = CanStartDevelopment(ticketHolder.Ticket);
 					ticketHolder.Update(latestTicket);
+					bool canDevelop = CanStartDevelopment(latestTicket);
 
-					if (previousStatus != latestTicket.Status && _planningConversation != null)
+					if (_planningConversation != null)
 					{
-						if (latestTicket.Status == TicketStatus.Active)
+						if (canDevelop && !couldDevelop)
 						{
 							_planningConversation.Role = LlmRole.PlanningActive;
 							WorkerSession.HubClient.GetChatQueue(_planningConversation.Id).Enqueue("Beast Mode Activated.  Call get_next_work_item and start the developer.");
 						}
-						else
+						else if (!canDevelop && couldDevelop)
 						{
 							_planningConversation.Role = LlmRole.Planning;
 						}
+						else if (!canDevelop && previousStatus != TicketStatus.Active && latestTicket.Status == TicketStatus.Active)
+						{
+							// Gated: the ticket is Active but keeps the planning tools until the plan is approved.
+							WorkerSession.HubClient.GetChatQueue(_planningConversation.Id).Enqueue("The ticket is Active, but a human must approve the plan before development starts. If the tasks and subtasks are not complete yet, create them now, then stop and wait for the review.");
+						}
 					}
 				}
 			}
@@ -217,7 +224,7 @@ public class AgentOrchestrator
 				_logger.LogInformation("Reconstituting planning conversation: {Id}", planningData.Id);
 				await WorkerSession.ApiClient.AddActivityLogAsync(ticketId, "Planning: Reconstituted conversation from server", cancellationToken);
 
-				_planningConversation = new CompactingConversation(planningData, LlmRole.Planning, plannerService, plannerService, null, null, null, null, null);
+				_planningConversation = new CompactingConversation(planningData, LlmRole.Planning, plannerService, plannerService, null, null, null, null, null, null);
 
 				await WorkerSession.HubClient.SyncConversationAsync(planningData);
 			}
@@ -231,11 +238,11 @@ public class AgentOrchestrator
 					Description: {ticketHolder.Ticket.Description}
 					""";
 
-				_planningConversation = new CompactingConversation(null, LlmRole.Planning, plannerService, plannerService, userPrompt, "Planning", null, null, null);
+				_planningConversation = new CompactingConversation(null, LlmRole.Planning, plannerService, plannerService, userPrompt, "Planning", null, null, null, null);
 			}
 
 			// Sync the role to match current ticket status.
-			if (ticketHolder.Ticket.Status == TicketStatus.Active)
+			if (CanStartDevelopment(ticketHolder.Ticket))
 			{
 				_planningConversation.Role = LlmRole.PlanningActive;
 			}
@@ -252,6 +259,13 @@ public class AgentOrchestrator
 		}
 	}
 
+	// Developers may only be dispatched for Active tickets, and only after the plan is approved
+	// when the ticket asks for plan approval. Until then the planner keeps the Planning role.
+	private static bool CanStartDevelopment(Ticket ticket)
+	{
+		return ticket.Status == TicketStatus.Active && (!ticket.RequirePlanApproval || ticket.PlanApproved);
+	}
+
 	// Returns true when the conversation has work the LLM should handle: a pending user
 	// message, an unprocessed tool result, or unanswered tool calls from a crash.
 	private static bool NeedsLlmAttention(ILlmConversation conversation)
@@ -296,7 +310,7 @@ public class AgentOrchestrator
 		await WorkerSession.HubClient.SetConversationBusyAsync(_planningConversation!.Id, true);
 		try
 			{
-					string? continueMessage = isActive ? "Are you done? If you are finished, call get_next_work_item for the next subtask ({messagesRemaining} turns remaining)." : null;
+					string? continueMessage = CanStartDevelopment(ticketHolder.Ticket) ? "Are you done? If you are finished, call get_next_work_item for the next subtask ({messagesRemaining} turns remaining)." : null;
 					LlmResult result = await service.RunToCompletionAsync(_planningConversation!, continueMessage, true, false, effectiveToken);
 					exitReason = result.ExitReason;
 
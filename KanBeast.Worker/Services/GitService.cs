@@ -11,6 +11,7 @@ public interface IGitService
 {
     Task<string> CloneRepositoryAsync(string repoUrl, string workDir);
     Task<string> CreateOrCheckoutBranchAsync(string branchName, string workDir);
+    Task DeleteRemoteBranchAsync(string branchName, string workDir);
     Task ConfigureGitAsync(string username, string email, string workDir);
     Task<bool> CommitAndPushAsync(string workDir, string message);
 }
@@ -351,6 +352,45 @@ public class GitService : IGitService
         }
     }
 
+    // Deletes the branch on origin so the next checkout creates it fresh. A missing branch is not an error.
+    public async Task DeleteRemoteBranchAsync(string branchName, string workDir)
+    {
+        string headRef = $"refs/heads/{branchName}";
+        string remoteHeads = await ExecuteGitCommandAsync($"ls-remote --heads origin {headRef}", workDir);
+        if (!ListsHeadRef(remoteHeads, headRef))
+        {
+            return;
+        }
+
+        try
+        {
+            await ExecuteGitCommandAsync($"push origin --delete {branchName}", workDir);
+        }
+        catch (Exception ex) when (ex.Message.Contains("remote ref does not exist"))
+        {
+            // Deleted by someone else since the check, which is the outcome we wanted.
+            Console.WriteLine($"Remote branch {branchName} was already deleted");
+        }
+    }
+
+    // ls-remote prints "<sha>\trefs/heads/<branch>" per match; compare whole refs so feature/ticket-1
+    // doesn't match feature/ticket-12.
+    private static bool ListsHeadRef(string lsRemoteOutput, string headRef)
+    {
+        bool found = false;
+        foreach (string line in lsRemoteOutput.Split('\n', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            int tab = line.IndexOf('\t');
+            if (tab >= 0 && line.Substring(tab + 1) == headRef)
+            {
+                found = true;
+                break;
+            }
+        }
+
+        return found;
+    }
+
     // Configures git user identity for commits.
     public async Task ConfigureGitAsync(string username, string email, string workDir)
     {
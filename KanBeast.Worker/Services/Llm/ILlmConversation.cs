@@ -27,7 +27,7 @@ public interface ILlmConversation
 
     void AddUserMessage(string content);
     void AddAssistantMessage(ConversationMessage message);
-    void AddToolMessage(string toolCallId, string toolResult);
+    void AddToolMessage(string toolCallId, string toolResult, long durationMs);
     void AddNote(string content);
 
     Task RecordCostAsync(decimal cost, CancellationToken cancellationToken);
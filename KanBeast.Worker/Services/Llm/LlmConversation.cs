@@ -91,7 +91,8 @@ public class CompactingConversation : ILlmConversation
 		string? displayName,
 		string? id,
 		string? currentTaskId,
-		string? currentSubtaskId)
+		string? currentSubtaskId,
+		string? parentId)
 	{
 		if (existingData != null)
 		{
@@ -118,6 +119,11 @@ public class CompactingConversation : ILlmConversation
 			Data.DisplayName = displayName;
 		}
 
+		if (parentId != null)
+		{
+			Data.ParentId = parentId;
+		}
+
 		// Build or rebuild the fixed message slots.
 		string systemPrompt = ResolveSystemPrompt(role);
 
@@ -294,7 +300,7 @@ public class CompactingConversation : ILlmConversation
 		MarkDirty();
 	}
 
-	public void AddToolMessage(string toolCallId, string toolResult)
+	public void AddToolMessage(string toolCallId, string toolResult, long durationMs)
 	{
 		if (Data.IsFinished)
 		{
@@ -307,6 +313,7 @@ public class CompactingConversation : ILlmConversation
 			Content = toolResult,
 			ToolCallId = toolCallId
 		});
+		Data.ToolDurations[toolCallId] = durationMs;
 		string preview = toolResult.Length > 50 ? toolResult.Substring(0, 50) + "..." : toolResult;
 		Console.WriteLine($"[{DisplayName}] Tool result: {preview}");
 		MarkDirty();
@@ -370,6 +377,8 @@ public class CompactingConversation : ILlmConversation
 
 		Messages.Clear();
 		Data.ChapterSummaries.Clear();
+		Data.ChapterCompactedAt.Clear();
+		Data.ToolDurations.Clear();
 
 		string systemPrompt = ResolveSystemPrompt(Role);
 		Messages.Add(new ConversationMessage { Role = "system", Content = systemPrompt });
@@ -438,7 +447,7 @@ public class CompactingConversation : ILlmConversation
 
 		ToolContext compactionContext = new ToolContext(null, service, null);
 
-		CompactingConversation summaryConversation = new CompactingConversation(null, LlmRole.Compaction, service, null, "compaction", logPrefix, null, CurrentTaskId, CurrentSubtaskId);
+		CompactingConversation summaryConversation = new CompactingConversation(null, LlmRole.Compaction, service, null, "compaction", logPrefix, null, CurrentTaskId, CurrentSubtaskId, null);
 
 		// Replace the scaffolded messages with the compaction system prompt followed by the parent messages verbatim.
 		summaryConversation.Messages.Clear();
@@ -522,10 +531,17 @@ public class CompactingConversation : ILlmConversation
 		{
 			if (Data.ChapterSummaries.Count >= MaxChapterSummaries)
 			{
+				// Conversations saved before timestamps were recorded have fewer of them than chapters.
+				if (Data.ChapterCompactedAt.Count == Data.ChapterSummaries.Count)
+				{
+					Data.ChapterCompactedAt.RemoveAt(0);
+				}
+
 				Data.ChapterSummaries.RemoveAt(0);
 			}
 
 			Data.ChapterSummaries.Add(summary);
+			Data.ChapterCompactedAt.Add(DateTime.UtcNow.ToString("O"));
 			UpdateSummariesMessage();
 			DeleteRange(FirstCompressibleIndex, endIndex);
 			Console.WriteLine($"[Compaction] Reduced to ~{EstimateTokenCount(Messages)} tokens, now {Data.ChapterSummaries.Count} chapters");
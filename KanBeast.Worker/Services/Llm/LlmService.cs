@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using System.Diagnostics;
 using System;
 using System.Collections.Generic;
 using System.Net.Http;
@@ -654,6 +655,7 @@ public class LlmService
 			// order. All others fire in parallel. WhenAll at the end ensures everything completes.
 			List<ConversationToolCall> toolCalls = assistantMessage.ToolCalls!;
 			(string toolName, ToolResult toolResult)[] completedTools = new (string, ToolResult)[toolCalls.Count];
+			long[] toolDurations = new long[toolCalls.Count];
 
 			// Build a name→Tool lookup for MustRunSequentially checks.
 			Dictionary<string, Tool> toolLookup = new Dictionary<string, Tool>(tools.Count, StringComparer.Ordinal);
@@ -687,7 +689,9 @@ public class LlmService
 				ConversationToolCall toolCall = toolCalls[index];
 				tasks[index] = Task.Run(async () =>
 				{
+					Stopwatch stopwatch = Stopwatch.StartNew();
 					ToolResult toolResult = await ExecuteTool(toolCall, tools, conversation.ToolContext);
+					toolDurations[index] = stopwatch.ElapsedMilliseconds;
 					completedTools[index] = (toolCall.Function.Name, toolResult);
 				}, conversationToken);
 
@@ -706,7 +710,7 @@ public class LlmService
 			{
 				if (!completedTools[i].toolResult.MessageHandled)
 				{
-					conversation.AddToolMessage(toolCalls[i].Id, completedTools[i].toolResult.Response);
+					conversation.AddToolMessage(toolCalls[i].Id, completedTools[i].toolResult.Response, toolDurations[i]);
 				}
 			}
 
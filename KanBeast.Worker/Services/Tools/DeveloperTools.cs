@@ -2,6 +2,7 @@ using System.ComponentModel;
 using System.Text;
 using KanBeast.Shared;
 using System;
+using System.Threading;
 using System.Threading.Tasks;
 
 namespace KanBeast.Worker.Services.Tools;
@@ -10,6 +11,8 @@ namespace KanBeast.Worker.Services.Tools;
 // Only available to the planning agent.
 public static class DeveloperTools
 {
+	private static readonly TimeSpan ReviewPollInterval = TimeSpan.FromSeconds(5);
+
 	[Description("""
 		Launch a developer agent to implement a specific subtask from the plan.
 		The developer has full capabilities: shell, files, search, web, and the ability to launch sub-agents.
@@ -51,6 +54,14 @@ public static class DeveloperTools
 				bool hasSubtask = !string.IsNullOrWhiteSpace(subtaskId);
 				string ticketId = WorkerSession.TicketHolder.Ticket.Id;
 
+				// A rejection the developer never saw, e.g. the worker restarted while the work was in review.
+				string reviewFeedback = string.Empty;
+				if (TryGetWorkItem(WorkerSession.TicketHolder.Ticket, taskId, subtaskId, out _, out SubtaskStatus previousStatus, out string previousFeedback) &&
+					previousStatus == SubtaskStatus.Rejected)
+				{
+					reviewFeedback = previousFeedback;
+				}
+
 				// Mark the work item as in-progress.
 				if (hasSubtask)
 				{
@@ -61,7 +72,7 @@ public static class DeveloperTools
 					await WorkerSession.ApiClient.UpdateTaskStatusAsync(ticketId, taskId, SubtaskStatus.InProgress, WorkerSession.CancellationToken);
 				}
 
-				string initialPrompt = BuildDeveloperPrompt(taskName, subtaskName, subtaskDescription);
+				string initialPrompt = BuildDeveloperPrompt(taskName, subtaskName, subtaskDescription, reviewFeedback);
 
 				LlmService? service = WorkerSession.LlmProxy.GetService(id);
 				if (service == null)
@@ -82,8 +93,12 @@ public static class DeveloperTools
 
 				if (existing != null && !existing.IsFinished)
 				{
-					conversation = new CompactingConversation(existing, LlmRole.Developer, service, null, null, null, null, taskId, subtaskId);
+					conversation = new CompactingConversation(existing, LlmRole.Developer, service, null, null, null, null, taskId, subtaskId, context.Conversation?.Id);
 					Console.WriteLine($"[Developer] Resuming unfinished conversation {conversationId} ({existing.Messages.Count} messages)");
+					if (!string.IsNullOrWhiteSpace(reviewFeedback))
+					{
+						conversation.AddUserMessage(FormatReviewFeedback(reviewFeedback));
+					}
 				}
 				else
 				{
@@ -95,7 +110,7 @@ public static class DeveloperTools
 					{
 						Console.WriteLine($"[Developer] New conversation {conversationId} for '{subtaskName}'");
 					}
-					conversation = new CompactingConversation(null, LlmRole.Developer, service, null, initialPrompt, $"Developer - {subtaskName}", conversationId, taskId, subtaskId);
+					conversation = new CompactingConversation(null, LlmRole.Developer, service, null, initialPrompt, $"Developer - {subtaskName}", conversationId, taskId, subtaskId, context.Conversation?.Id);
 				}
 
 				bool workComplete = false;
@@ -156,8 +171,139 @@ public static class DeveloperTools
 		return result;
 	}
 
+	// Holds finished work in AwaitingReview until a human approves or rejects it from the board.
+	// Returns null when the work is accepted, or the reviewer's reason when it is rejected.
+	// Does nothing unless the ticket has RequireHumanReview set.
+	public static async Task<string?> WaitForHumanReviewAsync(ToolContext context)
+	{
+		string? taskId = context.Conversation?.CurrentTaskId;
+		string? subtaskId = context.Conversation?.CurrentSubtaskId;
+		string ticketId = WorkerSession.TicketHolder.Ticket.Id;
+
+		Ticket? ticket = await WorkerSession.ApiClient.GetTicketAsync(ticketId, context.CancellationToken);
+		WorkerSession.TicketHolder.Update(ticket);
+		if (string.IsNullOrEmpty(taskId) || ticket == null || !ticket.RequireHumanReview ||
+			!TryGetWorkItem(ticket, taskId, subtaskId, out string name, out _, out _))
+		{
+			return null;
+		}
+
+		await SetWorkItemStatusAsync(ticketId, taskId, subtaskId, SubtaskStatus.AwaitingReview, context.CancellationToken);
+		await WorkerSession.ApiClient.AddActivityLogAsync(ticketId, $"Awaiting human review: {name}", context.CancellationToken);
+
+		string? rejection = await PollForReviewAsync(async () =>
+		{
+			// No LLM calls happen while waiting, so keep the server watchdog fed from here.
+			await WorkerSession.HubClient.SendHeartbeatAsync();
+
+			Ticket? latest = await WorkerSession.ApiClient.GetTicketAsync(ticketId, context.CancellationToken);
+			if (latest != null)
+			{
+				WorkerSession.TicketHolder.Update(latest);
+			}
+
+			return latest;
+		}, taskId, subtaskId, ReviewPollInterval, context.CancellationToken);
+
+		if (rejection != null)
+		{
+			await SetWorkItemStatusAsync(ticketId, taskId, subtaskId, SubtaskStatus.InProgress, context.CancellationToken);
+		}
+
+		return rejection;
+	}
+
+	// Fetches the ticket every interval until the work item is approved or rejected. Returns null when it
+	// is accepted, or the reviewer's reason when it is rejected. A failed fetch (null) just waits again.
+	private static async Task<string?> PollForReviewAsync(Func<Task<Ticket?>> fetchTicket, string taskId, string? subtaskId, TimeSpan interval, CancellationToken cancellationToken)
+	{
+		for (;;)
+		{
+			await Task.Delay(interval, cancellationToken);
+
+			Ticket? ticket = await fetchTicket();
+			if (ticket == null)
+			{
+				continue;
+			}
+
+			// Turning review off, or deleting the item, while it waits lets the work through.
+			if (!ticket.RequireHumanReview || !TryGetWorkItem(ticket, taskId, subtaskId, out _, out SubtaskStatus status, out string feedback))
+			{
+				return null;
+			}
+
+			if (status == SubtaskStatus.Complete)
+			{
+				return null;
+			}
+
+			if (status == SubtaskStatus.Rejected)
+			{
+				return feedback;
+			}
+		}
+	}
+
+	public static string FormatReviewFeedback(string feedback)
+	{
+		return $"A human reviewer rejected this work:\n\n{feedback}\n\nAddress the feedback, then call end_subtask again.";
+	}
+
+	private static async Task SetWorkItemStatusAsync(string ticketId, string taskId, string? subtaskId, SubtaskStatus status, CancellationToken cancellationToken)
+	{
+		Ticket? updated;
+		if (!string.IsNullOrWhiteSpace(subtaskId))
+		{
+			updated = await WorkerSession.ApiClient.UpdateSubtaskStatusAsync(ticketId, taskId, subtaskId, status, cancellationToken);
+		}
+		else
+		{
+			updated = await WorkerSession.ApiClient.UpdateTaskStatusAsync(ticketId, taskId, status, cancellationToken);
+		}
+
+		WorkerSession.TicketHolder.Update(updated);
+	}
+
+	// Finds the subtask, or the task itself when subtaskId is empty.
+	private static bool TryGetWorkItem(Ticket ticket, string taskId, string? subtaskId, out string name, out SubtaskStatus status, out string reviewFeedback)
+	{
+		name = string.Empty;
+		status = SubtaskStatus.Incomplete;
+		reviewFeedback = string.Empty;
+
+		foreach (KanbanTask task in ticket.Tasks)
+		{
+			if (task.Id != taskId)
+			{
+				continue;
+			}
+
+			if (string.IsNullOrWhiteSpace(subtaskId))
+			{
+				name = task.Name;
+				status = task.Status;
+				reviewFeedback = task.ReviewFeedback;
+				return true;
+			}
+
+			foreach (KanbanSubtask subtask in task.Subtasks)
+			{
+				if (subtask.Id == subtaskId)
+				{
+					name = subtask.Name;
+					status = subtask.Status;
+					reviewFeedback = subtask.ReviewFeedback;
+					return true;
+				}
+			}
+		}
+
+		return false;
+	}
+
 	// Builds the user prompt scoped to just the assigned task and subtask.
-	private static string BuildDeveloperPrompt(string taskName, string subtaskName, string subtaskDescription)
+	private static string BuildDeveloperPrompt(string taskName, string subtaskName, string subtaskDescription, string reviewFeedback)
 	{
 		StringBuilder sb = new StringBuilder();
 		sb.AppendLine($"# Task: {taskName}");
@@ -166,6 +312,14 @@ public static class DeveloperTools
 		sb.AppendLine();
 		sb.AppendLine(subtaskDescription);
 		sb.AppendLine();
+		if (!string.IsNullOrWhiteSpace(reviewFeedback))
+		{
+			sb.AppendLine("# Review Feedback");
+			sb.AppendLine();
+			sb.AppendLine("A human reviewer rejected a previous attempt at this assignment:");
+			sb.AppendLine(reviewFeedback);
+			sb.AppendLine();
+		}
 		sb.AppendLine("Call end_subtask tool when complete.");
 		sb.AppendLine("Use list_available_llms to see which models you can pass to start_sub_agent.");
 
@@ -169,12 +169,12 @@ public static class SubAgentTools
 
 		if (existing != null && !existing.IsFinished)
 		{
-			conversation = new CompactingConversation(existing, role, service, null, null, null, null, context.Conversation?.CurrentTaskId, context.Conversation?.CurrentSubtaskId);
+			conversation = new CompactingConversation(existing, role, service, null, null, null, null, context.Conversation?.CurrentTaskId, context.Conversation?.CurrentSubtaskId, context.Conversation?.Id);
 			Console.WriteLine($"[{displayPrefix}] Resuming conversation {toolCallId}");
 		}
 		else
 		{
-			conversation = new CompactingConversation(null, role, service, null, fullInstructions, $"{displayPrefix}: {taskSummary}", toolCallId, context.Conversation?.CurrentTaskId, context.Conversation?.CurrentSubtaskId);
+			conversation = new CompactingConversation(null, role, service, null, fullInstructions, $"{displayPrefix}: {taskSummary}", toolCallId, context.Conversation?.CurrentTaskId, context.Conversation?.CurrentSubtaskId, context.Conversation?.Id);
 		}
 
 		LlmResult llmResult;
@@ -69,7 +69,7 @@ public static class TicketTools
     }
 
     [Description("Signal that you have finished working on the current subtask. Call this when your work is complete or is blocked in some way. If you used sub-agents, include a brief performance evaluation of each (25 words max per sub-agent).")]
-    public static Task<ToolResult> EndSubtaskAsync(
+    public static async Task<ToolResult> EndSubtaskAsync(
         [Description("Summary of what you accomplished or a detailed explanation of what the blockers are. Include sub-agent performance evaluations if any were used.")] string summary,
         ToolContext context)
     {
@@ -81,10 +81,20 @@ public static class TicketTools
         }
         else
         {
-            result = new ToolResult(summary, true, false);
+            // With human review on, this blocks until someone approves or rejects the work.
+            // A rejection keeps the developer going with the reviewer's reason as the tool result.
+            string? rejection = await DeveloperTools.WaitForHumanReviewAsync(context);
+            if (rejection == null)
+            {
+                result = new ToolResult(summary, true, false);
+            }
+            else
+            {
+                result = new ToolResult(DeveloperTools.FormatReviewFeedback(rejection), false, false);
+            }
         }
 
-        return Task.FromResult(result);
+        return result;
     }
 
     [Description("Delete all tasks and subtasks to start planning over. Use this if the current plan is fundamentally wrong.")]
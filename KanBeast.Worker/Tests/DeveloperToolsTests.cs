@@ -0,0 +1,87 @@
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using KanBeast.Shared;
+using KanBeast.Worker.Services.Tools;
+
+namespace KanBeast.Worker.Tests;
+
+public static class DeveloperToolsTests
+{
+	public static void Test(TestContext ctx)
+	{
+		Console.WriteLine("  DeveloperToolsTests");
+
+		TestFormatReviewFeedback(ctx);
+		TestPollForReview(ctx);
+	}
+
+	private static void TestFormatReviewFeedback(TestContext ctx)
+	{
+		string message = DeveloperTools.FormatReviewFeedback("Missing tests for the parser.");
+		ctx.Assert(message.StartsWith("A human reviewer rejected this work:"), "FormatReviewFeedback: says the work was rejected");
+		ctx.Assert(message.Contains("\n\nMissing tests for the parser.\n\n"), "FormatReviewFeedback: quotes the feedback on its own");
+		ctx.Assert(message.EndsWith("call end_subtask again."), "FormatReviewFeedback: tells the developer how to continue");
+	}
+
+	private static void TestPollForReview(TestContext ctx)
+	{
+		// Accepted after a failed fetch and a poll that is still waiting.
+		int fetches = 0;
+		string? approved = PollForReview(ctx, [null, MakeTicket(SubtaskStatus.AwaitingReview, ""), MakeTicket(SubtaskStatus.Complete, "")], "s1", () => fetches++);
+		ctx.AssertNull(approved, "PollForReview: approval ends the wait with no feedback");
+		ctx.AssertEqual(3, fetches, "PollForReview: keeps polling until approved");
+
+		string? rejected = PollForReview(ctx, [MakeTicket(SubtaskStatus.AwaitingReview, ""), MakeTicket(SubtaskStatus.Rejected, "Handle empty input.")], "s1", () => { });
+		ctx.AssertEqual("Handle empty input.", rejected, "PollForReview: rejection ends the wait with the feedback");
+
+		string? rejectedBlank = PollForReview(ctx, [MakeTicket(SubtaskStatus.Rejected, "")], "s1", () => { });
+		ctx.AssertEqual(string.Empty, rejectedBlank, "PollForReview: rejection without a reason is still a rejection");
+
+		Ticket reviewOff = MakeTicket(SubtaskStatus.AwaitingReview, "");
+		reviewOff.RequireHumanReview = false;
+		ctx.AssertNull(PollForReview(ctx, [reviewOff], "s1", () => { }), "PollForReview: turning review off lets the work through");
+
+		ctx.AssertNull(PollForReview(ctx, [MakeTicket(SubtaskStatus.AwaitingReview, "")], "missing", () => { }), "PollForReview: deleted item lets the work through");
+
+		Ticket taskRejected = MakeTicket(SubtaskStatus.AwaitingReview, "");
+		taskRejected.Tasks[0].Status = SubtaskStatus.Rejected;
+		taskRejected.Tasks[0].ReviewFeedback = "Split this task.";
+		ctx.AssertEqual("Split this task.", PollForReview(ctx, [taskRejected], null, () => { }), "PollForReview: task-level review");
+	}
+
+	// Runs the poll loop with no delay against a scripted list of fetch results.
+	private static string? PollForReview(TestContext ctx, List<Ticket?> script, string? subtaskId, Action onFetch)
+	{
+		int next = 0;
+		Func<Task<Ticket?>> fetchTicket = () =>
+		{
+			onFetch();
+			Ticket? ticket = next < script.Count ? script[next] : null;
+			next++;
+			return Task.FromResult(ticket);
+		};
+
+		// Give up if the script runs out instead of polling forever.
+		using CancellationTokenSource timeout = new CancellationTokenSource(TimeSpan.FromSeconds(5));
+		Type[] types = [typeof(Func<Task<Ticket?>>), typeof(string), typeof(string), typeof(TimeSpan), typeof(CancellationToken)];
+		try
+		{
+			Task<string?> poll = (Task<string?>)Reflect.Static(typeof(DeveloperTools), "PollForReviewAsync", types, [fetchTicket, "t1", subtaskId!, TimeSpan.Zero, timeout.Token])!;
+			return poll.GetAwaiter().GetResult();
+		}
+		catch (OperationCanceledException)
+		{
+			ctx.Assert(false, "PollForReview: wait did not end");
+			return "timed out";
+		}
+	}
+
+	private static Ticket MakeTicket(SubtaskStatus subtaskStatus, string feedback)
+	{
+		KanbanSubtask subtask = new KanbanSubtask { Id = "s1", Name = "Parser", Status = subtaskStatus, ReviewFeedback = feedback };
+		KanbanTask task = new KanbanTask { Id = "t1", Name = "Parsing", Status = SubtaskStatus.InProgress, Subtasks = [subtask] };
+		return new Ticket { Id = "1", RequireHumanReview = true, Tasks = [task] };
+	}
+}
@@ -0,0 +1,35 @@
+using System;
+using KanBeast.Worker.Services;
+
+namespace KanBeast.Worker.Tests;
+
+public static class GitServiceTests
+{
+	public static void Test(TestContext ctx)
+	{
+		Console.WriteLine("  GitServiceTests");
+
+		TestListsHeadRef(ctx);
+	}
+
+	private static void TestListsHeadRef(TestContext ctx)
+	{
+		Type[] types = [typeof(string), typeof(string)];
+		string headRef = "refs/heads/feature/ticket-1";
+
+		bool exact = (bool)Reflect.Static(typeof(GitService), "ListsHeadRef", types, ["3f2a9c1\trefs/heads/feature/ticket-1\n", headRef])!;
+		ctx.Assert(exact, "ListsHeadRef: exact ref matches");
+
+		bool longer = (bool)Reflect.Static(typeof(GitService), "ListsHeadRef", types, ["3f2a9c1\trefs/heads/feature/ticket-12\n", headRef])!;
+		ctx.Assert(!longer, "ListsHeadRef: longer branch name does not match");
+
+		bool nested = (bool)Reflect.Static(typeof(GitService), "ListsHeadRef", types, ["3f2a9c1\trefs/heads/old/feature/ticket-1\n", headRef])!;
+		ctx.Assert(!nested, "ListsHeadRef: ref ending in the branch name does not match");
+
+		bool among = (bool)Reflect.Static(typeof(GitService), "ListsHeadRef", types, ["3f2a9c1\trefs/heads/feature/ticket-12\r\n8b7d0e4\trefs/heads/feature/ticket-1\r\n", headRef])!;
+		ctx.Assert(among, "ListsHeadRef: finds the ref among others with CRLF endings");
+
+		bool empty = (bool)Reflect.Static(typeof(GitService), "ListsHeadRef", types, ["", headRef])!;
+		ctx.Assert(!empty, "ListsHeadRef: empty output means no branch");
+	}
+}
@@ -74,6 +74,10 @@ public static class TestRunner
 		ShellToolsTests.Test(ctx);
 		WebToolsTests.Test(ctx, wc);
 		SearchToolsTests.Test(ctx);
+		GitServiceTests.Test(ctx);
+		TicketTests.Test(ctx);
+		WorkQueueRulesTests.Test(ctx);
+		DeveloperToolsTests.Test(ctx);
 
 		Console.WriteLine($"=== Tests Complete: {ctx.Passed} passed, {ctx.Failed} failed ===");
 		int exitCode = ctx.Failed > 0 ? 1 : 0;
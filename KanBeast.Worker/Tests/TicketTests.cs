@@ -0,0 +1,114 @@
+using System;
+using System.Collections.Generic;
+using KanBeast.Shared;
+
+namespace KanBeast.Worker.Tests;
+
+public static class TicketTests
+{
+	public static void Test(TestContext ctx)
+	{
+		Console.WriteLine("  TicketTests");
+
+		TestCompareColumnOrder(ctx);
+		TestMoveBefore(ctx);
+		TestChangeStatus(ctx);
+	}
+
+	private static Ticket MakeTicket(string id, TicketStatus status, int rank, int createdDay)
+	{
+		return new Ticket { Id = id, Status = status, Rank = rank, CreatedAt = new DateTime(2025, 1, createdDay, 0, 0, 0, DateTimeKind.Utc) };
+	}
+
+	private static void TestCompareColumnOrder(TestContext ctx)
+	{
+		List<Ticket> backlog = new List<Ticket>
+		{
+			MakeTicket("ranked2", TicketStatus.Backlog, 2, 1),
+			MakeTicket("old", TicketStatus.Backlog, 0, 1),
+			MakeTicket("ranked1", TicketStatus.Backlog, 1, 5),
+			MakeTicket("new", TicketStatus.Backlog, 0, 9)
+		};
+		backlog.Sort(Ticket.CompareColumnOrder);
+		ctx.AssertEqual("new,old,ranked1,ranked2", JoinIds(backlog), "CompareColumnOrder: Backlog puts unranked first, newest first");
+
+		List<Ticket> active = new List<Ticket>
+		{
+			MakeTicket("new", TicketStatus.Active, 0, 9),
+			MakeTicket("ranked2", TicketStatus.Active, 2, 1),
+			MakeTicket("old", TicketStatus.Active, 0, 1),
+			MakeTicket("ranked1", TicketStatus.Active, 1, 5)
+		};
+		active.Sort(Ticket.CompareColumnOrder);
+		ctx.AssertEqual("ranked1,ranked2,old,new", JoinIds(active), "CompareColumnOrder: other columns put unranked last, oldest first");
+	}
+
+	private static void TestMoveBefore(TestContext ctx)
+	{
+		Ticket a = MakeTicket("a", TicketStatus.Backlog, 1, 1);
+		Ticket b = MakeTicket("b", TicketStatus.Backlog, 2, 2);
+		Ticket c = MakeTicket("c", TicketStatus.Backlog, 3, 3);
+		Ticket other = MakeTicket("x", TicketStatus.Active, 7, 4);
+		List<Ticket> tickets = new List<Ticket> { a, b, c, other };
+
+		List<Ticket> changed = Ticket.MoveBefore(tickets, c, a);
+		ctx.AssertEqual("c,a,b", RankedIds(tickets, TicketStatus.Backlog), "MoveBefore: moves above the target and renumbers");
+		ctx.AssertEqual("2,3,1", $"{a.Rank},{b.Rank},{c.Rank}", "MoveBefore: ranks are 1..n");
+		ctx.AssertEqual(3, changed.Count, "MoveBefore: returns every ticket whose rank changed");
+		ctx.AssertEqual(7, other.Rank, "MoveBefore: other columns are untouched");
+
+		changed = Ticket.MoveBefore(tickets, c, null);
+		ctx.AssertEqual("a,b,c", RankedIds(tickets, TicketStatus.Backlog), "MoveBefore: null target moves to the bottom");
+
+		changed = Ticket.MoveBefore(tickets, b, c);
+		ctx.AssertEqual(0, changed.Count, "MoveBefore: moving into the same place changes nothing");
+
+		Ticket unranked = MakeTicket("u", TicketStatus.Backlog, 0, 9);
+		tickets.Add(unranked);
+		changed = Ticket.MoveBefore(tickets, a, null);
+		ctx.AssertEqual("u,b,c,a", RankedIds(tickets, TicketStatus.Backlog), "MoveBefore: unranked tickets get numbered where they sit");
+		ctx.AssertEqual(1, unranked.Rank, "MoveBefore: unranked Backlog ticket ranks first");
+	}
+
+	private static void TestChangeStatus(TestContext ctx)
+	{
+		Ticket queued = MakeTicket("1", TicketStatus.Backlog, 3, 1);
+		queued.IsQueued = true;
+
+		queued.ChangeStatus(TicketStatus.Backlog);
+		ctx.AssertEqual(3, queued.Rank, "ChangeStatus: same column keeps the rank");
+		ctx.Assert(queued.IsQueued, "ChangeStatus: same column keeps the queue flag");
+
+		queued.ChangeStatus(TicketStatus.Active);
+		ctx.AssertEqual(TicketStatus.Active, queued.Status, "ChangeStatus: sets the status");
+		ctx.AssertEqual(0, queued.Rank, "ChangeStatus: new column resets the rank");
+		ctx.Assert(!queued.IsQueued, "ChangeStatus: leaving Backlog clears the queue flag");
+	}
+
+	// Ids of the column's tickets in rank order.
+	private static string RankedIds(List<Ticket> tickets, TicketStatus status)
+	{
+		List<Ticket> column = new List<Ticket>();
+		foreach (Ticket ticket in tickets)
+		{
+			if (ticket.Status == status)
+			{
+				column.Add(ticket);
+			}
+		}
+
+		column.Sort(Ticket.CompareColumnOrder);
+		return JoinIds(column);
+	}
+
+	private static string JoinIds(List<Ticket> tickets)
+	{
+		List<string> ids = new List<string>();
+		foreach (Ticket ticket in tickets)
+		{
+			ids.Add(ticket.Id);
+		}
+
+		return string.Join(",", ids);
+	}
+}
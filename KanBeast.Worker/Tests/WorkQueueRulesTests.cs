@@ -0,0 +1,84 @@
+using System;
+using System.Collections.Generic;
+using KanBeast.Shared;
+
+namespace KanBeast.Worker.Tests;
+
+public static class WorkQueueRulesTests
+{
+	public static void Test(TestContext ctx)
+	{
+		Console.WriteLine("  WorkQueueRulesTests");
+
+		TestGetFreeSlots(ctx);
+		TestPickTicketsToStart(ctx);
+		TestGetQueueConflict(ctx);
+	}
+
+	private static Ticket MakeTicket(string id, TicketStatus status, bool isQueued, int rank)
+	{
+		return new Ticket { Id = id, Status = status, IsQueued = isQueued, Rank = rank };
+	}
+
+	private static void TestGetFreeSlots(TestContext ctx)
+	{
+		List<Ticket> tickets = new List<Ticket>
+		{
+			MakeTicket("1", TicketStatus.Active, false, 0),
+			MakeTicket("2", TicketStatus.Active, false, 0),
+			MakeTicket("3", TicketStatus.Backlog, true, 1),
+			MakeTicket("4", TicketStatus.Done, false, 0)
+		};
+
+		ctx.AssertEqual(1, WorkQueueRules.GetFreeSlots(3, tickets), "GetFreeSlots: counts only Active tickets");
+		ctx.AssertEqual(0, WorkQueueRules.GetFreeSlots(2, tickets), "GetFreeSlots: none left at the limit");
+		ctx.AssertEqual(0, WorkQueueRules.GetFreeSlots(1, tickets), "GetFreeSlots: never negative over the limit");
+		ctx.AssertEqual(int.MaxValue, WorkQueueRules.GetFreeSlots(0, tickets), "GetFreeSlots: 0 means no limit");
+	}
+
+	private static void TestPickTicketsToStart(TestContext ctx)
+	{
+		List<Ticket> tickets = new List<Ticket>
+		{
+			MakeTicket("1", TicketStatus.Backlog, true, 3),
+			MakeTicket("2", TicketStatus.Backlog, true, 1),
+			MakeTicket("3", TicketStatus.Backlog, false, 2),
+			MakeTicket("4", TicketStatus.Backlog, true, 2),
+			MakeTicket("5", TicketStatus.Active, true, 0)
+		};
+		Func<Ticket, bool> notBlocked = ticket => false;
+
+		List<Ticket> two = WorkQueueRules.PickTicketsToStart(tickets, 2, notBlocked);
+		ctx.AssertEqual("2,4", JoinIds(two), "PickTicketsToStart: takes queued Backlog tickets in rank order up to the free slots");
+
+		List<Ticket> none = WorkQueueRules.PickTicketsToStart(tickets, 0, notBlocked);
+		ctx.AssertEqual(0, none.Count, "PickTicketsToStart: no free slots starts nothing");
+
+		List<Ticket> unlimited = WorkQueueRules.PickTicketsToStart(tickets, WorkQueueRules.GetFreeSlots(0, tickets), notBlocked);
+		ctx.AssertEqual("2,4,1", JoinIds(unlimited), "PickTicketsToStart: no limit starts every queued ticket");
+
+		List<Ticket> skipping = WorkQueueRules.PickTicketsToStart(tickets, 2, ticket => ticket.Id == "2");
+		ctx.AssertEqual("4,1", JoinIds(skipping), "PickTicketsToStart: blocked tickets are passed over");
+	}
+
+	private static void TestGetQueueConflict(TestContext ctx)
+	{
+		ctx.AssertNull(WorkQueueRules.GetQueueConflict(MakeTicket("1", TicketStatus.Backlog, false, 0)), "GetQueueConflict: Backlog can be queued");
+
+		string? active = WorkQueueRules.GetQueueConflict(MakeTicket("2", TicketStatus.Active, false, 0));
+		ctx.AssertEqual("Ticket #2 is Active. Only Backlog tickets can be queued.", active, "GetQueueConflict: Active is refused");
+
+		ctx.AssertNotNull(WorkQueueRules.GetQueueConflict(MakeTicket("3", TicketStatus.Done, true, 0)), "GetQueueConflict: Done is refused");
+	}
+
+	private static string JoinIds(List<Ticket> tickets)
+	{
+		List<string> ids = new List<string>();
+		foreach (Ticket ticket in tickets)
+		{
+			ids.Add(ticket.Id);
+		}
+
+		return string.Join(",", ids);
+	}
+}
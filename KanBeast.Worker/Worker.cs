@@ -147,9 +147,25 @@ public static class Worker
 		await gitService.ConfigureGitAsync(config.Settings.GitConfig.Username, config.Settings.GitConfig.Email, repoDir);
 
 		string branchName = ticket.BranchName ?? $"feature/ticket-{ticket.Id}";
+		if (ticket.DeleteBranchOnStart)
+		{
+			logger.LogInformation("Deleting branch {BranchName} before restart", branchName);
+			await apiClient.AddActivityLogAsync(ticket.Id, $"Worker: Deleting branch {branchName} to restart from scratch", cancellationToken);
+			try
+			{
+				await gitService.DeleteRemoteBranchAsync(branchName, repoDir);
+			}
+			catch (Exception ex)
+			{
+				// Not fatal: the ticket still runs, just on top of the branch's existing commits.
+				logger.LogWarning(ex, "Could not delete branch {BranchName}: {Message}", branchName, ex.Message);
+				await apiClient.AddActivityLogAsync(ticket.Id, $"Worker: Could not delete branch {branchName}, continuing on it - {ex.Message}", cancellationToken);
+			}
+		}
+
 		logger.LogInformation("Branch: {BranchName}", branchName);
 		await gitService.CreateOrCheckoutBranchAsync(branchName, repoDir);
-		if (string.IsNullOrEmpty(ticket.BranchName))
+		if (string.IsNullOrEmpty(ticket.BranchName) || ticket.DeleteBranchOnStart)
 		{
 			await apiClient.SetBranchNameAsync(ticket.Id, branchName, cancellationToken);
 		}
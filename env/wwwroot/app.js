@@ -102,6 +102,7 @@ async function init() {
 
             await loadTickets();
             await loadSettings();
+            loadBoardQueryFromUrl();
             renderAllTickets();
             setupSignalR();
             setupEventListeners();
@@ -166,7 +167,12 @@ function setupSignalR() {
             settings.endpoint = settingsFile.endpoint || 'https://openrouter.ai/api/v1';
             settings.apiKey = settingsFile.apiKey || '';
             settings.llmConfigs = settingsFile.llmConfigs || [];
+            settings.compaction = settingsFile.compaction || {};
             settings.webSearch = settingsFile.webSearch || {};
+            settings.workQueue = settingsFile.workQueue || {};
+            settings.labels = settingsFile.labels || [];
+            renderAllTickets();
+            updateContextMeters();
         }
     });
 
@@ -188,8 +194,12 @@ function setupSignalR() {
         }
 
         if (currentDetailTicketId === ticketId) {
-            updateDetailConversationDropdown(ticketId, newestNewId);
+            updateDetailConversationTree(ticketId, newestNewId);
+        }
+        if (splitChat.open && splitChat.ticketId === ticketId && renderSplitConversationOptions()) {
+            loadSplitConversation(false);
         }
+        updateContextMeters();
     });
 
     connection.on('ConversationMessagesAppended', (ticketId, conversationId, messages) => {
@@ -201,24 +211,42 @@ function setupSignalR() {
         for (let i = 0; i < messages.length; i++) {
             conversationMessages[key].push(messages[i]);
         }
-        // Render in the inline detail chat if visible.
-        if (detailChatTicketId === ticketId && detailChatConversationId === conversationId) {
-            const messagesDiv = document.getElementById('detailChatMessages');
-            if (messagesDiv) {
-                const atBottomBefore = messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < 40;
-                const fullMessages = conversationMessages[key];
-                for (let i = 0; i < messages.length; i++) {
-                    renderDetailChatMessage(fullMessages, startIndex + i, messagesDiv);
+        // Render in every chat pane showing this conversation.
+        const containers = getConversationContainers(ticketId, conversationId);
+        const end = startIndex + messages.length;
+        // Messages that ended up outside the main pane's window; only these can add a find match out there.
+        let newlyOutside = [];
+        for (const messagesDiv of containers) {
+            const firstBefore = getWindowRange(messagesDiv).first;
+            // A pane scrolled back to older messages only updates its "show later" count.
+            if (getWindowRange(messagesDiv).end < startIndex) {
+                updateWindowButtons(messagesDiv);
+                if (messagesDiv.id === 'detailChatMessages') {
+                    newlyOutside = [startIndex, end];
                 }
-                // If was at bottom, scroll to bottom and save state.
-                if (atBottomBefore) {
-                    requestAnimationFrame(() => {
-                        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+                continue;
+            }
+            const atBottomBefore = messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < 40;
+            renderMessageRange(messagesDiv, conversationMessages[key], startIndex, end);
+            messagesDiv.dataset.endIndex = end;
+            trimWindow(messagesDiv, Math.max(firstBefore, end - CHAT_WINDOW_MAX), end);
+            if (messagesDiv.id === 'detailChatMessages') {
+                newlyOutside = [firstBefore, getWindowRange(messagesDiv).first];
+            }
+            // If was at bottom, scroll to bottom and save state.
+            if (atBottomBefore) {
+                requestAnimationFrame(() => {
+                    messagesDiv.scrollTop = messagesDiv.scrollHeight;
+                    if (messagesDiv.id === 'detailChatMessages') {
                         saveTicketConversationState(ticketId, conversationId, { atBottom: true });
-                    });
-                }
+                    }
+                });
             }
         }
+        if (containers.length > 0) {
+            applyChatSearch(false, newlyOutside);
+            updateContextMeters();
+        }
     });
 
     // Server pushes ConversationSynced when a worker syncs conversation data.
@@ -226,17 +254,27 @@ function setupSignalR() {
     connection.on('ConversationSynced', (ticketId, conversationId) => {
         const key = `${ticketId}:${conversationId}`;
         delete conversationMessages[key];
+        delete conversationToolDurations[key];
+        delete conversationChapters[key];
         if (detailChatTicketId === ticketId && detailChatConversationId === conversationId) {
             reloadDetailConversationPreservingScroll(ticketId, conversationId);
         }
+        if (splitChat.open && splitChat.ticketId === ticketId && splitChat.conversationId === conversationId) {
+            loadSplitConversation(true);
+        }
     });
 
     connection.on('ConversationReset', (ticketId, conversationId) => {
         const key = `${ticketId}:${conversationId}`;
         delete conversationMessages[key];
+        delete conversationToolDurations[key];
+        delete conversationChapters[key];
         if (detailChatTicketId === ticketId && detailChatConversationId === conversationId) {
             reloadDetailConversationPreservingScroll(ticketId, conversationId);
         }
+        if (splitChat.open && splitChat.ticketId === ticketId && splitChat.conversationId === conversationId) {
+            loadSplitConversation(true);
+        }
     });
 
     connection.on('ConversationFinished', (ticketId, conversationId) => {
@@ -254,19 +292,22 @@ function setupSignalR() {
 
         if (detailChatTicketId === ticketId && detailChatConversationId === conversationId) {
             if (nextActiveId) {
-                detailChatConversationId = nextActiveId;
-                const dropdown = document.getElementById('detailConversationDropdown');
-                if (dropdown) {
-                    dropdown.value = nextActiveId;
-                    dropdown.dispatchEvent(new Event('change'));
-                }
+                selectDetailConversation(ticketId, nextActiveId);
             } else {
                 setDetailChatEnabled(false);
             }
         }
 
         if (currentDetailTicketId === ticketId) {
-            updateDetailConversationDropdown(ticketId);
+            updateDetailConversationTree(ticketId);
+        }
+
+        // The split pane stays on the finished conversation; it only stops accepting input.
+        if (splitChat.open && splitChat.ticketId === ticketId) {
+            renderSplitConversationOptions();
+            if (splitChat.conversationId === conversationId) {
+                setSplitChatEnabled(false);
+            }
         }
     });
 
@@ -278,6 +319,9 @@ function setupSignalR() {
             delete busyConversations[key];
         }
         updateBusyIndicators(ticketId, conversationId, isBusy);
+        if (detailChatTicketId === ticketId) {
+            renderConversationTree(ticketId);
+        }
     });
 
     connection.onreconnecting(() => {
@@ -297,6 +341,13 @@ function setupSignalR() {
                 console.warn('Could not re-subscribe to ticket updates:', error);
             }
         }
+        if (splitChat.open && splitChat.ticketId && splitChat.ticketId !== currentDetailTicketId) {
+            try {
+                await connection.invoke('SubscribeToTicket', splitChat.ticketId);
+            } catch (error) {
+                console.warn('Could not re-subscribe to split ticket updates:', error);
+            }
+        }
     });
 
     connection.onclose(() => {
@@ -397,6 +448,11 @@ function applyTicketDeleted(ticketId) {
         document.getElementById('ticketDetailModal').classList.remove('active');
         currentDetailTicketId = null;
     }
+    if (splitChat.ticketId === ticketId) {
+        splitChat.ticketId = currentDetailTicketId;
+        splitChat.conversationId = null;
+        setupSplitChat();
+    }
 }
 
 // Full refresh used only on reconnect.
@@ -423,6 +479,9 @@ function toggleActivityLog(button) {
         log.classList.remove('collapsed');
         button.textContent = button.textContent.replace('▼', '▲');
         activityLogExpanded = true;
+        if (activityLogView && activityLogView.stickToBottom) {
+            log.scrollTop = log.scrollHeight;
+        }
     } else {
         log.classList.add('collapsed');
         button.textContent = button.textContent.replace('▲', '▼');
@@ -430,6 +489,157 @@ function toggleActivityLog(button) {
     }
 }
 
+// Who wrote a log entry, from its "Manager:" / "Developer:" / "Worker:" prefix. '' for anything else.
+function getLogEntryClass(message) {
+    if (message.includes('Manager:')) {
+        return 'manager';
+    } else if (message.includes('Developer:')) {
+        return 'developer';
+    } else if (message.includes('Worker:')) {
+        return 'worker';
+    }
+
+    return '';
+}
+
+// Full activity timeline in the detail modal. showTicketDetails rebuilds the modal on every update,
+// so the timeline element is kept here and moved into the new markup, with only the new entries
+// appended. That keeps its scroll position, filters and search box intact while entries stream in.
+let activityLogView = null; // { ticketId, el, count, scrollTop, stickToBottom }
+const activityLogFilters = { manager: true, developer: true, worker: true, other: true };
+let activityLogSearch = '';
+
+function createActivityLogView(ticketId) {
+    const el = document.createElement('div');
+    el.className = 'activity-log-container';
+    el.innerHTML = `
+        <button class="activity-log-toggle" onclick="toggleActivityLog(this)"></button>
+        <div class="activity-log${activityLogExpanded ? '' : ' collapsed'}">
+            <div class="activity-log-toolbar">
+                <button class="activity-filter manager" data-kind="manager" title="Show Manager entries">Manager</button>
+                <button class="activity-filter developer" data-kind="developer" title="Show Developer entries">Developer</button>
+                <button class="activity-filter worker" data-kind="worker" title="Show Worker entries">Worker</button>
+                <button class="activity-filter other" data-kind="other" title="Show everything else">Other</button>
+                <input type="text" class="activity-log-search" placeholder="Search log..." spellcheck="false">
+            </div>
+            <div class="activity-log-entries"></div>
+            <div class="activity-log-empty" style="display: none;">No matching entries.</div>
+        </div>
+    `;
+
+    el.querySelectorAll('.activity-filter').forEach(btn => {
+        btn.addEventListener('click', () => {
+            activityLogFilters[btn.dataset.kind] = !activityLogFilters[btn.dataset.kind];
+            applyActivityLogFilters();
+        });
+    });
+
+    const search = el.querySelector('.activity-log-search');
+    search.value = activityLogSearch;
+    search.addEventListener('input', () => {
+        activityLogSearch = search.value;
+        applyActivityLogFilters();
+    });
+
+    const view = { ticketId, el, count: 0, scrollTop: 0, stickToBottom: true };
+
+    // Follow new entries only while the user is at the bottom; scrolling up pins the view.
+    const scroller = el.querySelector('.activity-log');
+    scroller.addEventListener('scroll', () => {
+        if (!scroller.isConnected || scroller.classList.contains('collapsed')) {
+            return;
+        }
+        view.scrollTop = scroller.scrollTop;
+        view.stickToBottom = scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 24;
+    });
+
+    return view;
+}
+
+function buildActivityLogItem(entry, isNew) {
+    const parsed = parseLogEntry(entry);
+    const kind = getLogEntryClass(parsed.message);
+
+    const item = document.createElement('div');
+    item.className = `activity-item${isNew ? ' activity-item-new' : ''}`;
+    item.dataset.kind = kind || 'other';
+    item.dataset.message = parsed.message;
+    item.dataset.highlight = '';
+    item.innerHTML = `
+        ${parsed.timestamp
+            ? `<span class="activity-timestamp ${kind}" data-timestamp="${parsed.timestamp}" title="${escapeAttr(new Date(parsed.timestamp).toLocaleString())}">${formatRelativeTime(parsed.timestamp)}</span>
+               <span class="activity-absolute">${escapeHtml(new Date(parsed.timestamp).toLocaleString())}</span>`
+            : `<span class="activity-timestamp ${kind}"></span><span class="activity-absolute"></span>`}
+        <span class="activity-message">${escapeHtml(parsed.message)}</span>
+    `;
+    return item;
+}
+
+// Moves the kept timeline into the freshly rendered detail modal and appends entries it hasn't shown yet.
+function mountActivityLog(ticket) {
+    const slot = document.getElementById('activityLogSlot');
+    if (!slot) {
+        return;
+    }
+
+    const log = ticket.activityLog || [];
+    const reuse = activityLogView && activityLogView.ticketId === ticket.id && log.length >= activityLogView.count;
+    if (!reuse) {
+        activityLogView = createActivityLogView(ticket.id);
+    }
+
+    const view = activityLogView;
+    const list = view.el.querySelector('.activity-log-entries');
+    for (let i = view.count; i < log.length; i++) {
+        list.appendChild(buildActivityLogItem(log[i], reuse));
+    }
+    view.count = log.length;
+
+    slot.replaceWith(view.el);
+
+    const scroller = view.el.querySelector('.activity-log');
+    scroller.scrollTop = view.stickToBottom ? scroller.scrollHeight : view.scrollTop;
+
+    applyActivityLogFilters();
+}
+
+// Shows entries whose author toggle is on and whose text contains the search, highlighting the hits.
+function applyActivityLogFilters() {
+    if (!activityLogView) {
+        return;
+    }
+
+    const el = activityLogView.el;
+    const term = activityLogSearch.trim().toLowerCase();
+    const terms = term ? [term] : [];
+    let visible = 0;
+
+    el.querySelectorAll('.activity-filter').forEach(btn => {
+        btn.classList.toggle('active', activityLogFilters[btn.dataset.kind]);
+    });
+
+    el.querySelectorAll('.activity-log-entries .activity-item').forEach(item => {
+        const message = item.dataset.message;
+        const show = activityLogFilters[item.dataset.kind] && (!term || message.toLowerCase().includes(term));
+        item.style.display = show ? '' : 'none';
+
+        // Only touch the message markup when the highlight actually changes.
+        if (item.dataset.highlight !== term) {
+            item.querySelector('.activity-message').innerHTML = highlightTerms(message, terms);
+            item.dataset.highlight = term;
+        }
+
+        if (show) {
+            visible++;
+        }
+    });
+
+    const total = activityLogView.count;
+    const countText = visible === total ? `(${total})` : `(${visible} / ${total})`;
+    el.querySelector('.activity-log-toggle').textContent = `📜 Activity log ${countText} ${activityLogExpanded ? '▲' : '▼'}`;
+    el.querySelector('.activity-log-empty').style.display = total > 0 && visible === 0 ? '' : 'none';
+}
+
 // Data loading
 async function loadTickets() {
     const response = await fetch(`${API_BASE}/tickets?_=${Date.now()}`, {
@@ -470,2036 +680,6683 @@ function normalizeSettings(raw) {
         raw.gitConfig = raw.file.gitConfig || {};
         raw.compaction = raw.file.compaction || {};
         raw.webSearch = raw.file.webSearch || {};
+        raw.workQueue = raw.file.workQueue || {};
+        raw.labels = raw.file.labels || [];
     }
 
     return raw;
 }
 
-// Rendering - full declarative render
-function renderAllTickets() {
-    const containers = {
-        'Backlog': document.getElementById('backlog-container'),
-        'Active': document.getElementById('active-container'),
-        'Failed': document.getElementById('failed-container'),
-        'Done': document.getElementById('done-container')
-    };
-
-    const counts = {
-        'Backlog': 0,
-        'Active': 0,
-        'Failed': 0,
-        'Done': 0
-    };
-
-    // Clear all containers
-    Object.values(containers).forEach(container => {
-        if (container) {
-            container.innerHTML = '';
-        }
-    });
-
-    // Sort tickets by creation date (newest first for backlog, oldest first for others)
-    const sortedTickets = [...tickets].sort((a, b) => {
-        if (a.status === 'Backlog') {
-            return new Date(b.createdAt) - new Date(a.createdAt);
+// Board search. boardQueryText is what the user typed (mirrored in the ?q= URL parameter),
+// boardQuery is its parsed form, or null when the board is unfiltered.
+let boardQueryText = '';
+let boardQuery = null;
+
+// Board grouping: '' for a flat column, 'label' to split each column by label (mirrored in ?group=).
+let boardGroupBy = '';
+
+// Field filters understood by the search box, e.g. status:failed,done model:gpt branch:feature/ label:bug
+const BOARD_QUERY_FIELDS = ['status', 'model', 'id', 'branch', 'container', 'label'];
+
+// Splits a query into free-text terms, field filters and cost comparisons.
+// Quoted phrases stay together: "merge conflict" or branch:"my branch".
+function parseBoardQuery(text) {
+    const query = { terms: [], filters: [], costs: [] };
+    const tokenPattern = /(\w+):"([^"]*)"|"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(text || '')) !== null) {
+        if (match[1] !== undefined) {
+            addBoardQueryToken(query, match[1] + ':' + match[2], match[1], match[2]);
+        } else if (match[3] !== undefined) {
+            if (match[3].trim()) {
+                query.terms.push(match[3].trim().toLowerCase());
+            }
+        } else {
+            const token = match[4];
+            const colon = token.indexOf(':');
+            addBoardQueryToken(query, token, colon > 0 ? token.substring(0, colon) : '', colon > 0 ? token.substring(colon + 1) : '');
         }
+    }
 
-        return new Date(a.createdAt) - new Date(b.createdAt);
-    });
+    if (query.terms.length === 0 && query.filters.length === 0 && query.costs.length === 0) {
+        return null;
+    }
 
-    // Render each ticket
-    sortedTickets.forEach(ticket => {
-        const status = ticket.status || 'Backlog';
-        const container = containers[status];
+    return query;
+}
 
-        if (container) {
-            container.appendChild(createTicketElement(ticket));
-            counts[status]++;
-        }
-    });
+function addBoardQueryToken(query, token, key, value) {
+    const field = key.toLowerCase();
+    const costMatch = token.match(/^cost(>=|<=|>|<|=)\$?(\d+(?:\.\d+)?)$/i);
 
-    // Update counts
-    Object.keys(counts).forEach(status => {
-        const countEl = document.getElementById(`${status.toLowerCase()}-count`);
+    if (costMatch) {
+        query.costs.push({ op: costMatch[1], value: parseFloat(costMatch[2]) });
+    } else if (BOARD_QUERY_FIELDS.includes(field) && value) {
+        const values = value.toLowerCase().split(',').map(v => v.trim()).filter(v => v);
+        query.filters.push({ field, values });
+    } else {
+        query.terms.push(token.toLowerCase());
+    }
+}
 
-        if (countEl) {
-            countEl.textContent = counts[status];
+// Model name of the ticket's planner LLM, falling back to the raw id if the config is gone.
+function ticketModelName(ticket) {
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+    for (let i = 0; i < llmConfigs.length; i++) {
+        if (llmConfigs[i].id === ticket.plannerLlmId) {
+            return llmConfigs[i].model || '';
         }
-    });
+    }
 
-    // Show empty states
-    Object.entries(containers).forEach(([status, container]) => {
-        if (container && container.children.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">${getStatusIcon(status)}</div>
-                    <div>No tickets</div>
-                </div>
-            `;
-        }
-    });
+    return ticket.plannerLlmId || '';
 }
 
-function createTicketElement(ticket) {
-    const status = ticket.status || 'Backlog';
-    const isDraggable = canMoveFrom(status);
+function ticketMatchesBoardQuery(ticket, query) {
+    if (!query) {
+        return true;
+    }
 
-    // Statuses: Incomplete=0, InProgress=1, AwaitingReview=2, Complete=3, Rejected=4
+    for (let i = 0; i < query.filters.length; i++) {
+        const filter = query.filters[i];
+        let fieldValue = '';
+        if (filter.field === 'status') {
+            fieldValue = ticket.status || 'Backlog';
+        } else if (filter.field === 'model') {
+            fieldValue = ticketModelName(ticket);
+        } else if (filter.field === 'id') {
+            fieldValue = ticket.id;
+        } else if (filter.field === 'branch') {
+            fieldValue = ticket.branchName;
+        } else if (filter.field === 'container') {
+            fieldValue = ticket.containerName;
+        } else if (filter.field === 'label') {
+            fieldValue = (ticket.labels || []).join('\n');
+        }
+        fieldValue = (fieldValue || '').toLowerCase();
 
-    // Build pip progress bar HTML (each subtask gets a colored pip; tasks without subtasks get a pip from the task status)
-    let pipProgressHtml = '';
-    const allTasks = ticket.tasks || [];
-    let pipItems = [];
-    for (let t = 0; t < allTasks.length; t++) {
-        const task = allTasks[t];
-        const subs = task.subtasks || [];
-        if (subs.length > 0) {
-            for (let s = 0; s < subs.length; s++) {
-                pipItems.push(subs[s].status);
+        const matched = filter.values.some(v => {
+            if (filter.field === 'label') {
+                return fieldValue.split('\n').some(label => label === v);
             }
-        } else {
-            pipItems.push(task.status);
-        }
-    }
-    if (pipItems.length > 0) {
-        const pips = pipItems.map(st => {
-            let pipClass = 'pip-incomplete';
-            if (st === 'Complete' || st === 3) {
-                pipClass = 'pip-complete';
-            } else if (st === 'InProgress' || st === 1) {
-                pipClass = 'pip-inprogress';
-            } else if (st === 'AwaitingReview' || st === 2) {
-                pipClass = 'pip-review';
-            } else if (st === 'Rejected' || st === 4) {
-                pipClass = 'pip-rejected';
+            if (filter.field === 'status') {
+                return fieldValue.startsWith(v);
             }
-            return `<div class="pip ${pipClass}"></div>`;
-        }).join('');
-        pipProgressHtml = `<div class="pip-progress-bar">${pips}</div>`;
+            if (filter.field === 'id') {
+                return fieldValue === v.replace(/^#/, '');
+            }
+            return fieldValue.includes(v);
+        });
+
+        if (!matched) {
+            return false;
+        }
     }
 
-    // Find current task and current subtask (first task/subtask with a non-complete status)
-    let currentTaskName = '';
-    let currentSubtaskName = '';
+    const cost = ticket.llmCost || 0;
+    for (let i = 0; i < query.costs.length; i++) {
+        const c = query.costs[i];
+        const ok = (c.op === '>' && cost > c.value) ||
+            (c.op === '>=' && cost >= c.value) ||
+            (c.op === '<' && cost < c.value) ||
+            (c.op === '<=' && cost <= c.value) ||
+            (c.op === '=' && Math.abs(cost - c.value) < 0.005);
+        if (!ok) {
+            return false;
+        }
+    }
 
-    for (let taskIdx = 0; taskIdx < allTasks.length; taskIdx++) {
-        const task = allTasks[taskIdx];
-        const subs = task.subtasks || [];
-        if (subs.length > 0) {
-            const incompleteSubtask = subs.find(s => s.status !== 'Complete' && s.status !== 3);
-            if (incompleteSubtask) {
-                currentTaskName = task.name || '';
-                currentSubtaskName = incompleteSubtask.name || '';
-                break;
-            }
-        } else {
-            const taskStatus = task.status;
-            if (taskStatus !== 'Complete' && taskStatus !== 3) {
-                currentTaskName = task.name || '';
-                break;
+    if (query.terms.length > 0) {
+        const haystack = [
+            ticket.title,
+            ticket.description,
+            ticket.id,
+            ticket.branchName,
+            ticket.containerName,
+            ticketModelName(ticket),
+            (ticket.labels || []).join('\n'),
+            (ticket.activityLog || []).join('\n')
+        ].join('\n').toLowerCase();
+
+        for (let i = 0; i < query.terms.length; i++) {
+            if (!haystack.includes(query.terms[i])) {
+                return false;
             }
         }
     }
 
-    // Get last activity log entry and parse it
-    let lastLogHtml = '';
-    if (ticket.activityLog && ticket.activityLog.length > 0) {
-        const lastLog = ticket.activityLog[ticket.activityLog.length - 1];
-        const parsed = parseLogEntry(lastLog);
+    return true;
+}
+
+// Escapes text for display and wraps every occurrence of a board search term in <mark>.
+function highlightBoardMatches(text) {
+    return highlightTerms(text, boardQuery ? boardQuery.terms : []);
+}
+
+// Escapes text and wraps every occurrence of the given lowercase terms in <mark>.
+function highlightTerms(text, terms) {
+    const str = text == null ? '' : String(text);
+    if (terms.length === 0 || !str) {
+        return escapeHtml(str);
+    }
 
-        let logClass = '';
-        if (parsed.message.includes('Manager:')) {
-            logClass = 'manager';
-        } else if (parsed.message.includes('Developer:')) {
-            logClass = 'developer';
-        } else if (parsed.message.includes('Worker:')) {
-            logClass = 'worker';
+    // Collect match ranges for all terms, then merge overlaps so marks never nest.
+    const lower = str.toLowerCase();
+    const ranges = [];
+    terms.forEach(term => {
+        let from = lower.indexOf(term);
+        while (from !== -1) {
+            ranges.push([from, from + term.length]);
+            from = lower.indexOf(term, from + term.length);
         }
+    });
 
-        const displayMessage = parsed.message.length > 75 ? parsed.message.substring(0, 75) + '…' : parsed.message;
+    if (ranges.length === 0) {
+        return escapeHtml(str);
+    }
 
-        lastLogHtml = `
-            <div class="ticket-activity-log ${logClass}">
-                ${parsed.timestamp ? `<span class="activity-timestamp ${logClass}" data-timestamp="${parsed.timestamp}">${formatRelativeTime(parsed.timestamp)}</span>` : ''}
-                <span class="activity-message">${escapeHtml(displayMessage)}</span>
-            </div>
-        `;
+    ranges.sort((a, b) => a[0] - b[0]);
+    let html = '';
+    let pos = 0;
+    let i = 0;
+    while (i < ranges.length) {
+        let start = ranges[i][0];
+        let end = ranges[i][1];
+        while (i + 1 < ranges.length && ranges[i + 1][0] <= end) {
+            i++;
+            end = Math.max(end, ranges[i][1]);
+        }
+        html += escapeHtml(str.substring(pos, start)) + `<mark class="search-hit">${escapeHtml(str.substring(start, end))}</mark>`;
+        pos = end;
+        i++;
     }
 
-    const ticketEl = document.createElement('div');
-    ticketEl.className = `ticket${isDraggable ? ' draggable' : ''}`;
-    ticketEl.dataset.ticketId = ticket.id;
-    ticketEl.dataset.status = status;
+    return html + escapeHtml(str.substring(pos));
+}
 
-    if (isDraggable) {
-        ticketEl.draggable = true;
+// When a term only matches text the card doesn't show (description, branch, model, older log
+// entries), returns a one-line snippet around the hit so it's clear why the card matched.
+function buildSearchContextHtml(ticket, visibleText) {
+    if (!boardQuery || boardQuery.terms.length === 0) {
+        return '';
     }
 
-    ticketEl.innerHTML = `
-        <div class="ticket-status-indicator"></div>
-        <div class="ticket-header">
-            <div class="ticket-title">${escapeHtml(ticket.title)}</div>
-            <div class="ticket-id">#${ticket.id}</div>
-        </div>
-        ${currentTaskName ? `<div class="ticket-current-task">${escapeHtml(currentTaskName)}</div>` : ''}
-        ${currentSubtaskName ? `<div class="ticket-current-subtask">${escapeHtml(currentSubtaskName)}</div>` : ''}
-        ${lastLogHtml}
-        <div class="ticket-footer">
-            <div class="ticket-meta">
-                <span>📅 ${formatDate(ticket.createdAt)}</span>
-                ${ticket.containerName && status === 'Active' ? `<span class="worker-badge">${escapeHtml(ticket.containerName)}</span>` : ''}
-            </div>
-            <div class="ticket-cost-simple">${ticket.maxCost > 0 ? `$${ticket.llmCost.toFixed(2)} / $${ticket.maxCost.toFixed(2)}` : `$${ticket.llmCost.toFixed(4)}`}</div>
-        </div>
-        ${pipProgressHtml}
-    `;
+    const visible = visibleText.toLowerCase();
+    const hidden = boardQuery.terms.filter(term => !visible.includes(term));
+    if (hidden.length === 0) {
+        return '';
+    }
 
-    ticketEl.addEventListener('click', (e) => {
-        if (!ticketEl.classList.contains('dragging')) {
-            showTicketDetails(ticket.id);
+    const sources = [['Description', ticket.description], ['Branch', ticket.branchName], ['Model', ticketModelName(ticket)]];
+    const log = ticket.activityLog || [];
+    for (let i = log.length - 1; i >= 0; i--) {
+        sources.push(['Log', parseLogEntry(log[i]).message]);
+    }
+
+    for (let i = 0; i < sources.length; i++) {
+        const text = sources[i][1] || '';
+        const at = text.toLowerCase().indexOf(hidden[0]);
+        if (at !== -1) {
+            const start = Math.max(0, at - 30);
+            const end = Math.min(text.length, at + hidden[0].length + 45);
+            const snippet = (start > 0 ? '…' : '') + text.substring(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : '');
+            return `<div class="ticket-search-context"><span class="search-context-label">${sources[i][0]}:</span> ${highlightBoardMatches(snippet)}</div>`;
         }
-    });
+    }
 
-    return ticketEl;
+    return '';
 }
 
-function getStatusIcon(status) {
-    const icons = {
-        'Backlog': '📋',
-        'Active': '🚀',
-        'Failed': '❌',
-        'Done': '✅'
-    };
+// Applies a new search string: re-filters the board and mirrors it into ?q= so a reload keeps it.
+function setBoardQuery(text) {
+    boardQueryText = text || '';
+    boardQuery = parseBoardQuery(boardQueryText);
 
-    return icons[status] || '📋';
-}
+    updateBoardUrl();
 
-function formatDate(dateStr) {
-    if (!dateStr) {
-        return '';
+    const clearBtn = document.getElementById('boardSearchClear');
+    if (clearBtn) {
+        clearBtn.style.display = boardQueryText ? '' : 'none';
     }
 
-    const date = new Date(dateStr);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+    renderAllTickets();
+}
 
-    if (diffDays === 0) {
-        return 'Today';
+// Mirrors the search (?q=) and grouping (?group=) into the URL without adding history entries.
+function updateBoardUrl() {
+    const url = new URL(window.location.href);
+    if (boardQueryText.trim()) {
+        url.searchParams.set('q', boardQueryText);
+    } else {
+        url.searchParams.delete('q');
+    }
+    if (boardGroupBy) {
+        url.searchParams.set('group', boardGroupBy);
+    } else {
+        url.searchParams.delete('group');
     }
+    window.history.replaceState(null, '', url.toString());
+}
 
-    if (diffDays === 1) {
-        return 'Yesterday';
+function setBoardGroupBy(groupBy) {
+    boardGroupBy = groupBy === 'label' ? 'label' : '';
+    updateBoardUrl();
+    renderAllTickets();
+}
+
+// Picks up ?q= and ?group= from the URL before the first render.
+function loadBoardQueryFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    boardQueryText = params.get('q') || '';
+    boardQuery = parseBoardQuery(boardQueryText);
+    boardGroupBy = params.get('group') === 'label' ? 'label' : '';
+
+    const input = document.getElementById('boardSearch');
+    if (input) {
+        input.value = boardQueryText;
     }
 
-    if (diffDays < 7) {
-        return `${diffDays} days ago`;
+    const groupSelect = document.getElementById('boardGroupBy');
+    if (groupSelect) {
+        groupSelect.value = boardGroupBy;
     }
 
-    return date.toLocaleDateString();
+    const clearBtn = document.getElementById('boardSearchClear');
+    if (clearBtn) {
+        clearBtn.style.display = boardQueryText ? '' : 'none';
+    }
 }
 
-function formatRelativeTime(dateStr) {
-    if (!dateStr) {
-        return '';
-    }
+function setupBoardSearch() {
+    const input = document.getElementById('boardSearch');
 
-    const date = new Date(dateStr);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffSeconds = Math.floor(diffMs / 1000);
-    const diffMinutes = Math.floor(diffSeconds / 60);
-    const diffHours = Math.floor(diffMinutes / 60);
-    const diffDays = Math.floor(diffHours / 24);
+    document.getElementById('boardGroupBy').addEventListener('change', (e) => setBoardGroupBy(e.target.value));
 
-    if (diffSeconds < 60) {
-        return `${diffSeconds} sec ago`;
-    }
+    input.addEventListener('input', () => setBoardQuery(input.value));
 
-    if (diffMinutes < 60) {
-        return `${diffMinutes} min ago`;
-    }
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            if (input.value) {
+                input.value = '';
+                setBoardQuery('');
+            } else {
+                input.blur();
+            }
+        }
+    });
 
-    if (diffHours < 24) {
-        return `${diffHours} hr ago`;
-    }
+    document.getElementById('boardSearchClear').addEventListener('click', () => {
+        input.value = '';
+        setBoardQuery('');
+        input.focus();
+    });
 
-    if (diffDays < 7) {
-        return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
-    }
+    // "/" jumps to the search box unless the user is already typing somewhere or a modal is open.
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        const target = e.target;
+        const typing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
+        if (typing || document.querySelector('.modal.active')) {
+            return;
+        }
+        e.preventDefault();
+        input.focus();
+        input.select();
+    });
+}
 
-    return date.toLocaleDateString();
+// Labels are defined in Settings (name + color) and referenced from tickets by name.
+function getLabelDefinitions() {
+    return (settings && settings.labels) || [];
 }
 
-// Parse activity log entry into timestamp and message
-function parseLogEntry(logEntry) {
-    if (!logEntry || typeof logEntry !== 'string') {
-        return {
-            timestamp: null,
-            message: logEntry || ''
-        };
+function getLabelColor(name) {
+    const defs = getLabelDefinitions();
+    for (let i = 0; i < defs.length; i++) {
+        if (defs[i].name === name && /^#[0-9a-f]{6}$/i.test(defs[i].color || '')) {
+            return defs[i].color;
+        }
     }
+    return '#71717a';
+}
 
-    const trimmed = logEntry.trim();
-    const timestampMatch = trimmed.match(/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] (.+)$/);
-    if (timestampMatch) {
-        return {
-            timestamp: timestampMatch[1].replace(' ', 'T') + 'Z',
-            message: timestampMatch[2]
-        };
+// A colored chip. Labels no longer defined in Settings keep their name but render gray.
+function buildLabelChipHtml(name, extraClass) {
+    const color = getLabelColor(name);
+    return `<span class="label-chip${extraClass ? ' ' + extraClass : ''}" data-label="${escapeAttr(name)}" style="--label-color: ${color};">${highlightBoardMatches(name)}</span>`;
+}
+
+// The label a ticket is grouped under: its first label in Settings order, or '' for none.
+function getPrimaryLabel(ticket) {
+    const ticketLabels = ticket.labels || [];
+    const defs = getLabelDefinitions();
+    for (let i = 0; i < defs.length; i++) {
+        if (ticketLabels.includes(defs[i].name)) {
+            return defs[i].name;
+        }
     }
+    return '';
+}
 
-    // If no timestamp found, log it for debugging (only in console, not visible to user)
-    if (trimmed.startsWith('[')) {
-        console.debug('Failed to parse timestamp from log entry:', trimmed.substring(0, 50));
+// Group header elements keyed by "status\u0000label", reused across renders like board cards.
+const groupHeaderEls = new Map();
+
+// Interleaves label group headers with a column's cards when grouping by label. Groups follow the
+// Settings label order with unlabeled tickets last; empty groups are left out.
+function buildLabelGroupedColumn(status, columnTickets, cardEls) {
+    const groups = new Map();
+    getLabelDefinitions().forEach(def => groups.set(def.name, []));
+    groups.set('', []);
+
+    for (let i = 0; i < columnTickets.length; i++) {
+        groups.get(getPrimaryLabel(columnTickets[i])).push(cardEls[i]);
     }
 
-    return {
-        timestamp: null,
-        message: trimmed
-    };
+    const desired = [];
+    groups.forEach((els, label) => {
+        if (els.length === 0) {
+            return;
+        }
+
+        const key = `${status}\u0000${label}`;
+        let header = groupHeaderEls.get(key);
+        if (!header) {
+            header = document.createElement('div');
+            header.className = 'column-group-header';
+            groupHeaderEls.set(key, header);
+        }
+
+        const html = `${label ? buildLabelChipHtml(label) : '<span class="label-chip label-none">No label</span>'}<span class="count">${els.length}</span>`;
+        if (header.innerHTML !== html) {
+            header.innerHTML = html;
+        }
+
+        desired.push(header);
+        desired.push(...els);
+    });
+
+    return desired;
 }
 
-// Ticket details modal
-async function showTicketDetails(ticketId) {
-    const wasOpen = currentDetailTicketId === ticketId;
-    currentDetailTicketId = ticketId;
+// Work queue: 1-based position of each queued Backlog ticket, recomputed on every board render.
+let queuePositions = new Map();
 
-    if (!wasOpen) {
-        expandedDescriptions = { tasks: {}, subtasks: {} };
-    }
+// Queued tickets start in Backlog column order, so positions follow the sorted ticket list.
+function updateQueuePositions(sortedTickets) {
+    queuePositions = new Map();
+    sortedTickets.forEach(ticket => {
+        if ((ticket.status || 'Backlog') === 'Backlog' && ticket.isQueued) {
+            queuePositions.set(ticket.id, queuePositions.size + 1);
+        }
+    });
+}
 
-    // Preserve chat input text and cursor across re-renders.
-    const previousInput = document.getElementById('detailChatInput');
-    const savedInputText = previousInput ? previousInput.value : '';
-    const savedSelStart = previousInput ? previousInput.selectionStart : 0;
-    const savedSelEnd = previousInput ? previousInput.selectionEnd : 0;
+function getMaxActiveTickets() {
+    return (settings && settings.workQueue && settings.workQueue.maxActiveTickets) || 0;
+}
 
-    const response = await fetch(`${API_BASE}/tickets/${ticketId}`);
+// Active column header: how many slots are in use and how many tickets are waiting.
+function updateQueueIndicator(activeCount) {
+    const indicator = document.getElementById('queueIndicator');
+    if (!indicator) {
+        return;
+    }
 
-    if (!response.ok) {
-        console.error('Failed to load ticket details');
+    const maxActive = getMaxActiveTickets();
+    const queued = queuePositions.size;
+
+    if (maxActive === 0 && queued === 0) {
+        indicator.style.display = 'none';
         return;
     }
 
-    const ticket = await response.json();
-    const modal = document.getElementById('ticketDetailModal');
-    const detailDiv = document.getElementById('ticketDetail');
-    const status = ticket.status || 'Backlog';
+    const slots = maxActive > 0 ? `${activeCount}/${maxActive} slots` : 'no limit';
+    const text = `⏳ ${queued} queued · ${slots}`;
+    if (indicator.textContent !== text) {
+        indicator.textContent = text;
+    }
+    indicator.title = maxActive > 0
+        ? `${queued} ticket(s) waiting. Up to ${maxActive} run at once; the next queued ticket starts when one finishes.`
+        : `${queued} ticket(s) waiting. No max active limit is set, so queued tickets start right away.`;
+    indicator.classList.toggle('full', maxActive > 0 && activeCount >= maxActive);
+    indicator.style.display = '';
+}
 
-    // Fetch existing conversations FIRST so buttons can check state properly
+// Blockers of a ticket that still exist locally and have not reached Done.
+function getOpenBlockers(ticket) {
+    const open = [];
+    const blockedBy = ticket.blockedBy || [];
+    for (let i = 0; i < blockedBy.length; i++) {
+        const blocker = tickets.find(t => t.id === blockedBy[i]);
+        if (blocker && blocker.status !== 'Done') {
+            open.push(blocker);
+        }
+    }
+    return open;
+}
+
+// Marks or unmarks a Backlog ticket for the work queue.
+async function toggleTicketQueued(ticketId, isQueued) {
     try {
-        const convosResponse = await fetch(`${API_BASE}/tickets/${ticketId}/conversations`);
-        if (convosResponse.ok) {
-            const convos = await convosResponse.json();
-            if (convos.length > 0) {
-                ticketConversations[ticketId] = convos;
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/queue`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ isQueued })
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+            if (currentDetailTicketId === ticketId) {
+                await showTicketDetails(ticketId);
             }
+        } else {
+            alert(await response.text());
         }
     } catch (error) {
-        console.warn('Could not fetch conversations:', error);
+        console.error('Error updating queue state:', error);
     }
+}
 
-    // Build task/subtask HTML with status icons
-    let tasksHtml = '<div class="empty-state">No tasks yet</div>';
+window.toggleTicketQueued = toggleTicketQueued;
 
-    if (ticket.tasks && ticket.tasks.length > 0) {
-        tasksHtml = '<ul class="task-list">';
+// Multi-select: cards picked with Ctrl/Cmd-click or Shift-click, acted on together from the bulk action bar.
+const selectedTicketIds = new Set();
+let selectionAnchorId = null;
+let bulkLabelOptionsHtml = '';
 
-        ticket.tasks.forEach((task, taskIndex) => {
-            const subtasks = task.subtasks || [];
-            const completedSubtasks = subtasks.filter(s => s.status === 'Complete' || s.status === 3).length;
-            const inProgressSubtasks = subtasks.filter(s => 
-                s.status === 'InProgress' || s.status === 1 ||
-                s.status === 'AwaitingReview' || s.status === 2
-            ).length;
-            const taskStatus = task.status;
-            const isComplete = (subtasks.length > 0 && completedSubtasks === subtasks.length) ||
-                               (subtasks.length === 0 && (taskStatus === 'Complete' || taskStatus === 3));
-            const isInProgress = (inProgressSubtasks > 0 || (subtasks.length === 0 && (taskStatus === 'InProgress' || taskStatus === 1))) && status === 'Active';
+function toggleTicketSelection(ticketId) {
+    if (selectedTicketIds.has(ticketId)) {
+        selectedTicketIds.delete(ticketId);
+    } else {
+        selectedTicketIds.add(ticketId);
+    }
+    selectionAnchorId = ticketId;
+    updateSelectionDisplay();
+}
 
-            let taskIcon = '<span class="task-icon task-icon-incomplete">☐</span>';
-            if (isComplete) {
-                taskIcon = '<span class="task-icon task-icon-complete">✓</span>';
-            } else if (isInProgress) {
-                taskIcon = '<span class="task-icon task-icon-inprogress"><span class="spinner"></span></span>';
-            }
+// Selects every visible card between the anchor and ticketId. Ranges never span columns.
+function selectTicketRange(ticketId) {
+    const card = boardCards.get(ticketId);
+    if (!card) {
+        return;
+    }
 
-            const taskDescription = task.description || '';
-            const hasDescription = taskDescription && taskDescription !== task.name;
+    const anchor = selectionAnchorId ? boardCards.get(selectionAnchorId) : null;
+    if (!anchor || !anchor.el.isConnected || anchor.el.parentElement !== card.el.parentElement) {
+        selectedTicketIds.add(ticketId);
+        selectionAnchorId = ticketId;
+    } else {
+        const cards = Array.from(card.el.parentElement.querySelectorAll('.ticket'));
+        const from = cards.indexOf(anchor.el);
+        const to = cards.indexOf(card.el);
+        for (let i = Math.min(from, to); i <= Math.max(from, to); i++) {
+            selectedTicketIds.add(cards[i].dataset.ticketId);
+        }
+    }
+    updateSelectionDisplay();
+}
 
-            tasksHtml += `
-                <li class="task-item${isComplete ? ' completed' : ''}" data-task-index="${taskIndex}" data-has-description="${hasDescription}">
-                    ${taskIcon}
-                    <div class="task-content">
-                        <div class="task-name-row">
-                            <div class="task-name">${escapeHtml(task.name || task.description || 'Task')}</div>
-                        </div>
-                        ${hasDescription ? `<div class="task-description-full" style="display: none;">${escapeHtml(taskDescription)}</div>` : ''}
-                        ${subtasks.length > 0 ? `
-                            <div class="subtask-list">
-                                ${subtasks.map((st, stIndex) => {
-                                    const stStatus = st.status;
-                                    let subtaskIcon = '<span class="subtask-icon subtask-icon-incomplete">☐</span>';
-                                    let subtaskClass = '';
+function clearTicketSelection() {
+    if (selectedTicketIds.size === 0) {
+        return;
+    }
+    selectedTicketIds.clear();
+    selectionAnchorId = null;
+    updateSelectionDisplay();
+}
 
-                                    if (stStatus === 'Complete' || stStatus === 3) {
-                                        subtaskIcon = '<span class="subtask-icon subtask-icon-complete">✓</span>';
-                                        subtaskClass = ' completed';
-                                    } else if ((stStatus === 'InProgress' || stStatus === 1) && status === 'Active') {
-                                        subtaskIcon = '<span class="subtask-icon subtask-icon-inprogress"><span class="spinner-sm"></span></span>';
-                                    } else if (stStatus === 'AwaitingReview' || stStatus === 2) {
-                                        subtaskIcon = '<span class="subtask-icon subtask-icon-review">👁</span>';
-                                    } else if (stStatus === 'Rejected' || stStatus === 4) {
-                                        subtaskIcon = '<span class="subtask-icon subtask-icon-rejected">✗</span>';
-                                    }
+// Drops selected tickets that were deleted or are hidden by the search filter, so bulk actions only touch what is on screen.
+function pruneTicketSelection() {
+    selectedTicketIds.forEach(id => {
+        const card = boardCards.get(id);
+        if (!card || !card.el.isConnected) {
+            selectedTicketIds.delete(id);
+        }
+    });
+    updateSelectionDisplay();
+}
 
-                                    const stDescription = st.description || '';
-                                    const stHasDescription = stDescription && stDescription !== st.name;
+function updateSelectionDisplay() {
+    boardCards.forEach((card, id) => {
+        card.el.classList.toggle('selected', selectedTicketIds.has(id));
+    });
+    updateBulkActionBar();
+}
 
-                                    return `
-                                        <div class="subtask-item${subtaskClass}" data-subtask-index="${stIndex}" data-has-description="${stHasDescription}">
-                                            <div class="subtask-name-row">
-                                                ${subtaskIcon}
-                                                <span class="subtask-name">${escapeHtml(st.name || '')}</span>
-                                            </div>
-                                            ${stHasDescription ? `<div class="subtask-description-full" style="display: none;">${escapeHtml(stDescription)}</div>` : ''}
-                                        </div>
-                                    `;
-                                }).join('')}
-                            </div>
-                        ` : ''}
-                    </div>
-                </li>
-            `;
-        });
+function getSelectedTickets() {
+    return tickets.filter(t => selectedTicketIds.has(t.id));
+}
 
-        tasksHtml += '</ul>';
+// Each bulk action: its confirm verb, why a ticket is skipped (null = eligible), and the request for one ticket.
+// Status moves follow ALLOWED_TRANSITIONS and mirror the buttons in the detail modal.
+const BULK_ACTIONS = {
+    start: {
+        verb: 'Start',
+        skipReason: (ticket) => {
+            const status = ticket.status || 'Backlog';
+            if (!canMoveTo(status, 'Active')) {
+                return `is ${status}`;
+            }
+            return getOpenBlockers(ticket).length > 0 ? 'is blocked' : null;
+        },
+        run: (ticket) => sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/status`, 'PATCH', { status: 'Active' })
+    },
+    cancel: {
+        verb: 'Cancel',
+        skipReason: (ticket) => {
+            const status = ticket.status || 'Backlog';
+            return status !== 'Backlog' && status !== 'Done' && canMoveTo(status, 'Backlog') ? null : `is ${status}`;
+        },
+        run: (ticket) => sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/status`, 'PATCH', { status: 'Backlog' })
+    },
+    reopen: {
+        verb: 'Reopen',
+        skipReason: (ticket) => {
+            const status = ticket.status || 'Backlog';
+            return status === 'Done' && canMoveTo(status, 'Backlog') ? null : `is ${status}`;
+        },
+        run: (ticket) => sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/status`, 'PATCH', { status: 'Backlog' })
+    },
+    delete: {
+        verb: 'Delete',
+        warning: 'This cannot be undone.',
+        skipReason: (ticket) => {
+            const status = ticket.status || 'Backlog';
+            return status === 'Backlog' || status === 'Done' ? null : `is ${status}`;
+        },
+        run: async (ticket) => (await deleteTicketRequest(ticket.id)) ? null : 'Delete failed'
+    },
+    maxcost: {
+        verb: 'Set max cost on',
+        skipReason: (ticket) => ticket.status === 'Done' ? 'is Done' : null,
+        run: (ticket, maxCost) => sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/maxcost`, 'PATCH', { maxCost })
+    },
+    addlabel: {
+        verb: 'Add label to',
+        skipReason: (ticket, label) => (ticket.labels || []).includes(label) ? 'already has it' : null,
+        run: (ticket, label) => sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/labels`, 'PATCH', { labels: (ticket.labels || []).concat([label]) })
+    },
+    removelabel: {
+        verb: 'Remove label from',
+        skipReason: (ticket, label) => (ticket.labels || []).includes(label) ? null : 'does not have it',
+        run: (ticket, label) => sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/labels`, 'PATCH', { labels: (ticket.labels || []).filter(l => l !== label) })
     }
+};
 
-    // Build latest activity message
-    let latestActivityHtml = '<div class="detail-latest-activity" style="opacity:0.5;"><span class="activity-message">No activity yet</span></div>';
-    if (ticket.activityLog && ticket.activityLog.length > 0) {
-        const latestLog = ticket.activityLog[ticket.activityLog.length - 1];
-        const parsed = parseLogEntry(latestLog);
+// Returns null on success, otherwise a short message for the summary alert.
+async function sendBulkRequest(url, method, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
 
-        let logClass = '';
-        if (parsed.message.includes('Manager:')) {
-            logClass = 'manager';
-        } else if (parsed.message.includes('Developer:')) {
-            logClass = 'developer';
-        } else if (parsed.message.includes('Worker:')) {
-            logClass = 'worker';
+        if (response.ok) {
+            return null;
+        }
+        if (response.status === 409 || response.status === 400) {
+            return await response.text();
         }
+        return `Request failed (${response.status})`;
+    } catch (error) {
+        console.error('Error running bulk action:', error);
+        return 'Request failed';
+    }
+}
 
-        const displayMessage = parsed.message.length > 100 ? parsed.message.substring(0, 100) + '…' : parsed.message;
+function describeBulkTickets(list) {
+    const lines = list.slice(0, 10).map(t => `  #${t.id} ${t.title}`);
+    if (list.length > 10) {
+        lines.push(`  ...and ${list.length - 10} more`);
+    }
+    return lines.join('\n');
+}
 
-        latestActivityHtml = `
-            <div class="detail-latest-activity ${logClass}">
-                ${parsed.timestamp ? `<span class="activity-timestamp ${logClass}" data-timestamp="${parsed.timestamp}">${formatRelativeTime(parsed.timestamp)}</span>` : ''}
-                <span class="activity-message">${escapeHtml(displayMessage)}</span>
-            </div>
-        `;
+// One confirmation for the whole selection, then the requests run one at a time so the
+// server applies limits (like max active tickets) in order. Refusals are reported together.
+async function runBulkAction(action, arg) {
+    const spec = BULK_ACTIONS[action];
+    const selected = getSelectedTickets();
+    const eligible = selected.filter(t => !spec.skipReason(t, arg));
+    const skipped = selected.filter(t => spec.skipReason(t, arg));
+
+    if (eligible.length === 0) {
+        return;
     }
 
-    const canDelete = status === 'Backlog' || status === 'Done';
-    const canEdit = status === 'Backlog';
+    let what = `${spec.verb} ${eligible.length} ticket${eligible.length === 1 ? '' : 's'}`;
+    if (action === 'maxcost') {
+        what += ` ($${arg.toFixed(2)})`;
+    } else if (action === 'addlabel' || action === 'removelabel') {
+        what = `${spec.verb} ${eligible.length} ticket${eligible.length === 1 ? '' : 's'} ("${arg}")`;
+    }
 
-    // Build status action button
-    let statusActionBtn = '';
-    if (status === 'Backlog') {
-        statusActionBtn = `<button class="btn-primary btn-sm" title="Start working on this ticket" onclick="moveTicket('${ticketId}', 'Active')">🚀 Start</button>`;
-    } else if (status !== 'Done') {
-        statusActionBtn = `<button class="btn-danger btn-sm" title="Cancel and return to backlog" onclick="moveTicket('${ticketId}', 'Backlog')">↩️ Cancel</button>`;
-    } else {
-        statusActionBtn = `<button class="btn-secondary btn-sm" title="Reopen this ticket" onclick="moveTicket('${ticketId}', 'Backlog')">↩️ Reopen</button>`;
+    let message = `${what}?\n${describeBulkTickets(eligible)}`;
+    if (skipped.length > 0) {
+        message += `\n\nSkipping ${skipped.length}: ${skipped.map(t => `#${t.id} ${spec.skipReason(t, arg)}`).join(', ')}`;
+    }
+    if (spec.warning) {
+        message += `\n\n${spec.warning}`;
     }
 
-    // Delete button
-    let deleteBtn = '';
-    if (canDelete) {
-        deleteBtn = `<button class="btn-danger btn-sm btn-delete" title="Delete this ticket" onclick="deleteTicket('${ticketId}')">🗑️</button>`;
+    if (!confirm(message)) {
+        return;
     }
 
-    // Title + Description accordion combined
-    let titleDescAccordionHtml = `
-        <div class="accordion" id="titleDescAccordion">
-            <div class="accordion-header">
-                <span>📝 ${escapeHtml(ticket.title)}</span>
-                <span class="accordion-icon">▼</span>
+    const failures = [];
+    for (const ticket of eligible) {
+        const error = await spec.run(ticket, arg);
+        if (error) {
+            failures.push(`#${ticket.id}: ${error}`);
+        }
+    }
+
+    await refreshAllTickets();
+
+    if (failures.length > 0) {
+        alert(`${failures.length} of ${eligible.length} failed:\n${failures.join('\n')}`);
+    }
+}
+
+// Shows the bar while anything is selected; actions that apply to none of the selection are disabled.
+function updateBulkActionBar() {
+    const bar = document.getElementById('bulkActionBar');
+    if (!bar) {
+        return;
+    }
+
+    const selected = getSelectedTickets();
+    if (selected.length === 0) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    document.getElementById('bulkSelectionCount').textContent = `${selected.length} selected`;
+
+    bar.querySelectorAll('[data-bulk-action]').forEach(btn => {
+        const spec = BULK_ACTIONS[btn.dataset.bulkAction];
+        const count = selected.filter(t => !spec.skipReason(t)).length;
+        btn.disabled = count === 0;
+        btn.title = `${spec.verb} ${count} of ${selected.length} selected`;
+    });
+
+    const labelSelect = document.getElementById('bulkLabelSelect');
+    const options = ['<option value="">🏷️ Label...</option>'];
+    getLabelDefinitions().forEach(def => {
+        const name = escapeHtml(def.name);
+        const attr = escapeAttr(def.name);
+        const adds = selected.filter(t => !BULK_ACTIONS.addlabel.skipReason(t, def.name)).length;
+        const removes = selected.filter(t => !BULK_ACTIONS.removelabel.skipReason(t, def.name)).length;
+        options.push(`<option value="addlabel" data-label="${attr}"${adds === 0 ? ' disabled' : ''}>+ ${name}</option>`);
+        options.push(`<option value="removelabel" data-label="${attr}"${removes === 0 ? ' disabled' : ''}>− ${name}</option>`);
+    });
+    // Only rebuild when the options change so a SignalR refresh doesn't close an open dropdown.
+    const html = options.join('');
+    if (bulkLabelOptionsHtml !== html) {
+        labelSelect.innerHTML = html;
+        bulkLabelOptionsHtml = html;
+    }
+    labelSelect.disabled = options.length === 1;
+
+    bar.style.display = '';
+}
+
+function setupBulkActions() {
+    const bar = document.getElementById('bulkActionBar');
+
+    bar.querySelectorAll('[data-bulk-action]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const action = btn.dataset.bulkAction;
+            if (action === 'maxcost') {
+                const input = document.getElementById('bulkMaxCost');
+                if (input.value === '') {
+                    input.focus();
+                    return;
+                }
+                runBulkAction(action, parseFloat(input.value) || 0);
+            } else {
+                runBulkAction(action);
+            }
+        });
+    });
+
+    document.getElementById('bulkLabelSelect').addEventListener('change', (e) => {
+        const option = e.target.selectedOptions[0];
+        const action = e.target.value;
+        e.target.value = '';
+        if (action && option) {
+            runBulkAction(action, option.dataset.label);
+        }
+    });
+
+    document.getElementById('bulkClearSelection').addEventListener('click', clearTicketSelection);
+}
+
+// Rendered board cards keyed by ticket id: ticketId -> { el, signature }.
+// Lets renderAllTickets patch only the cards whose ticket actually changed.
+const boardCards = new Map();
+
+// Rendering - keyed reconciliation against the existing board DOM
+function renderAllTickets() {
+    const containers = {
+        'Backlog': document.getElementById('backlog-container'),
+        'Active': document.getElementById('active-container'),
+        'Failed': document.getElementById('failed-container'),
+        'Done': document.getElementById('done-container')
+    };
+
+    const columns = {
+        'Backlog': [],
+        'Active': [],
+        'Failed': [],
+        'Done': []
+    };
+
+    // Group by column first so each column is sorted on its own (see compareColumnOrder)
+    const statusOrder = Object.keys(columns);
+    const sortedTickets = [...tickets].sort((a, b) => {
+        const byStatus = statusOrder.indexOf(a.status || 'Backlog') - statusOrder.indexOf(b.status || 'Backlog');
+        return byStatus !== 0 ? byStatus : compareColumnOrder(a, b);
+    });
+
+    updateQueuePositions(sortedTickets);
+
+    // Create or patch the card for each ticket that passes the search, collecting the desired
+    // order per column. Filtered-out cards stay cached so clearing the search is cheap.
+    const seenIds = new Set();
+    const totals = { 'Backlog': 0, 'Active': 0, 'Failed': 0, 'Done': 0 };
+    const columnTickets = { 'Backlog': [], 'Active': [], 'Failed': [], 'Done': [] };
+    sortedTickets.forEach(ticket => {
+        const status = ticket.status || 'Backlog';
+        seenIds.add(ticket.id);
+
+        if (containers[status]) {
+            totals[status]++;
+            if (ticketMatchesBoardQuery(ticket, boardQuery)) {
+                columns[status].push(upsertTicketCard(ticket));
+                columnTickets[status].push(ticket);
+            }
+        }
+    });
+
+    // Drop cards for tickets that no longer exist.
+    boardCards.forEach((card, ticketId) => {
+        if (!seenIds.has(ticketId)) {
+            card.el.remove();
+            boardCards.delete(ticketId);
+        }
+    });
+
+    Object.entries(containers).forEach(([status, container]) => {
+        if (container) {
+            const desired = boardGroupBy === 'label'
+                ? buildLabelGroupedColumn(status, columnTickets[status], columns[status])
+                : columns[status];
+            reconcileColumn(container, status, desired, boardQuery ? 'No matches' : 'No tickets');
+        }
+    });
+
+    updateQueueIndicator(totals['Active']);
+    pruneTicketSelection();
+
+    // Update counts
+    Object.keys(columns).forEach(status => {
+        const countEl = document.getElementById(`${status.toLowerCase()}-count`);
+        const count = boardQuery ? `${columns[status].length} / ${totals[status]}` : String(columns[status].length);
+
+        if (countEl && countEl.textContent !== count) {
+            countEl.textContent = count;
+        }
+    });
+}
+
+// Same ordering as Ticket.CompareColumnOrder on the server, so a reorder lands where it was dropped.
+// Ranked tickets (rank > 0) go by rank. Unranked ones fall back to creation date: newest first in
+// Backlog, where they sit above the ranked tickets, and oldest first after the ranked ones elsewhere.
+function compareColumnOrder(a, b) {
+    const rankA = a.rank || 0;
+    const rankB = b.rank || 0;
+    const isBacklog = (a.status || 'Backlog') === 'Backlog';
+
+    if (rankA > 0 && rankB > 0) {
+        return rankA - rankB;
+    }
+
+    if (rankA > 0 || rankB > 0) {
+        const unrankedFirst = rankA > 0 ? 1 : -1;
+        return isBacklog ? unrankedFirst : -unrankedFirst;
+    }
+
+    if (isBacklog) {
+        return new Date(b.createdAt) - new Date(a.createdAt);
+    }
+
+    return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+// Returns the card element for a ticket, creating it or patching it in place when its signature changed.
+function upsertTicketCard(ticket) {
+    const signature = ticketCardSignature(ticket);
+    const existing = boardCards.get(ticket.id);
+
+    if (!existing) {
+        const el = createTicketElement(ticket);
+        boardCards.set(ticket.id, { el, signature });
+        return el;
+    }
+
+    if (existing.signature !== signature) {
+        patchTicketElement(existing.el, ticket);
+        existing.signature = signature;
+    }
+
+    return existing.el;
+}
+
+// Moves card elements into the desired order within a column and toggles its empty state.
+// Only nodes that are out of place are touched, so hover and drag state on other cards survives.
+function reconcileColumn(container, status, desiredEls, emptyText) {
+    let emptyState = null;
+    for (let i = 0; i < container.children.length; i++) {
+        if (container.children[i].classList.contains('empty-state')) {
+            emptyState = container.children[i];
+            break;
+        }
+    }
+
+    if (desiredEls.length > 0 && emptyState) {
+        emptyState.remove();
+    }
+
+    let cursor = container.firstElementChild;
+    for (let i = 0; i < desiredEls.length; i++) {
+        const el = desiredEls[i];
+        if (cursor === el) {
+            cursor = cursor.nextElementSibling;
+        } else {
+            container.insertBefore(el, cursor);
+        }
+    }
+
+    // Anything left after the cursor is a stale node (cards are removed or moved above).
+    while (cursor) {
+        const next = cursor.nextElementSibling;
+        if (!cursor.classList.contains('empty-state')) {
+            cursor.remove();
+        }
+        cursor = next;
+    }
+
+    if (desiredEls.length === 0 && (!emptyState || emptyState.dataset.text !== emptyText)) {
+        if (emptyState) {
+            emptyState.remove();
+        }
+        emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.dataset.text = emptyText;
+        emptyState.innerHTML = `
+            <div class="empty-state-icon">${getStatusIcon(status)}</div>
+            <div>${emptyText}</div>
+        `;
+        container.appendChild(emptyState);
+    }
+}
+
+// Captures everything a board card displays (including search highlights), so unchanged tickets
+// can be skipped on re-render.
+function ticketCardSignature(ticket) {
+    const taskParts = [];
+    const allTasks = ticket.tasks || [];
+    for (let t = 0; t < allTasks.length; t++) {
+        const task = allTasks[t];
+        const subs = task.subtasks || [];
+        taskParts.push([task.name, task.status, subs.map(s => [s.name, s.status])]);
+    }
+
+    const log = ticket.activityLog || [];
+
+    return JSON.stringify([
+        boardQueryText,
+        queuePositions.get(ticket.id) || 0,
+        getOpenBlockers(ticket).map(b => [b.id, b.title, b.status]),
+        ticket.autoStartWhenUnblocked,
+        ticket.requirePlanApproval,
+        ticket.planApproved,
+        (ticket.labels || []).map(name => [name, getLabelColor(name)]),
+        ticket.title,
+        ticket.description,
+        ticket.branchName,
+        ticket.plannerLlmId,
+        ticket.status,
+        ticket.createdAt,
+        ticket.containerName,
+        ticket.llmCost,
+        ticket.maxCost,
+        log.length > 0 ? log[log.length - 1] : null,
+        taskParts
+    ]);
+}
+
+function createTicketElement(ticket) {
+    const ticketEl = document.createElement('div');
+    ticketEl.dataset.ticketId = ticket.id;
+    patchTicketElement(ticketEl, ticket);
+
+    ticketEl.addEventListener('click', (e) => {
+        if (ticketEl.classList.contains('dragging')) {
+            return;
+        }
+
+        // Ctrl/Cmd-click toggles a card in the selection, shift-click selects a range; a plain click opens it.
+        if (e.ctrlKey || e.metaKey) {
+            toggleTicketSelection(ticketEl.dataset.ticketId);
+        } else if (e.shiftKey) {
+            e.preventDefault();
+            selectTicketRange(ticketEl.dataset.ticketId);
+        } else {
+            showTicketDetails(ticketEl.dataset.ticketId);
+        }
+    });
+
+    return ticketEl;
+}
+
+// Rewrites a card's attributes and contents from the ticket, keeping the element itself in place.
+function patchTicketElement(ticketEl, ticket) {
+    const status = ticket.status || 'Backlog';
+    const isDraggable = canMoveFrom(status);
+    const isDragging = ticketEl.classList.contains('dragging');
+    const isSelected = selectedTicketIds.has(ticket.id);
+
+    ticketEl.className = `ticket${isDraggable ? ' draggable' : ''}${isDragging ? ' dragging' : ''}${isSelected ? ' selected' : ''}`;
+    ticketEl.dataset.status = status;
+    ticketEl.draggable = !!isDraggable;
+    ticketEl.innerHTML = buildTicketCardHtml(ticket);
+}
+
+function buildTicketCardHtml(ticket) {
+    const status = ticket.status || 'Backlog';
+
+    // Statuses: Incomplete=0, InProgress=1, AwaitingReview=2, Complete=3, Rejected=4
+
+    // Build pip progress bar HTML (each subtask gets a colored pip; tasks without subtasks get a pip from the task status)
+    let pipProgressHtml = '';
+    const allTasks = ticket.tasks || [];
+    let pipItems = [];
+    for (let t = 0; t < allTasks.length; t++) {
+        const task = allTasks[t];
+        const subs = task.subtasks || [];
+        if (subs.length > 0) {
+            for (let s = 0; s < subs.length; s++) {
+                pipItems.push(subs[s].status);
+            }
+        } else {
+            pipItems.push(task.status);
+        }
+    }
+    if (pipItems.length > 0) {
+        const pips = pipItems.map(st => {
+            let pipClass = 'pip-incomplete';
+            if (st === 'Complete' || st === 3) {
+                pipClass = 'pip-complete';
+            } else if (st === 'InProgress' || st === 1) {
+                pipClass = 'pip-inprogress';
+            } else if (st === 'AwaitingReview' || st === 2) {
+                pipClass = 'pip-review';
+            } else if (st === 'Rejected' || st === 4) {
+                pipClass = 'pip-rejected';
+            }
+            return `<div class="pip ${pipClass}"></div>`;
+        }).join('');
+        pipProgressHtml = `<div class="pip-progress-bar">${pips}</div>`;
+    }
+
+    // Find current task and current subtask (first task/subtask with a non-complete status)
+    let currentTaskName = '';
+    let currentSubtaskName = '';
+
+    for (let taskIdx = 0; taskIdx < allTasks.length; taskIdx++) {
+        const task = allTasks[taskIdx];
+        const subs = task.subtasks || [];
+        if (subs.length > 0) {
+            const incompleteSubtask = subs.find(s => s.status !== 'Complete' && s.status !== 3);
+            if (incompleteSubtask) {
+                currentTaskName = task.name || '';
+                currentSubtaskName = incompleteSubtask.name || '';
+                break;
+            }
+        } else {
+            const taskStatus = task.status;
+            if (taskStatus !== 'Complete' && taskStatus !== 3) {
+                currentTaskName = task.name || '';
+                break;
+            }
+        }
+    }
+
+    // Get last activity log entry and parse it
+    let lastLogHtml = '';
+    const visibleText = [];
+    if (ticket.activityLog && ticket.activityLog.length > 0) {
+        const lastLog = ticket.activityLog[ticket.activityLog.length - 1];
+        const parsed = parseLogEntry(lastLog);
+
+        const logClass = getLogEntryClass(parsed.message);
+
+        const displayMessage = parsed.message.length > 75 ? parsed.message.substring(0, 75) + '…' : parsed.message;
+
+        lastLogHtml = `
+            <div class="ticket-activity-log ${logClass}">
+                ${parsed.timestamp ? `<span class="activity-timestamp ${logClass}" data-timestamp="${parsed.timestamp}">${formatRelativeTime(parsed.timestamp)}</span>` : ''}
+                <span class="activity-message">${highlightBoardMatches(displayMessage)}</span>
+            </div>
+        `;
+        visibleText.push(displayMessage);
+    }
+
+    const showContainer = ticket.containerName && status === 'Active';
+    visibleText.push(ticket.title, ticket.id, currentTaskName, currentSubtaskName, showContainer ? ticket.containerName : '');
+
+    return `
+        <div class="ticket-status-indicator"></div>
+        <div class="ticket-header">
+            <div class="ticket-title">${highlightBoardMatches(ticket.title)}</div>
+            <div class="ticket-id">#${highlightBoardMatches(ticket.id)}</div>
+        </div>
+        ${currentTaskName ? `<div class="ticket-current-task">${highlightBoardMatches(currentTaskName)}</div>` : ''}
+        ${currentSubtaskName ? `<div class="ticket-current-subtask">${highlightBoardMatches(currentSubtaskName)}</div>` : ''}
+        ${(ticket.labels || []).length > 0 ? `<div class="ticket-labels">${ticket.labels.map(name => buildLabelChipHtml(name)).join('')}</div>` : ''}
+        ${buildBlockedBadgeHtml(ticket)}
+        ${buildSearchContextHtml(ticket, visibleText.join('\n'))}
+        ${lastLogHtml}
+        <div class="ticket-footer">
+            <div class="ticket-meta">
+                <span>📅 ${formatDate(ticket.createdAt)}</span>
+                ${status === 'Failed' ? `<button class="ticket-retry-btn" title="Resume or restart this ticket" onclick="event.stopPropagation(); showRetryDialog('${ticket.id}')">🔁 Retry</button>` : ''}
+                ${isAwaitingPlanApproval(ticket) && (ticket.tasks || []).length > 0 ? '<span class="review-badge" title="The plan is waiting for your approval">📝 Plan</span>' : ''}
+                ${countAwaitingReview(ticket) > 0 ? `<span class="review-badge" title="Finished work waiting for your approval">👁 ${countAwaitingReview(ticket)}</span>` : ''}
+                ${queuePositions.has(ticket.id) ? `<span class="queue-badge" title="Queued: starts automatically when an Active slot is free">⏳ #${queuePositions.get(ticket.id)}</span>` : ''}
+                ${showContainer ? `<span class="worker-badge">${highlightBoardMatches(ticket.containerName)}</span>` : ''}
+            </div>
+            <div class="ticket-cost-simple">${ticket.maxCost > 0 ? `$${ticket.llmCost.toFixed(2)} / $${ticket.maxCost.toFixed(2)}` : `$${ticket.llmCost.toFixed(4)}`}</div>
+        </div>
+        ${pipProgressHtml}
+    `;
+}
+
+// "Blocked by #3, #7" line on a card. Each id opens that ticket instead of the card itself.
+function buildBlockedBadgeHtml(ticket) {
+    const open = getOpenBlockers(ticket);
+    if (open.length === 0 || (ticket.status || 'Backlog') !== 'Backlog') {
+        return '';
+    }
+
+    const links = open.map(b => `<a href="#" class="blocker-link" title="${escapeAttr(b.title)} (${b.status})" onclick="event.preventDefault(); event.stopPropagation(); showTicketDetails('${b.id}')">#${b.id}</a>`).join(', ');
+    const autoStart = ticket.autoStartWhenUnblocked ? ' <span class="blocked-autostart" title="Starts automatically once every blocker is Done">⚡</span>' : '';
+    return `<div class="ticket-blocked">⛔ Blocked by ${links}${autoStart}</div>`;
+}
+
+function getStatusIcon(status) {
+    const icons = {
+        'Backlog': '📋',
+        'Active': '🚀',
+        'Failed': '❌',
+        'Done': '✅'
+    };
+
+    return icons[status] || '📋';
+}
+
+function formatDate(dateStr) {
+    if (!dateStr) {
+        return '';
+    }
+
+    const date = new Date(dateStr);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+
+    if (diffDays === 0) {
+        return 'Today';
+    }
+
+    if (diffDays === 1) {
+        return 'Yesterday';
+    }
+
+    if (diffDays < 7) {
+        return `${diffDays} days ago`;
+    }
+
+    return date.toLocaleDateString();
+}
+
+function formatRelativeTime(dateStr) {
+    if (!dateStr) {
+        return '';
+    }
+
+    const date = new Date(dateStr);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffSeconds = Math.floor(diffMs / 1000);
+    const diffMinutes = Math.floor(diffSeconds / 60);
+    const diffHours = Math.floor(diffMinutes / 60);
+    const diffDays = Math.floor(diffHours / 24);
+
+    if (diffSeconds < 60) {
+        return `${diffSeconds} sec ago`;
+    }
+
+    if (diffMinutes < 60) {
+        return `${diffMinutes} min ago`;
+    }
+
+    if (diffHours < 24) {
+        return `${diffHours} hr ago`;
+    }
+
+    if (diffDays < 7) {
+        return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+    }
+
+    return date.toLocaleDateString();
+}
+
+// Parse activity log entry into timestamp and message
+function parseLogEntry(logEntry) {
+    if (!logEntry || typeof logEntry !== 'string') {
+        return {
+            timestamp: null,
+            message: logEntry || ''
+        };
+    }
+
+    const trimmed = logEntry.trim();
+    const timestampMatch = trimmed.match(/^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] (.+)$/);
+    if (timestampMatch) {
+        return {
+            timestamp: timestampMatch[1].replace(' ', 'T') + 'Z',
+            message: timestampMatch[2]
+        };
+    }
+
+    // If no timestamp found, log it for debugging (only in console, not visible to user)
+    if (trimmed.startsWith('[')) {
+        console.debug('Failed to parse timestamp from log entry:', trimmed.substring(0, 50));
+    }
+
+    return {
+        timestamp: null,
+        message: trimmed
+    };
+}
+
+// Ticket details modal
+async function showTicketDetails(ticketId) {
+    const wasOpen = currentDetailTicketId === ticketId;
+    currentDetailTicketId = ticketId;
+
+    if (!wasOpen) {
+        expandedDescriptions = { tasks: {}, subtasks: {} };
+        taskEditor = null;
+    }
+
+    // Preserve the chat input cursor across re-renders; the text itself comes back as the conversation's draft.
+    const previousInput = document.getElementById('detailChatInput');
+    const savedInputText = previousInput ? previousInput.value : '';
+    const savedSelStart = previousInput ? previousInput.selectionStart : 0;
+    const savedSelEnd = previousInput ? previousInput.selectionEnd : 0;
+
+    // The activity log search box is moved, not rebuilt, but moving it still drops focus.
+    const focusedLogSearch = document.activeElement && document.activeElement.classList.contains('activity-log-search') ? document.activeElement : null;
+
+    // Same for the inline task editor, which is rebuilt from taskEditor.
+    const focusedTaskField = document.activeElement && document.activeElement.closest('.task-editor') ? document.activeElement.dataset.field : null;
+    const taskFieldCaret = focusedTaskField ? document.activeElement.selectionStart : 0;
+
+    const response = await fetch(`${API_BASE}/tickets/${ticketId}`);
+
+    if (!response.ok) {
+        console.error('Failed to load ticket details');
+        return;
+    }
+
+    const ticket = await response.json();
+    const modal = document.getElementById('ticketDetailModal');
+    const detailDiv = document.getElementById('ticketDetail');
+    const status = ticket.status || 'Backlog';
+
+    // Fetch existing conversations FIRST so buttons can check state properly
+    try {
+        const convosResponse = await fetch(`${API_BASE}/tickets/${ticketId}/conversations`);
+        if (convosResponse.ok) {
+            const convos = await convosResponse.json();
+            if (convos.length > 0) {
+                ticketConversations[ticketId] = convos;
+            }
+        }
+    } catch (error) {
+        console.warn('Could not fetch conversations:', error);
+    }
+
+    // Build task/subtask HTML with status icons
+    let tasksHtml = '<div class="empty-state">No tasks yet</div>';
+
+    if (ticket.tasks && ticket.tasks.length > 0) {
+        tasksHtml = '<ul class="task-list">';
+
+        ticket.tasks.forEach((task, taskIndex) => {
+            if (isEditingTaskItem(ticketId, 'task', task.id)) {
+                tasksHtml += `<li class="task-item" data-task-index="${taskIndex}" data-task-id="${task.id}">${buildTaskEditorHtml()}</li>`;
+                return;
+            }
+
+            const subtasks = task.subtasks || [];
+            const completedSubtasks = subtasks.filter(s => s.status === 'Complete' || s.status === 3).length;
+            const inProgressSubtasks = subtasks.filter(s => 
+                s.status === 'InProgress' || s.status === 1 ||
+                s.status === 'AwaitingReview' || s.status === 2
+            ).length;
+            const taskStatus = task.status;
+            const isComplete = (subtasks.length > 0 && completedSubtasks === subtasks.length) ||
+                               (subtasks.length === 0 && (taskStatus === 'Complete' || taskStatus === 3));
+            const isInProgress = (inProgressSubtasks > 0 || (subtasks.length === 0 && (taskStatus === 'InProgress' || taskStatus === 1))) && status === 'Active';
+
+            let taskIcon = '<span class="task-icon task-icon-incomplete">☐</span>';
+            if (isComplete) {
+                taskIcon = '<span class="task-icon task-icon-complete">✓</span>';
+            } else if (isInProgress) {
+                taskIcon = '<span class="task-icon task-icon-inprogress"><span class="spinner"></span></span>';
+            } else if (subtasks.length === 0 && isAwaitingReview(task)) {
+                taskIcon = '<span class="task-icon task-icon-review">👁</span>';
+            }
+
+            const taskDescription = task.description || '';
+            const hasDescription = taskDescription && taskDescription !== task.name;
+
+            tasksHtml += `
+                <li class="task-item${isComplete ? ' completed' : ''}" data-task-index="${taskIndex}" data-task-id="${task.id}" data-has-description="${hasDescription}">
+                    ${taskIcon}
+                    <div class="task-content">
+                        <div class="task-name-row">
+                            <div class="task-name">${escapeHtml(task.name || task.description || 'Task')}</div>
+                            ${subtasks.length === 0 ? buildReviewActionsHtml(ticketId, task, null) : ''}
+                            ${buildTaskActionsHtml(ticketId, task, null, taskIndex, ticket.tasks.length)}
+                        </div>
+                        ${hasDescription ? `<div class="task-description-full" style="display: none;">${escapeHtml(taskDescription)}</div>` : ''}
+                        ${subtasks.length === 0 ? buildReviewFeedbackHtml(ticketId, task, null) : ''}
+                        ${subtasks.length > 0 || isEditingTaskItem(ticketId, 'newSubtask', task.id) ? `
+                            <div class="subtask-list">
+                                ${subtasks.map((st, stIndex) => {
+                                    if (isEditingTaskItem(ticketId, 'subtask', task.id, st.id)) {
+                                        return `<div class="subtask-item" data-subtask-index="${stIndex}">${buildTaskEditorHtml()}</div>`;
+                                    }
+
+                                    const stStatus = st.status;
+                                    let subtaskIcon = '<span class="subtask-icon subtask-icon-incomplete">☐</span>';
+                                    let subtaskClass = '';
+
+                                    if (stStatus === 'Complete' || stStatus === 3) {
+                                        subtaskIcon = '<span class="subtask-icon subtask-icon-complete">✓</span>';
+                                        subtaskClass = ' completed';
+                                    } else if ((stStatus === 'InProgress' || stStatus === 1) && status === 'Active') {
+                                        subtaskIcon = '<span class="subtask-icon subtask-icon-inprogress"><span class="spinner-sm"></span></span>';
+                                    } else if (stStatus === 'AwaitingReview' || stStatus === 2) {
+                                        subtaskIcon = '<span class="subtask-icon subtask-icon-review">👁</span>';
+                                    } else if (stStatus === 'Rejected' || stStatus === 4) {
+                                        subtaskIcon = '<span class="subtask-icon subtask-icon-rejected">✗</span>';
+                                    }
+
+                                    const stDescription = st.description || '';
+                                    const stHasDescription = stDescription && stDescription !== st.name;
+
+                                    return `
+                                        <div class="subtask-item${subtaskClass}" data-subtask-index="${stIndex}" data-has-description="${stHasDescription}">
+                                            <div class="subtask-name-row">
+                                                ${subtaskIcon}
+                                                <span class="subtask-name">${escapeHtml(st.name || '')}</span>
+                                                ${buildReviewActionsHtml(ticketId, task, st)}
+                                                ${buildTaskActionsHtml(ticketId, task, st, stIndex, subtasks.length)}
+                                            </div>
+                                            ${stHasDescription ? `<div class="subtask-description-full" style="display: none;">${escapeHtml(stDescription)}</div>` : ''}
+                                            ${buildReviewFeedbackHtml(ticketId, task, st)}
+                                        </div>
+                                    `;
+                                }).join('')}
+                                ${isEditingTaskItem(ticketId, 'newSubtask', task.id) ? `<div class="subtask-item">${buildTaskEditorHtml()}</div>` : ''}
+                            </div>
+                        ` : ''}
+                    </div>
+                </li>
+            `;
+        });
+
+        tasksHtml += '</ul>';
+    }
+
+    tasksHtml += isEditingTaskItem(ticketId, 'newTask')
+        ? `<div class="task-item task-item-new">${buildTaskEditorHtml()}</div>`
+        : `<button class="btn-secondary btn-sm task-add-btn" title="Add a task" onclick="editTaskItem('${ticketId}', 'newTask')">+ Add task</button>`;
+
+    tasksHtml = `
+        <label class="checkbox-label task-review-toggle" title="Finished work waits in review until you approve or reject it">
+            <input type="checkbox" ${ticket.requireHumanReview ? 'checked' : ''} onchange="setRequireHumanReview('${ticketId}', this.checked)">
+            Require human review of finished work
+        </label>
+    ` + tasksHtml;
+    const reviewCount = countAwaitingReview(ticket);
+
+    // Build latest activity message
+    let latestActivityHtml = '<div class="detail-latest-activity" style="opacity:0.5;"><span class="activity-message">No activity yet</span></div>';
+    if (ticket.activityLog && ticket.activityLog.length > 0) {
+        const latestLog = ticket.activityLog[ticket.activityLog.length - 1];
+        const parsed = parseLogEntry(latestLog);
+
+        const logClass = getLogEntryClass(parsed.message);
+
+        const displayMessage = parsed.message.length > 100 ? parsed.message.substring(0, 100) + '…' : parsed.message;
+
+        latestActivityHtml = `
+            <div class="detail-latest-activity ${logClass}">
+                ${parsed.timestamp ? `<span class="activity-timestamp ${logClass}" data-timestamp="${parsed.timestamp}">${formatRelativeTime(parsed.timestamp)}</span>` : ''}
+                <span class="activity-message">${escapeHtml(displayMessage)}</span>
+            </div>
+        `;
+    }
+
+    const canDelete = status === 'Backlog' || status === 'Done';
+    const canEdit = status === 'Backlog';
+
+    // Build status action button
+    let statusActionBtn = '';
+    if (status === 'Backlog') {
+        const openBlockers = getOpenBlockers(ticket);
+        if (openBlockers.length > 0) {
+            statusActionBtn = `<button class="btn-primary btn-sm" disabled title="Blocked by #${openBlockers.map(b => b.id).join(', #')}. Those tickets must be Done first.">⛔ Blocked</button>`;
+        } else {
+            statusActionBtn = `<button class="btn-primary btn-sm" title="Start working on this ticket" onclick="moveTicket('${ticketId}', 'Active')">🚀 Start</button>`;
+        }
+        statusActionBtn += ticket.isQueued
+            ? `<button class="btn-secondary btn-sm" title="Remove from the work queue" onclick="toggleTicketQueued('${ticketId}', false)">⏳ Queued #${queuePositions.get(ticketId) || '?'} ✕</button>`
+            : `<button class="btn-secondary btn-sm" title="Start automatically when an Active slot is free" onclick="toggleTicketQueued('${ticketId}', true)">⏳ Queue</button>`;
+    } else if (status === 'Failed') {
+        statusActionBtn = `<button class="btn-primary btn-sm" title="Resume or restart this ticket" onclick="showRetryDialog('${ticketId}')">🔁 Retry</button>`;
+        statusActionBtn += `<button class="btn-danger btn-sm" title="Cancel and return to backlog" onclick="moveTicket('${ticketId}', 'Backlog')">↩️ Cancel</button>`;
+    } else if (status !== 'Done') {
+        statusActionBtn = `<button class="btn-danger btn-sm" title="Cancel and return to backlog" onclick="moveTicket('${ticketId}', 'Backlog')">↩️ Cancel</button>`;
+    } else {
+        statusActionBtn = `<button class="btn-secondary btn-sm" title="Reopen this ticket" onclick="moveTicket('${ticketId}', 'Backlog')">↩️ Reopen</button>`;
+    }
+
+    // Delete button
+    let deleteBtn = '';
+    if (canDelete) {
+        deleteBtn = `<button class="btn-danger btn-sm btn-delete" title="Delete this ticket" onclick="deleteTicket('${ticketId}')">🗑️</button>`;
+    }
+
+    // Title + Description accordion combined
+    let titleDescAccordionHtml = `
+        <div class="accordion" id="titleDescAccordion">
+            <div class="accordion-header">
+                <span>📝 ${escapeHtml(ticket.title)}</span>
+                <span class="accordion-icon">▼</span>
+            </div>
+            <div class="accordion-content">
+                ${canEdit 
+                    ? `<input type="text" id="editTitle" class="edit-title-input" value="${escapeAttr(ticket.title)}" placeholder="Ticket title..." onblur="saveTicketDetails('${ticketId}')">`
+                    : ''
+                }
+                ${canEdit 
+                    ? `<textarea id="editDescription" class="edit-description-input" rows="4" placeholder="Description..." onblur="saveTicketDetails('${ticketId}')">${escapeHtml(ticket.description || '')}</textarea>`
+                    : (ticket.description
+                        ? '<div class="description-text" id="detailDescriptionView"></div>'
+                        : '<div class="description-text">No description provided.</div>')
+                }
+                ${buildDetailLabelPickerHtml(ticket)}
+            </div>
+        </div>
+    `;
+
+    // Dependencies accordion: blockers of this ticket, editable while it is in the Backlog
+    const blockedBy = ticket.blockedBy || [];
+    const openBlockerCount = getOpenBlockers(ticket).length;
+    let blockerRowsHtml = '';
+    for (let i = 0; i < blockedBy.length; i++) {
+        const blocker = tickets.find(t => t.id === blockedBy[i]);
+        const blockerStatus = blocker ? blocker.status : '';
+        blockerRowsHtml += `
+            <div class="dependency-item">
+                ${blocker
+                    ? `<a href="#" class="blocker-link" onclick="event.preventDefault(); showTicketDetails('${blocker.id}')">#${blocker.id}</a>
+                       <span class="dependency-title">${escapeHtml(blocker.title)}</span>
+                       <span class="status-badge ${blockerStatus.toLowerCase()}">${blockerStatus}</span>`
+                    : `<span class="blocker-link">#${escapeHtml(blockedBy[i])}</span><span class="dependency-title">(deleted)</span>`
+                }
+                ${canEdit ? `<button class="btn-secondary btn-sm" title="Remove this blocker" onclick="removeBlocker('${ticketId}', '${escapeHtml(blockedBy[i])}')">✕</button>` : ''}
+            </div>
+        `;
+    }
+
+    let addBlockerHtml = '';
+    if (canEdit) {
+        const candidates = tickets
+            .filter(t => t.id !== ticketId && !blockedBy.includes(t.id))
+            .sort((a, b) => Number(a.id) - Number(b.id));
+        addBlockerHtml = `
+            <div class="dependency-add">
+                <select id="addBlockerSelect" class="detail-chat-select" title="Ticket that must be Done before this one starts">
+                    <option value="">Add a blocker…</option>
+                    ${candidates.map(t => `<option value="${t.id}">#${t.id} ${escapeHtml(t.title)} (${t.status})</option>`).join('')}
+                </select>
+                <button class="btn-secondary btn-sm" title="Add blocker" onclick="addBlocker('${ticketId}')">+ Add</button>
+            </div>
+            <label class="checkbox-label dependency-autostart">
+                <input type="checkbox" id="autoStartWhenUnblocked" ${ticket.autoStartWhenUnblocked ? 'checked' : ''} onchange="setAutoStartWhenUnblocked('${ticketId}', this.checked)">
+                Start automatically when all blockers are Done
+            </label>
+        `;
+    }
+
+    let dependenciesAccordionHtml = `
+        <div class="accordion" id="dependenciesAccordion">
+            <div class="accordion-header">
+                <span>🔗 Blocked by${blockedBy.length > 0 ? ` (${openBlockerCount} open)` : ''}</span>
+                <span class="accordion-icon">▼</span>
+            </div>
+            <div class="accordion-content">
+                ${blockerRowsHtml || '<div class="dependency-empty">No blockers.</div>'}
+                ${addBlockerHtml}
+            </div>
+        </div>
+    `;
+
+    // Tasks accordion with clear button in header
+    let tasksAccordionHtml = `
+        <div class="accordion" id="tasksAccordion">
+            <div class="accordion-header">
+                <span>📋 Tasks${reviewCount > 0 ? ` <span class="review-badge">👁 ${reviewCount} awaiting review</span>` : ''}</span>
+                <button class="btn-secondary btn-sm tasks-clear-btn" title="Clear all tasks" onclick="event.stopPropagation(); clearTasks('${ticketId}')">🧹</button>
+                <span class="accordion-icon">▼</span>
+            </div>
+            <div class="accordion-content">
+                ${tasksHtml}
+            </div>
+        </div>
+    `;
+
+    detailDiv.innerHTML = `
+        <div class="detail-top-bar">
+            <div class="detail-top-bar-row">
+                <div class="detail-top-bar-left">
+                    <span class="status-badge ${status.toLowerCase()}">${status}</span>
+                    ${statusActionBtn}
+                    ${deleteBtn}
+                </div>
+                <div class="detail-top-bar-center">
+                    ${ticket.branchName ? `<span class="branch-name">🌿 ${escapeHtml(ticket.branchName)}</span>` : ''}
+                </div>
+                <div class="detail-top-bar-right">
+                    <span class="ticket-detail-cost">
+                        $${ticket.llmCost.toFixed(2)} / 
+                        ${status === 'Done' 
+                            ? `$${ticket.maxCost.toFixed(2)}` 
+                            : `$<input type="number" id="maxCostInput" class="cost-inline-input" value="${ticket.maxCost.toFixed(2)}" min="0" step="0.01" title="Max cost budget" onchange="updateMaxCost('${ticket.id}')">`
+                        }
+                    </span>
+                    <button class="close" title="Close" aria-label="Close">&times;</button>
+                </div>
+            </div>
+        </div>
+
+        <div class="detail-main-content${splitChat.open ? ' split' : ''}">
+            <div class="detail-left-pane">
+                <div class="detail-pane-header">
+                    ${latestActivityHtml}
+                </div>
+                <div class="detail-pane-scroll">
+                    ${buildPlanApprovalBannerHtml(ticket)}
+                    ${titleDescAccordionHtml}
+                    ${dependenciesAccordionHtml}
+                    ${tasksAccordionHtml}
+                    <div id="activityLogSlot"></div>
+                </div>
+            </div>
+
+            <div class="detail-right-pane">
+                <div class="detail-pane-header">
+                    <div class="detail-conversation-controls">
+                        ${buildPlannerLlmDropdown(ticket, 'detailPlannerLlm')}
+                        <button id="detailConversationToggle" class="detail-chat-select detail-conversation-toggle" title="Show conversations" onclick="toggleConversationTree()">💬 Select conversation…</button>
+                        <button id="detailDeleteConvoBtn" class="btn-secondary btn-sm" title="Delete this conversation" style="display:none;" onclick="deleteSelectedDetailConversation()">🗑️</button>
+                        <button class="btn-secondary btn-sm" title="Delete all finished conversations" onclick="deleteFinishedConversations('${ticketId}')">🧹</button>
+                        <button class="btn-secondary btn-sm" title="Find in conversation" onclick="toggleChatSearch()">🔍</button>
+                        ${buildExportSelectHtml()}
+                        <button id="detailSplitBtn" class="btn-secondary btn-sm${splitChat.open ? ' active' : ''}" title="Show a second conversation side by side" onclick="toggleSplitChat()">◫</button>
+                    </div>
+                    <div class="context-meter" id="detailContextMeter" hidden></div>
+                </div>
+                <div class="conversation-tree" id="detailConversationTree" ${conversationTreeOpen ? '' : 'hidden'}></div>
+                ${buildChatSearchBarHtml()}
+                <div class="detail-chat-messages" id="detailChatMessages">
+                    <div class="chat-msg chat-msg-system">Select a conversation above.</div>
+                </div>
+                <div class="detail-chat-input-area">
+                    <div class="chat-command-menu" id="detailChatCommandMenu" hidden></div>
+                    <textarea id="detailChatInput" class="detail-chat-input" placeholder="Type a message, or / for commands…" rows="1" disabled></textarea>
+                    <button id="detailChatStopBtn" class="btn-danger detail-chat-btn inactive" title="Stop generation" onclick="interruptConversation()">■</button>
+                    <button id="detailClearConvoBtn" class="btn-secondary detail-chat-btn" title="Clear conversation" onclick="clearConversation('${ticketId}')">🔄</button>
+                    <button id="detailChatSendBtn" class="btn-primary detail-chat-btn" title="Send message" disabled>→</button>
+                </div>
+            </div>
+
+            ${buildSplitChatPaneHtml()}
+        </div>
+    `;
+
+    modal.classList.add('active');
+
+    const descriptionView = document.getElementById('detailDescriptionView');
+    if (descriptionView) {
+        fillMarkdownView(descriptionView, ticket.description, rawDescriptionTicketIds.has(ticketId), (showRaw) => {
+            if (showRaw) {
+                rawDescriptionTicketIds.add(ticketId);
+            } else {
+                rawDescriptionTicketIds.delete(ticketId);
+            }
+        });
+    }
+
+    mountActivityLog(ticket);
+
+    const taskEditorField = detailDiv.querySelector(focusedTaskField ? `.task-editor [data-field="${focusedTaskField}"]` : '.task-editor [data-field]');
+    if (taskEditorField && (focusedTaskField || taskEditor.focusOnRender)) {
+        const caret = focusedTaskField ? taskFieldCaret : taskEditorField.value.length;
+        taskEditorField.focus();
+        taskEditorField.setSelectionRange(caret, caret);
+        taskEditor.focusOnRender = false;
+    }
+
+    if (focusedLogSearch && focusedLogSearch.isConnected) {
+        const caret = focusedLogSearch.selectionStart;
+        focusedLogSearch.focus();
+        focusedLogSearch.setSelectionRange(caret, caret);
+    }
+
+    // Setup close button
+    const closeBtn = detailDiv.querySelector('.close');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+            modal.classList.remove('active');
+            currentDetailTicketId = null;
+            detailChatTicketId = null;
+            detailChatConversationId = null;
+        });
+    }
+
+    // Restore accordion states from localStorage
+    const accordionStates = getTicketAccordionStates(ticketId);
+
+    const titleDescAccordion = detailDiv.querySelector('#titleDescAccordion');
+    const tasksAccordion = detailDiv.querySelector('#tasksAccordion');
+
+    if (titleDescAccordion) {
+        if (accordionStates.titleDesc !== false) {
+            titleDescAccordion.classList.remove('collapsed');
+        } else {
+            titleDescAccordion.classList.add('collapsed');
+        }
+    }
+
+    const dependenciesAccordion = detailDiv.querySelector('#dependenciesAccordion');
+    if (dependenciesAccordion) {
+        const hasBlockers = (ticket.blockedBy || []).length > 0;
+        if (accordionStates.dependencies === true || (accordionStates.dependencies === undefined && hasBlockers)) {
+            dependenciesAccordion.classList.remove('collapsed');
+        } else {
+            dependenciesAccordion.classList.add('collapsed');
+        }
+    }
+
+    if (tasksAccordion) {
+        if (accordionStates.tasks || (accordionStates.tasks === undefined && isAwaitingPlanApproval(ticket))) {
+            tasksAccordion.classList.remove('collapsed');
+        } else {
+            tasksAccordion.classList.add('collapsed');
+        }
+    }
+
+    // Setup accordion click handlers with state saving
+    const titleDescAccordionHeader = detailDiv.querySelector('#titleDescAccordion .accordion-header');
+    const tasksAccordionHeader = detailDiv.querySelector('#tasksAccordion .accordion-header');
+
+    if (titleDescAccordionHeader) {
+        titleDescAccordionHeader.addEventListener('click', function(e) {
+            const accordion = this.closest('.accordion');
+            accordion.classList.toggle('collapsed');
+            const states = getTicketAccordionStates(ticketId);
+            states.titleDesc = !accordion.classList.contains('collapsed');
+            saveTicketAccordionStates(ticketId, states);
+        });
+    }
+
+    const dependenciesAccordionHeader = detailDiv.querySelector('#dependenciesAccordion .accordion-header');
+    if (dependenciesAccordionHeader) {
+        dependenciesAccordionHeader.addEventListener('click', function(e) {
+            const accordion = this.closest('.accordion');
+            accordion.classList.toggle('collapsed');
+            const states = getTicketAccordionStates(ticketId);
+            states.dependencies = !accordion.classList.contains('collapsed');
+            saveTicketAccordionStates(ticketId, states);
+        });
+    }
+
+    if (tasksAccordionHeader) {
+        tasksAccordionHeader.addEventListener('click', function(e) {
+            if (e.target.closest('.tasks-clear-btn')) {
+                return;
+            }
+            const accordion = this.closest('.accordion');
+            accordion.classList.toggle('collapsed');
+            const states = getTicketAccordionStates(ticketId);
+            states.tasks = !accordion.classList.contains('collapsed');
+            saveTicketAccordionStates(ticketId, states);
+        });
+    }
+
+    // Add click handlers for expandable tasks and subtasks
+    detailDiv.querySelectorAll('.task-item[data-has-description="true"]').forEach(taskItem => {
+        const taskIndex = taskItem.dataset.taskIndex;
+        const descDiv = taskItem.querySelector('.task-description-full');
+        const indicator = taskItem.querySelector('.expand-indicator');
+
+        if (expandedDescriptions.tasks[taskIndex]) {
+            descDiv.style.display = 'block';
+            if (indicator) indicator.textContent = '▼';
+        }
+
+        taskItem.addEventListener('click', (e) => {
+            if (e.target.closest('.subtask-item, .task-actions, .review-actions, .task-editor')) {
+                return;
+            }
+            const isVisible = descDiv.style.display !== 'none';
+
+            if (!isVisible) {
+                Object.keys(expandedDescriptions.tasks).forEach(key => {
+                    expandedDescriptions.tasks[key] = false;
+                });
+                Object.keys(expandedDescriptions.subtasks).forEach(key => {
+                    expandedDescriptions.subtasks[key] = false;
+                });
+                detailDiv.querySelectorAll('.task-description-full, .subtask-description-full').forEach(div => {
+                    div.style.display = 'none';
+                });
+                detailDiv.querySelectorAll('.expand-indicator').forEach(ind => {
+                    ind.textContent = 'ⓘ';
+                });
+
+                descDiv.style.display = 'block';
+                if (indicator) indicator.textContent = '▼';
+                expandedDescriptions.tasks[taskIndex] = true;
+            } else {
+                descDiv.style.display = 'none';
+                if (indicator) indicator.textContent = 'ⓘ';
+                expandedDescriptions.tasks[taskIndex] = false;
+            }
+        });
+    });
+
+    detailDiv.querySelectorAll('.subtask-item[data-has-description="true"]').forEach(subtaskItem => {
+        const taskIndex = subtaskItem.closest('.task-item').dataset.taskIndex;
+        const subtaskIndex = subtaskItem.dataset.subtaskIndex;
+        const stKey = `${taskIndex}-${subtaskIndex}`;
+        const descDiv = subtaskItem.querySelector('.subtask-description-full');
+        const indicator = subtaskItem.querySelector('.expand-indicator');
+
+        if (expandedDescriptions.subtasks[stKey]) {
+            descDiv.style.display = 'block';
+            if (indicator) indicator.textContent = '▼';
+        }
+
+        subtaskItem.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (e.target.closest('.task-actions, .review-actions, .task-editor')) {
+                return;
+            }
+            const isVisible = descDiv.style.display !== 'none';
+
+            if (!isVisible) {
+                Object.keys(expandedDescriptions.tasks).forEach(key => {
+                    expandedDescriptions.tasks[key] = false;
+                });
+                Object.keys(expandedDescriptions.subtasks).forEach(key => {
+                    expandedDescriptions.subtasks[key] = false;
+                });
+                detailDiv.querySelectorAll('.task-description-full, .subtask-description-full').forEach(div => {
+                    div.style.display = 'none';
+                });
+                detailDiv.querySelectorAll('.expand-indicator').forEach(ind => {
+                    ind.textContent = 'ⓘ';
+                });
+
+                descDiv.style.display = 'block';
+                if (indicator) indicator.textContent = '▼';
+                expandedDescriptions.subtasks[stKey] = true;
+            } else {
+                descDiv.style.display = 'none';
+                if (indicator) indicator.textContent = 'ⓘ';
+                expandedDescriptions.subtasks[stKey] = false;
+            }
+        });
+    });
+
+    // Subscribe to updates for this ticket
+    if (connection && connection.state === signalR.HubConnectionState.Connected) {
+        try {
+            await connection.invoke('SubscribeToTicket', ticketId);
+        } catch (error) {
+            console.warn('Could not subscribe to ticket updates:', error);
+        }
+    }
+
+    // Setup inline chat
+    setupDetailChat(ticketId);
+    setupSplitChat();
+
+    // Restore the chat input cursor when the same draft is back in place.
+    if (savedInputText) {
+        const restoredInput = document.getElementById('detailChatInput');
+        if (restoredInput && restoredInput.value === savedInputText) {
+            restoredInput.selectionStart = savedSelStart;
+            restoredInput.selectionEnd = savedSelEnd;
+        }
+    }
+}
+
+// Inline chat inside the ticket detail modal.
+let detailChatTicketId = null;
+let detailChatConversationId = null;
+
+function setupDetailChat(ticketId) {
+    const previousConversationId = (detailChatTicketId === ticketId) ? detailChatConversationId : null;
+    detailChatTicketId = ticketId;
+    detailChatConversationId = null;
+
+    const messagesDiv = document.getElementById('detailChatMessages');
+    const input = document.getElementById('detailChatInput');
+    const sendBtn = document.getElementById('detailChatSendBtn');
+    const deleteBtn = document.getElementById('detailDeleteConvoBtn');
+    if (!messagesDiv || !input || !sendBtn) return;
+
+    const convos = ticketConversations[ticketId] || [];
+
+    // Determine which conversation to select: in-memory state > localStorage > most active.
+    let selectedConvId = previousConversationId;
+    let scrollState = { atBottom: true };
+
+    if (!selectedConvId || !convos.some(c => c.id === selectedConvId)) {
+        const saved = getTicketConversationState(ticketId);
+        if (saved && convos.some(c => c.id === saved.conversationId)) {
+            selectedConvId = saved.conversationId;
+            scrollState = saved.scrollState || { atBottom: true };
+        } else {
+            selectedConvId = pickDefaultConversation(convos);
+            scrollState = { atBottom: true };
+        }
+    }
+
+    // Restore selection if valid.
+    if (selectedConvId && convos.some(c => c.id === selectedConvId)) {
+        detailChatConversationId = selectedConvId;
+        const info = convos.find(c => c.id === selectedConvId);
+        setDetailChatEnabled(!(info && info.isFinished));
+        if (deleteBtn) deleteBtn.style.display = info ? '' : 'none';
+        loadAndRestoreDetailConversation(ticketId, selectedConvId, scrollState);
+        updateBusyIndicators(ticketId, selectedConvId, !!busyConversations[`${ticketId}:${selectedConvId}`]);
+        syncLlmDropdownToConversation(ticketId, selectedConvId, 'detailPlannerLlm');
+    }
+
+    renderConversationTree(ticketId);
+    loadComposerDraft(input, ticketId, detailChatConversationId);
+    hideChatCommandMenu();
+
+    sendBtn.addEventListener('click', sendDetailMessage);
+    input.addEventListener('keydown', (e) => {
+        if (handleChatCommandMenuKey(e)) {
+            // Escape here only closes the menu, not the modal.
+            e.preventDefault();
+            e.stopPropagation();
+        } else if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendDetailMessage();
+        } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && !e.shiftKey && recallChatHistory(input, e.key === 'ArrowUp' ? -1 : 1)) {
+            e.preventDefault();
+            if (detailChatConversationId) {
+                saveConversationDraft(detailChatTicketId, detailChatConversationId, input.value);
+            }
+            hideChatCommandMenu();
+        }
+    });
+    input.addEventListener('input', () => {
+        chatHistoryBrowse = null;
+        resizeChatInput(input);
+        if (detailChatConversationId) {
+            saveConversationDraft(detailChatTicketId, detailChatConversationId, input.value);
+        }
+        updateChatCommandMenu(input);
+    });
+    input.addEventListener('blur', hideChatCommandMenu);
+
+    // Track scroll position with debouncing.
+    let scrollTimeout = null;
+    messagesDiv.addEventListener('scroll', () => {
+        if (!detailChatTicketId || !detailChatConversationId) return;
+        clearTimeout(scrollTimeout);
+        scrollTimeout = setTimeout(() => {
+            saveTicketConversationState(detailChatTicketId, detailChatConversationId, readPaneScroll(messagesDiv));
+        }, 300);
+    });
+}
+
+function setDetailChatEnabled(enabled) {
+    const input = document.getElementById('detailChatInput');
+    const btn = document.getElementById('detailChatSendBtn');
+    if (input) {
+        input.disabled = !enabled;
+        input.placeholder = enabled ? 'Type a message, or / for commands…' : 'Conversation finished.';
+    }
+    if (btn) btn.disabled = !enabled;
+    if (!enabled) hideChatCommandMenu();
+}
+
+// Composer helpers shared by the chat panes: drafts, sent-message recall and slash commands.
+const CHAT_HISTORY_LIMIT = 50;
+let chatHistoryBrowse = null; // {input, index, draft} while stepping through sent messages
+
+function resizeChatInput(input) {
+    input.style.height = '';
+    input.style.height = Math.min(input.scrollHeight, 80) + 'px';
+}
+
+// Shows the conversation's saved draft in a composer, or empties it when nothing is selected.
+function loadComposerDraft(input, ticketId, conversationId) {
+    if (!input) return;
+    input.value = ticketId && conversationId ? getConversationDraft(ticketId, conversationId) : '';
+    resizeChatInput(input);
+    if (chatHistoryBrowse && chatHistoryBrowse.input === input) {
+        chatHistoryBrowse = null;
+    }
+}
+
+// Steps back (-1) or forward (1) through sent messages, like a shell. It only acts while the caret is on
+// the first line (going back) or the last line (going forward), so multi-line drafts stay editable, and
+// stepping past the newest entry restores what was being typed. Returns true when it changed the input.
+function recallChatHistory(input, step) {
+    const history = getChatHistory();
+    const before = input.value.slice(0, input.selectionStart);
+    const after = input.value.slice(input.selectionEnd);
+    if (history.length === 0 || (step < 0 ? before.includes('\n') : after.includes('\n'))) {
+        return false;
+    }
+
+    if (!chatHistoryBrowse || chatHistoryBrowse.input !== input) {
+        if (step > 0) return false;
+        chatHistoryBrowse = { input, index: history.length, draft: input.value };
+    }
+
+    const index = Math.min(chatHistoryBrowse.index + step, history.length);
+    if (index < 0) return true;
+    if (index === history.length) {
+        input.value = chatHistoryBrowse.draft;
+        chatHistoryBrowse = null;
+    } else {
+        chatHistoryBrowse.index = index;
+        input.value = history[index];
+    }
+    input.selectionStart = input.selectionEnd = input.value.length;
+    resizeChatInput(input);
+    return true;
+}
+
+const CHAT_SLASH_COMMANDS = [
+    { name: 'stop', usage: '/stop', description: 'Stop generation' },
+    { name: 'clear', usage: '/clear', description: 'Reset this conversation' },
+    { name: 'model', usage: '/model <name>', description: 'Switch the planner LLM' }
+];
+
+let chatCommandMenu = { items: [], index: 0 };
+
+// Suggestions for the composer text: command names while the first word is typed, then model names
+// for /model. Each suggestion carries the text it completes to and whether that text runs as-is.
+function getChatCommandSuggestions(text) {
+    const match = /^\/(\S*)(\s+(.*))?$/.exec(text);
+    if (!match) return [];
+
+    const name = match[1].toLowerCase();
+    if (match[2] === undefined) {
+        return CHAT_SLASH_COMMANDS
+            .filter(c => c.name.startsWith(name))
+            .map(c => ({
+                label: c.usage,
+                description: c.description,
+                value: c.name === 'model' ? '/model ' : `/${c.name}`,
+                complete: c.name !== 'model'
+            }));
+    }
+
+    if (name !== 'model') return [];
+    const query = match[3].trim().toLowerCase();
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+    return llmConfigs
+        .filter(c => c.model && c.model.toLowerCase().includes(query))
+        .map(c => ({ label: c.model, description: c.id === getCurrentPlannerLlmId() ? 'Current' : '', value: `/model ${c.model}`, complete: true }));
+}
+
+function getCurrentPlannerLlmId() {
+    const select = document.getElementById('detailPlannerLlm');
+    return select ? select.value : '';
+}
+
+function updateChatCommandMenu(input) {
+    const menu = document.getElementById('detailChatCommandMenu');
+    if (!menu) return;
+
+    const items = input.value.includes('\n') ? [] : getChatCommandSuggestions(input.value);
+    const previous = chatCommandMenu.items[chatCommandMenu.index];
+    const keptIndex = previous ? items.findIndex(i => i.value === previous.value) : -1;
+    chatCommandMenu = { items, index: Math.max(0, keptIndex) };
+    renderChatCommandMenu();
+}
+
+function renderChatCommandMenu() {
+    const menu = document.getElementById('detailChatCommandMenu');
+    if (!menu) return;
+
+    const { items, index } = chatCommandMenu;
+    menu.hidden = items.length === 0;
+    menu.innerHTML = items.map((item, i) => `
+        <div class="chat-command-item${i === index ? ' selected' : ''}" onmousedown="event.preventDefault(); pickChatCommand(${i})">
+            <span class="chat-command-label">${escapeHtml(item.label)}</span>
+            ${item.description ? `<span class="chat-command-description">${escapeHtml(item.description)}</span>` : ''}
+        </div>
+    `).join('');
+}
+
+function hideChatCommandMenu() {
+    chatCommandMenu = { items: [], index: 0 };
+    renderChatCommandMenu();
+}
+
+// Completes the composer to the chosen suggestion, running it when nothing more needs typing.
+function pickChatCommand(index) {
+    const input = document.getElementById('detailChatInput');
+    const item = chatCommandMenu.items[index];
+    if (!input || !item) return;
+
+    input.value = item.value;
+    input.selectionStart = input.selectionEnd = input.value.length;
+    input.focus();
+    if (item.complete) {
+        hideChatCommandMenu();
+        sendDetailMessage();
+    } else {
+        input.dispatchEvent(new Event('input'));
+    }
+}
+
+// Handles the menu's keys. Returns true when the key was used.
+function handleChatCommandMenuKey(e) {
+    const { items, index } = chatCommandMenu;
+    if (items.length === 0) return false;
+
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        chatCommandMenu.index = (index + (e.key === 'ArrowUp' ? -1 : 1) + items.length) % items.length;
+        renderChatCommandMenu();
+        return true;
+    }
+    if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+        const input = document.getElementById('detailChatInput');
+        // Enter on text that already is the suggestion falls through to send it.
+        if (e.key === 'Enter' && input && input.value.trim() === items[index].value.trim()) {
+            return false;
+        }
+        pickChatCommand(index);
+        return true;
+    }
+    if (e.key === 'Escape') {
+        hideChatCommandMenu();
+        return true;
+    }
+    return false;
+}
+
+// Runs a slash command typed into the main composer. Returns null when the text isn't a known command, so
+// messages that merely start with a slash (a file path, say) are sent as usual, and false when the command
+// couldn't run, leaving the text in place to fix.
+function runChatCommand(text) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(text);
+    const command = match ? CHAT_SLASH_COMMANDS.find(c => c.name === match[1].toLowerCase()) : null;
+    if (!command) return null;
+
+    const ticketId = detailChatTicketId;
+    const arg = match[2].trim();
+    if (command.name === 'stop') {
+        interruptConversation();
+    } else if (command.name === 'clear') {
+        clearConversation(ticketId);
+    } else if (command.name === 'model') {
+        if (!arg) {
+            alert('Usage: /model <name>');
+            return false;
+        }
+        const llmConfigs = (settings && settings.llmConfigs) || [];
+        const wanted = arg.toLowerCase();
+        const matches = llmConfigs.filter(c => c.model && c.model.toLowerCase().includes(wanted));
+        const config = llmConfigs.find(c => (c.model || '').toLowerCase() === wanted || c.id === arg) || (matches.length === 1 ? matches[0] : null);
+        if (!config) {
+            alert(matches.length ? `'${arg}' matches more than one model.` : `No model named '${arg}'.`);
+            return false;
+        }
+        updatePlannerLlm(ticketId, config.id);
+    }
+    return true;
+}
+
+function sendDetailMessage() {
+    const input = document.getElementById('detailChatInput');
+    const text = input ? input.value.trim() : '';
+    if (!text || !detailChatTicketId || !detailChatConversationId) return;
+
+    const ran = text.startsWith('/') ? runChatCommand(text) : null;
+    if (ran === false) {
+        return;
+    }
+    if (ran === null) {
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+        connection.invoke('SendChatToWorker', detailChatTicketId, detailChatConversationId, text).catch(() => {});
+    }
+
+    addChatHistory(text);
+    saveConversationDraft(detailChatTicketId, detailChatConversationId, '');
+    chatHistoryBrowse = null;
+    input.value = '';
+    input.style.height = '';
+    hideChatCommandMenu();
+}
+
+window.pickChatCommand = pickChatCommand;
+
+// Find in conversation. The query survives modal re-renders and conversation reloads; hits are
+// <mark> elements wrapped around matching text, rebuilt whenever the message list is redrawn.
+let chatSearch = { open: false, query: '', index: 0 };
+let chatSearchHits = [];
+let chatSearchMatchesOutside = false;
+let chatSearchTimer = null;
+
+// Text inside these is either a duplicate view (raw ANSI) or control chrome, so it is not searched.
+const CHAT_SEARCH_SKIP = '.ansi-raw, .ansi-raw-toggle, .md-toggle, .chat-tool-icon, .spinner-dots, .chat-window-more';
+
+function buildChatSearchBarHtml() {
+    return `
+        <div class="detail-chat-search" id="detailChatSearch" ${chatSearch.open ? '' : 'hidden'}>
+            <input type="text" id="detailChatSearchInput" class="detail-chat-search-input" placeholder="Find in conversation…"
+                value="${escapeAttr(chatSearch.query)}"
+                oninput="onChatSearchInput(this.value)" onkeydown="handleChatSearchKey(event)">
+            <span class="detail-chat-search-count" id="detailChatSearchCount"></span>
+            <button class="btn-secondary btn-sm" title="Previous match (Shift+Enter)" onclick="stepChatSearch(-1)">↑</button>
+            <button class="btn-secondary btn-sm" title="Next match (Enter)" onclick="stepChatSearch(1)">↓</button>
+            <button class="btn-secondary btn-sm" title="Close search (Esc)" onclick="toggleChatSearch(false)">✕</button>
+        </div>
+    `;
+}
+
+function toggleChatSearch(open = !chatSearch.open) {
+    chatSearch.open = open;
+    const bar = document.getElementById('detailChatSearch');
+    if (bar) {
+        bar.hidden = !open;
+    }
+
+    if (open) {
+        const input = document.getElementById('detailChatSearchInput');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    } else {
+        chatSearch.query = '';
+        const input = document.getElementById('detailChatSearchInput');
+        if (input) {
+            input.value = '';
+        }
+    }
+    applyChatSearch(false);
+}
+
+function onChatSearchInput(value) {
+    clearTimeout(chatSearchTimer);
+    chatSearchTimer = setTimeout(() => {
+        chatSearch.query = value;
+        chatSearch.index = 0;
+        applyChatSearch(true);
+    }, 150);
+}
+
+function handleChatSearchKey(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        // Typing then pressing Enter straight away should search, not step through stale hits.
+        if (event.target.value !== chatSearch.query) {
+            clearTimeout(chatSearchTimer);
+            chatSearch.query = event.target.value;
+            chatSearch.index = 0;
+            applyChatSearch(true);
+        } else {
+            stepChatSearch(event.shiftKey ? -1 : 1);
+        }
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        toggleChatSearch(false);
+    }
+}
+
+function clearChatSearchHighlights(messagesDiv) {
+    const parents = new Set();
+    messagesDiv.querySelectorAll('mark.chat-search-hit').forEach(mark => {
+        parents.add(mark.parentNode);
+        mark.replaceWith(document.createTextNode(mark.textContent));
+    });
+    parents.forEach(parent => parent.normalize());
+    chatSearchHits = [];
+}
+
+// Re-highlights every match in the message list. scroll moves the view to the current hit.
+// newlyOutside is a [from, to) range of messages that just left the window or arrived outside it;
+// when given, only those are checked for matches outside the window instead of the whole conversation.
+function applyChatSearch(scroll, newlyOutside = null) {
+    const messagesDiv = document.getElementById('detailChatMessages');
+    if (!messagesDiv) {
+        return;
+    }
+
+    clearChatSearchHighlights(messagesDiv);
+    const query = chatSearch.open ? chatSearch.query.toLowerCase() : '';
+
+    if (query) {
+        const walker = document.createTreeWalker(messagesDiv, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest(CHAT_SEARCH_SKIP) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+        const nodes = [];
+        while (walker.nextNode()) {
+            if (walker.currentNode.nodeValue.toLowerCase().includes(query)) {
+                nodes.push(walker.currentNode);
+            }
+        }
+
+        for (const node of nodes) {
+            const text = node.nodeValue;
+            const lower = text.toLowerCase();
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            let at = lower.indexOf(query);
+            while (at >= 0) {
+                fragment.appendChild(document.createTextNode(text.slice(last, at)));
+                const mark = document.createElement('mark');
+                mark.className = 'chat-search-hit';
+                mark.textContent = text.slice(at, at + query.length);
+                fragment.appendChild(mark);
+                chatSearchHits.push(mark);
+                last = at + query.length;
+                at = lower.indexOf(query, last);
+            }
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.replaceWith(fragment);
+        }
+
+        // A new search with nothing in view moves to the newest match before the window.
+        if (scroll && chatSearchHits.length === 0 && jumpToSearchMatch(-1)) {
+            return;
+        }
+    }
+    if (!query) {
+        chatSearchMatchesOutside = false;
+    } else if (newlyOutside) {
+        // Live messages only ever add to what lies outside the window, so an earlier match still counts.
+        const msgs = conversationMessages[getChatPaneKey(messagesDiv)] || [];
+        for (let i = newlyOutside[0]; i < newlyOutside[1] && !chatSearchMatchesOutside; i++) {
+            chatSearchMatchesOutside = messageMatchesSearch(msgs[i], query);
+        }
+    } else {
+        chatSearchMatchesOutside = findSearchMatchOutsideWindow(messagesDiv, query, 1) !== null;
+    }
+
+    chatSearch.index = chatSearchHits.length ? Math.min(chatSearch.index, chatSearchHits.length - 1) : 0;
+    showCurrentChatSearchHit(scroll);
+}
+
+function stepChatSearch(delta) {
+    // Stepping past the first or last hit in view moves the window to the next match outside it.
+    const next = chatSearch.index + delta;
+    if ((next < 0 || next >= chatSearchHits.length) && jumpToSearchMatch(delta)) {
+        return;
+    }
+    if (chatSearchHits.length === 0) {
+        return;
+    }
+    chatSearch.index = (chatSearch.index + delta + chatSearchHits.length) % chatSearchHits.length;
+    showCurrentChatSearchHit(true);
+}
+
+// Marks the current hit, opening any collapsed tool accordion or grep match list around it.
+function showCurrentChatSearchHit(scroll) {
+    const count = document.getElementById('detailChatSearchCount');
+    if (count) {
+        const more = chatSearchMatchesOutside ? '+' : '';
+        count.textContent = !chatSearch.query ? '' : (chatSearchHits.length ? `${chatSearch.index + 1} of ${chatSearchHits.length}${more}` : (more ? 'Not in view' : 'No matches'));
+        count.title = more ? 'More matches in messages not shown; step past the last hit to reach them' : '';
+    }
+
+    chatSearchHits.forEach(mark => mark.classList.remove('current'));
+    const hit = chatSearchHits[chatSearch.index];
+    if (!hit) {
+        return;
+    }
+    hit.classList.add('current');
+    if (!scroll) {
+        return;
+    }
+
+    const body = hit.closest('.chat-tool-body, .chat-chapter-body');
+    if (body && !body.classList.contains('open')) {
+        body.classList.add('open');
+        const icon = body.parentElement.querySelector('.chat-tool-icon');
+        if (icon) {
+            icon.classList.add('open');
+        }
+    }
+    const matches = hit.closest('.tool-file-matches');
+    if (matches && matches.hidden) {
+        matches.hidden = false;
+        const button = matches.parentElement.querySelector('.tool-file');
+        if (button) {
+            button.classList.add('open');
+        }
+    }
+    hit.scrollIntoView({ block: 'center' });
+}
+
+window.toggleChatSearch = toggleChatSearch;
+window.onChatSearchInput = onChatSearchInput;
+window.handleChatSearchKey = handleChatSearchKey;
+window.stepChatSearch = stepChatSearch;
+
+// Returns a conversation's messages, fetching them once and caching them with their tool durations.
+async function fetchConversationMessages(ticketId, conversationId) {
+    const key = `${ticketId}:${conversationId}`;
+    if (conversationMessages[key]) {
+        return conversationMessages[key];
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/${conversationId}`);
+        if (!response.ok) {
+            return [];
+        }
+        const data = await response.json();
+        conversationMessages[key] = data.messages || [];
+        conversationToolDurations[key] = data.toolDurations || {};
+        conversationChapters[key] = { summaries: data.chapterSummaries || [], compactedAt: data.chapterCompactedAt || [] };
+        return conversationMessages[key];
+    } catch {
+        return [];
+    }
+}
+
+// Redraws a chat pane. The container remembers which conversation it shows so tool rows rendered
+// into it later can find their recorded durations and pending entries.
+// Only messages[startIndex, endIndex) are drawn, by default the newest CHAT_WINDOW_SIZE. Scrolling
+// toward either edge adds a chunk there and drops one from the far edge, so a pane never holds more
+// than CHAT_WINDOW_MAX messages.
+function renderConversationInto(messagesDiv, ticketId, conversationId, msgs,
+    startIndex = Math.max(0, msgs.length - CHAT_WINDOW_SIZE), endIndex = Math.min(msgs.length, startIndex + CHAT_WINDOW_MAX)) {
+    messagesDiv.dataset.ticketId = ticketId;
+    messagesDiv.dataset.conversationId = conversationId;
+    messagesDiv.dataset.firstIndex = startIndex;
+    messagesDiv.dataset.endIndex = endIndex;
+    messagesDiv.innerHTML = '';
+    prunePendingToolCalls(ticketId);
+    if (startIndex === 0) {
+        appendChapterDividers(messagesDiv);
+    }
+    renderMessageRange(messagesDiv, msgs, startIndex, endIndex);
+    updateWindowButtons(messagesDiv);
+    updateContextMeters();
+
+    if (!messagesDiv.dataset.windowed) {
+        messagesDiv.dataset.windowed = 'true';
+        messagesDiv.addEventListener('scroll', () => {
+            if (messagesDiv.scrollTop < CHAT_WINDOW_LOAD_DISTANCE) {
+                loadMoreMessages(messagesDiv, -1);
+            } else if (messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < CHAT_WINDOW_LOAD_DISTANCE) {
+                loadMoreMessages(messagesDiv, 1);
+            }
+        });
+    }
+}
+
+const CHAT_WINDOW_SIZE = 200;
+const CHAT_WINDOW_CHUNK = 100;
+const CHAT_WINDOW_MAX = 400;
+const CHAT_WINDOW_LOAD_DISTANCE = 150;
+
+function getWindowRange(messagesDiv) {
+    return { first: Number(messagesDiv.dataset.firstIndex || 0), end: Number(messagesDiv.dataset.endIndex || 0) };
+}
+
+// True when the pane's window ends at the conversation's newest message, so live messages belong in it.
+function isWindowAtEnd(messagesDiv) {
+    const msgs = conversationMessages[getChatPaneKey(messagesDiv)] || [];
+    return getWindowRange(messagesDiv).end >= msgs.length;
+}
+
+// Draws messages[from, to) and tags each new element with the index of the message it came from.
+function renderMessageRange(container, messages, from, to) {
+    for (let i = from; i < to; i++) {
+        const last = container.lastElementChild;
+        renderDetailChatMessage(messages, i, container);
+        for (let el = last ? last.nextElementSibling : container.firstElementChild; el; el = el.nextElementSibling) {
+            if (el.dataset.messageIndex === undefined) {
+                el.dataset.messageIndex = i;
+            }
+        }
+    }
+}
+
+// Adds up to count messages above the window, keeping the view still while content grows above it,
+// then drops messages from the bottom past CHAT_WINDOW_MAX.
+function showEarlierMessages(messagesDiv, count) {
+    const msgs = conversationMessages[getChatPaneKey(messagesDiv)];
+    const { first } = getWindowRange(messagesDiv);
+    if (!msgs || first === 0) {
+        return false;
+    }
+    const from = Math.max(0, first - count);
+
+    const staging = createStagingPane(messagesDiv);
+    if (from === 0) {
+        appendChapterDividers(staging);
+    }
+    renderMessageRange(staging, msgs, from, first);
+
+    const previousHeight = messagesDiv.scrollHeight;
+    const button = messagesDiv.querySelector(':scope > .chat-window-more.earlier');
+    const before = button ? button.nextSibling : messagesDiv.firstChild;
+    while (staging.firstChild) {
+        messagesDiv.insertBefore(staging.firstChild, before);
+    }
+    messagesDiv.dataset.firstIndex = from;
+    messagesDiv.scrollTop += messagesDiv.scrollHeight - previousHeight;
+    trimWindow(messagesDiv, from, Math.min(getWindowRange(messagesDiv).end, from + CHAT_WINDOW_MAX));
+    return true;
+}
+
+// Adds up to count messages below the window, then drops messages from the top past CHAT_WINDOW_MAX.
+function showLaterMessages(messagesDiv, count) {
+    const msgs = conversationMessages[getChatPaneKey(messagesDiv)];
+    const { first, end } = getWindowRange(messagesDiv);
+    if (!msgs || end >= msgs.length) {
+        return false;
+    }
+    const to = Math.min(msgs.length, end + count);
+
+    const staging = createStagingPane(messagesDiv);
+    renderMessageRange(staging, msgs, end, to);
+    const button = messagesDiv.querySelector(':scope > .chat-window-more.later');
+    while (staging.firstChild) {
+        messagesDiv.insertBefore(staging.firstChild, button);
+    }
+    messagesDiv.dataset.endIndex = to;
+    trimWindow(messagesDiv, Math.max(first, to - CHAT_WINDOW_MAX), to);
+    return true;
+}
+
+// Rendered off-screen under the same id and conversation so pending rows and durations resolve as usual.
+function createStagingPane(messagesDiv) {
+    const staging = document.createElement('div');
+    staging.id = messagesDiv.id;
+    staging.dataset.ticketId = messagesDiv.dataset.ticketId;
+    staging.dataset.conversationId = messagesDiv.dataset.conversationId;
+    return staging;
+}
+
+// Removes everything outside messages[from, to), compensating the scroll position for whatever
+// disappears above the view, and refreshes the edge buttons.
+function trimWindow(messagesDiv, from, to) {
+    const { first, end } = getWindowRange(messagesDiv);
+    if (from > first || to < end) {
+        const previousHeight = messagesDiv.scrollHeight;
+        const previousTop = messagesDiv.scrollTop;
+        let removedAbove = false;
+        for (const el of Array.from(messagesDiv.children)) {
+            if (el.classList.contains('chat-window-more')) {
+                continue;
+            }
+            const index = el.dataset.messageIndex === undefined ? null : Number(el.dataset.messageIndex);
+            // Chapter dividers carry no index and sit above the first message.
+            if (index === null ? from > 0 : index < from) {
+                el.remove();
+                removedAbove = true;
+            } else if (index !== null && index >= to) {
+                el.remove();
+            }
+        }
+        messagesDiv.dataset.firstIndex = from;
+        messagesDiv.dataset.endIndex = to;
+        if (removedAbove) {
+            messagesDiv.scrollTop = previousTop - (previousHeight - messagesDiv.scrollHeight);
+        }
+        prunePendingToolCalls(messagesDiv.dataset.ticketId);
+    }
+    updateWindowButtons(messagesDiv);
+}
+
+// Loads a chunk above (direction -1) or below (1) the window, re-highlighting search hits in the main pane.
+function loadMoreMessages(messagesDiv, direction) {
+    const loaded = direction < 0 ? showEarlierMessages(messagesDiv, CHAT_WINDOW_CHUNK) : showLaterMessages(messagesDiv, CHAT_WINDOW_CHUNK);
+    if (loaded && messagesDiv.id === 'detailChatMessages') {
+        applyChatSearch(false);
+    }
+}
+
+// The "show earlier" and "show later" buttons at the window's edges, with how many messages each hides.
+function updateWindowButtons(messagesDiv) {
+    const msgs = conversationMessages[getChatPaneKey(messagesDiv)] || [];
+    const { first, end } = getWindowRange(messagesDiv);
+    updateWindowButton(messagesDiv, 'earlier', first, `Show earlier messages (${first} not shown)`);
+    updateWindowButton(messagesDiv, 'later', Math.max(0, msgs.length - end), `Show later messages (${Math.max(0, msgs.length - end)} not shown)`);
+}
+
+function updateWindowButton(messagesDiv, edge, hidden, label) {
+    let button = messagesDiv.querySelector(`:scope > .chat-window-more.${edge}`);
+    if (hidden === 0) {
+        if (button) {
+            button.remove();
+        }
+        return;
+    }
+    if (!button) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.className = `chat-window-more ${edge}`;
+        button.addEventListener('click', () => loadMoreMessages(messagesDiv, edge === 'earlier' ? -1 : 1));
+        messagesDiv.insertBefore(button, edge === 'earlier' ? messagesDiv.firstChild : null);
+    }
+    button.textContent = label;
+}
+
+// Scroll position as { atBottom } or as the first visible message plus how far its top sits above the
+// pane's top, which survives redraws and windows that start at a different message.
+function readPaneScroll(messagesDiv) {
+    const atBottom = messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < 40;
+    if (atBottom) {
+        return { atBottom: true };
+    }
+
+    const top = messagesDiv.getBoundingClientRect().top;
+    for (const el of messagesDiv.children) {
+        if (el.dataset.messageIndex !== undefined && el.getBoundingClientRect().bottom > top) {
+            return { messageIndex: Number(el.dataset.messageIndex), offset: top - el.getBoundingClientRect().top };
+        }
+    }
+    return { atBottom: true };
+}
+
+// The first message to draw so that a saved anchor is inside the window.
+function getWindowStart(msgs, scrollState) {
+    const start = Math.max(0, msgs.length - CHAT_WINDOW_SIZE);
+    return scrollState && scrollState.messageIndex != null ? Math.max(0, Math.min(start, scrollState.messageIndex)) : start;
+}
+
+function restorePaneScroll(messagesDiv, scrollState) {
+    if (!scrollState || scrollState.atBottom || scrollState.messageIndex == null) {
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        return;
+    }
+
+    let target = null;
+    for (const el of messagesDiv.children) {
+        if (el.dataset.messageIndex !== undefined) {
+            target = el;
+            if (Number(el.dataset.messageIndex) >= scrollState.messageIndex) {
+                break;
+            }
+        }
+    }
+    if (target) {
+        messagesDiv.scrollTop += target.getBoundingClientRect().top - messagesDiv.getBoundingClientRect().top + (scrollState.offset || 0);
+    }
+}
+
+function messageMatchesSearch(msg, query) {
+    const texts = [msg.content || ''].concat((msg.tool_calls || []).map(tc => `${tc.function.name} ${tc.function.arguments}`));
+    return texts.some(text => text.toLowerCase().includes(query));
+}
+
+// Find only sees rendered messages. This returns the nearest message outside the window whose raw text
+// contains the query, searching forward (1) or back (-1) and wrapping around; -1 stands for the chapter
+// dividers above the first message. Returns null when nothing outside the window matches.
+function findSearchMatchOutsideWindow(messagesDiv, query, direction) {
+    const key = getChatPaneKey(messagesDiv);
+    const msgs = conversationMessages[key] || [];
+    const chapters = conversationChapters[key];
+    const { first, end } = getWindowRange(messagesDiv);
+
+    const after = [];
+    for (let i = end; i < msgs.length; i++) {
+        after.push(i);
+    }
+    const before = first > 0 ? [-1] : [];
+    for (let i = 0; i < first; i++) {
+        before.push(i);
+    }
+    const order = direction > 0 ? after.concat(before) : before.reverse().concat(after.reverse());
+
+    for (const position of order) {
+        const matches = position < 0
+            ? !!chapters && chapters.summaries.some(summary => summary.toLowerCase().includes(query))
+            : messageMatchesSearch(msgs[position], query);
+        if (matches) {
+            return position;
+        }
+    }
+    return null;
+}
+
+// Redraws the main pane with a CHAT_WINDOW_SIZE window around the match search found outside it, and
+// makes the match's first hit (going forward) or last hit (going back) current.
+function jumpToSearchMatch(direction) {
+    const messagesDiv = document.getElementById('detailChatMessages');
+    const query = chatSearch.query.toLowerCase();
+    if (!messagesDiv || !query) {
+        return false;
+    }
+    const position = findSearchMatchOutsideWindow(messagesDiv, query, direction);
+    if (position === null) {
+        return false;
+    }
+
+    const msgs = conversationMessages[getChatPaneKey(messagesDiv)];
+    const start = Math.max(0, Math.min(position - CHAT_WINDOW_SIZE / 2, msgs.length - CHAT_WINDOW_SIZE));
+    renderConversationInto(messagesDiv, messagesDiv.dataset.ticketId, messagesDiv.dataset.conversationId, msgs, start, Math.min(msgs.length, start + CHAT_WINDOW_SIZE));
+    applyChatSearch(false);
+
+    const hitIndex = (hit) => {
+        const el = hit.closest('[data-message-index]');
+        return el ? Number(el.dataset.messageIndex) : -1;
+    };
+    if (direction > 0) {
+        chatSearch.index = Math.max(0, chatSearchHits.findIndex(hit => hitIndex(hit) >= position));
+    } else {
+        const last = chatSearchHits.findLastIndex(hit => hitIndex(hit) <= position);
+        chatSearch.index = last >= 0 ? last : Math.max(0, chatSearchHits.length - 1);
+    }
+    showCurrentChatSearchHit(true);
+    return true;
+}
+
+// Message lists currently showing a conversation: the main chat, the split pane, or both.
+function getConversationContainers(ticketId, conversationId) {
+    const containers = [];
+    if (detailChatTicketId === ticketId && detailChatConversationId === conversationId) {
+        containers.push(document.getElementById('detailChatMessages'));
+    }
+    if (splitChat.open && splitChat.ticketId === ticketId && splitChat.conversationId === conversationId) {
+        containers.push(document.getElementById('splitChatMessages'));
+    }
+    return containers.filter(Boolean);
+}
+
+async function loadAndDisplayDetailConversation(ticketId, conversationId) {
+    const messagesDiv = document.getElementById('detailChatMessages');
+    if (!messagesDiv) return;
+
+    const msgs = await fetchConversationMessages(ticketId, conversationId);
+    renderConversationInto(messagesDiv, ticketId, conversationId, msgs);
+    applyChatSearch(false);
+
+    requestAnimationFrame(() => {
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    });
+}
+
+// Loads and displays a detail conversation, then restores scroll state.
+async function loadAndRestoreDetailConversation(ticketId, conversationId, scrollState) {
+    const messagesDiv = document.getElementById('detailChatMessages');
+    if (!messagesDiv) return;
+
+    const msgs = await fetchConversationMessages(ticketId, conversationId);
+    renderConversationInto(messagesDiv, ticketId, conversationId, msgs, getWindowStart(msgs, scrollState));
+    applyChatSearch(false);
+
+    requestAnimationFrame(() => {
+        restorePaneScroll(messagesDiv, scrollState);
+    });
+}
+
+function renderDetailChatMessage(messages, index, container) {
+    const msg = messages[index];
+
+    if (index === CHAPTER_SUMMARIES_INDEX && msg.role === 'assistant' && (msg.content || '').startsWith('[Chapter summaries')) {
+        // Shown as the chapter dividers at the top of the pane instead.
+        return;
+    }
+    if (index === FIRST_COMPACTED_INDEX) {
+        const chapters = conversationChapters[getChatPaneKey(container)];
+        if (chapters && chapters.summaries.length > 0) {
+            appendCompactionMarker(container, chapters.summaries.length);
+        }
+    }
+
+    if (msg.role === 'user') {
+        const content = (msg.content || '');
+        appendDetailChatBubble(container, 'user', content);
+    } else if (msg.role === 'assistant') {
+        if (msg.content && (!msg.tool_calls || msg.content.trim() !== '')) {
+            appendDetailChatBubble(container, 'assistant', msg.content);
+        }
+        if (msg.tool_calls) {
+            for (let i = 0; i < msg.tool_calls.length; i++) {
+                const tc = msg.tool_calls[i];
+                const resultIndex = getToolResultIndex(messages).get(tc.id);
+                const result = resultIndex > index ? messages[resultIndex].content || '' : null;
+                if (result !== null) {
+                    container.appendChild(buildDetailToolCall(tc, result, messages, index, getChatPaneKey(container)));
+                } else {
+                    appendPendingToolCall(container, tc);
+                }
+            }
+        }
+    } else if (msg.role === 'system') {
+        appendDetailChatBubble(container, 'system', msg.content || '');
+    } else if (msg.role === 'tool') {
+        // Results normally render inside their call's accordion. One that arrives after
+        // its call was drawn swaps the pending row for the finished accordion.
+        completePendingToolCall(messages, index, container);
+    }
+}
+
+// Worker conversations keep their chapter summaries in message 1, and compaction removes history
+// starting at message 3, so that is where earlier turns went missing.
+const CHAPTER_SUMMARIES_INDEX = 1;
+const FIRST_COMPACTED_INDEX = 3;
+
+// One collapsible divider per chapter, oldest first, labelled with when it was compacted.
+function appendChapterDividers(container) {
+    const chapters = conversationChapters[getChatPaneKey(container)];
+    if (!chapters || chapters.summaries.length === 0) {
+        return;
+    }
+
+    // Timestamps line up with the newest chapters; older conversations may not have them all.
+    const offset = chapters.summaries.length - chapters.compactedAt.length;
+    for (let i = 0; i < chapters.summaries.length; i++) {
+        const compactedAt = i >= offset ? chapters.compactedAt[i - offset] : null;
+        const el = document.createElement('div');
+        el.className = 'chat-chapter';
+        el.innerHTML = `
+            <div class="chat-chapter-header" title="${compactedAt ? `Compacted ${escapeHtml(formatDateTime(compactedAt))}` : 'Compacted'}">
+                <span class="chat-tool-icon">▶</span>
+                <span class="chat-chapter-title">Chapter ${i + 1}</span>
+                <span class="chat-chapter-meta">${compactedAt ? `compacted ${escapeHtml(formatRelativeTime(compactedAt))}` : 'compacted'}</span>
+            </div>
+            <div class="chat-chapter-body markdown-body">${renderMarkdown(chapters.summaries[i])}</div>
+        `;
+        el.querySelector('.chat-chapter-header').addEventListener('click', () => {
+            el.querySelector('.chat-chapter-body').classList.toggle('open');
+            el.querySelector('.chat-tool-icon').classList.toggle('open');
+        });
+        container.appendChild(el);
+    }
+}
+
+function appendCompactionMarker(container, chapterCount) {
+    const el = document.createElement('div');
+    el.className = 'chat-compaction-marker';
+    el.textContent = `Earlier history compacted into ${chapterCount} chapter${chapterCount === 1 ? '' : 's'}`;
+    container.appendChild(el);
+}
+
+// tool_call_id -> index of its result message, per message array. Live appends push onto the same array,
+// so the index carries on from where it last stopped instead of being rebuilt.
+const toolResultIndexes = new WeakMap();
+
+function getToolResultIndex(messages) {
+    let entry = toolResultIndexes.get(messages);
+    if (!entry) {
+        entry = { byId: new Map(), scanned: 0 };
+        toolResultIndexes.set(messages, entry);
+    }
+    for (; entry.scanned < messages.length; entry.scanned++) {
+        const msg = messages[entry.scanned];
+        if (msg.role === 'tool' && !entry.byId.has(msg.tool_call_id)) {
+            entry.byId.set(msg.tool_call_id, entry.scanned);
+        }
+    }
+    return entry.byId;
+}
+
+// "ticketId:conversationId" of the conversation a message list is showing.
+function getChatPaneKey(container) {
+    return `${container.dataset.ticketId}:${container.dataset.conversationId}`;
+}
+
+// Pending rows are keyed by message list and tool call id, so the same conversation can be open in both panes.
+function getPendingToolCallKey(container, toolCallId) {
+    return `${container.id}:${toolCallId}`;
+}
+
+// Drops pending rows that are no longer on screen after a pane was redrawn.
+function prunePendingToolCalls(ticketId) {
+    const pendingCalls = ticketPendingToolCalls[ticketId];
+    if (!pendingCalls) {
+        return;
+    }
+    for (const key of Object.keys(pendingCalls)) {
+        if (!pendingCalls[key].isConnected) {
+            delete pendingCalls[key];
+        }
+    }
+}
+
+// Replaces the pending row for a late tool result, found by tool_call_id, with the completed accordion.
+function completePendingToolCall(messages, index, container) {
+    const msg = messages[index];
+    const pendingCalls = ticketPendingToolCalls[container.dataset.ticketId] || {};
+    const pendingKey = getPendingToolCallKey(container, msg.tool_call_id);
+    const pending = pendingCalls[pendingKey];
+    if (!pending) {
+        return;
+    }
+    delete pendingCalls[pendingKey];
+    if (!pending.isConnected) {
+        return;
+    }
+
+    for (let i = index - 1; i >= 0; i--) {
+        const tc = messages[i].role === 'assistant' && messages[i].tool_calls
+            ? messages[i].tool_calls.find(call => call.id === msg.tool_call_id)
+            : null;
+        if (tc) {
+            const done = buildDetailToolCall(tc, msg.content || '', messages, i, getChatPaneKey(container), Number(pending.dataset.startedAt));
+            done.dataset.messageIndex = pending.dataset.messageIndex;
+            pending.replaceWith(done);
+            return;
+        }
+    }
+}
+
+// The worker records how long each tool ran. Results that streamed in live fall back to the time
+// between the pending row appearing and the result arriving, as seen by the browser.
+function getToolCallDuration(conversationKey, toolCallId, startedAt) {
+    const durations = conversationToolDurations[conversationKey];
+    if (durations && durations[toolCallId] !== undefined) {
+        return { ms: durations[toolCallId], measured: true };
+    }
+    return startedAt ? { ms: Date.now() - startedAt, measured: false } : null;
+}
+
+function formatToolDuration(ms) {
+    if (ms < 1000) {
+        return `${ms}ms`;
+    }
+    if (ms < 60000) {
+        return `${(ms / 1000).toFixed(1)}s`;
+    }
+    return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
+// Builds the finished accordion for a tool call. index is the position of the assistant message that made
+// the call; conversationKey is "ticketId:conversationId"; startedAt is when its pending row appeared, if it was shown live.
+function buildDetailToolCall(tc, result, messages, index, conversationKey, startedAt) {
+    const name = tc.function.name;
+    const argsJson = tc.function.arguments;
+    const isError = result && result.startsWith('Error:');
+    const el = document.createElement('div');
+    el.className = 'chat-tool-accordion' + (isError ? ' chat-tool-error' : '');
+    el.dataset.toolCallId = tc.id;
+    const duration = getToolCallDuration(conversationKey, tc.id, startedAt);
+
+    const renderer = toolRenderers[name];
+    const args = parseToolArgs(argsJson);
+    let bodyHtml = null;
+    if (renderer && args && result) {
+        try {
+            bodyHtml = renderer.body(args, result, { isError, messages: messages || [], index: index || 0 });
+        } catch (error) {
+            console.error(`Error rendering ${name} result:`, error);
+        }
+    }
+
+    if (bodyHtml === null && result) {
+        bodyHtml = `
+            <div class="chat-tool-section chat-tool-result">
+                ${buildAnsiOutputHtml(result, '')}
             </div>
-            <div class="accordion-content">
-                ${canEdit 
-                    ? `<input type="text" id="editTitle" class="edit-title-input" value="${escapeHtml(ticket.title)}" placeholder="Ticket title..." onblur="saveTicketDetails('${ticketId}')">`
-                    : ''
+        `;
+    }
+
+    el.innerHTML = `
+        <div class="chat-tool-header">
+            <span class="chat-tool-icon">▶</span>
+            <span class="chat-tool-name">${escapeHtml(name)}</span>
+            <span class="chat-tool-params">${escapeHtml(getToolCallSummary(name, argsJson))}</span>
+            ${duration ? `<span class="chat-tool-duration" title="${duration.measured ? 'Run time' : 'Approximate run time'}">${formatToolDuration(duration.ms)}</span>` : ''}
+        </div>
+        <div class="chat-tool-body">
+            ${bodyHtml || ''}
+        </div>
+    `;
+    el.querySelector('.chat-tool-header').addEventListener('click', () => {
+        const icon = el.querySelector('.chat-tool-icon');
+        const body = el.querySelector('.chat-tool-body');
+        if (body.classList.contains('open')) {
+            body.classList.remove('open');
+            icon.classList.remove('open');
+        } else {
+            body.classList.add('open');
+            icon.classList.add('open');
+        }
+    });
+    if (renderer && renderer.bind && args) {
+        renderer.bind(el.querySelector('.chat-tool-body'), args);
+    }
+    bindAnsiToggles(el);
+    return el;
+}
+
+function appendPendingToolCall(container, tc) {
+    const name = tc.function.name;
+    const argsJson = tc.function.arguments;
+    const el = document.createElement('div');
+    el.className = 'chat-tool-pending';
+    el.dataset.toolCallId = tc.id;
+    el.dataset.startedAt = Date.now();
+    el.innerHTML = `
+        <span class="chat-tool-icon">▶</span>
+        <span class="chat-tool-name">${escapeHtml(name)}</span>
+        <span class="chat-tool-params">${escapeHtml(getToolCallSummary(name, argsJson))}</span>
+        <span class="spinner-dots"><span>.</span><span>.</span><span>.</span></span>
+    `;
+    container.appendChild(el);
+    const ticketId = container.dataset.ticketId;
+    if (!ticketPendingToolCalls[ticketId]) {
+        ticketPendingToolCalls[ticketId] = {};
+    }
+    ticketPendingToolCalls[ticketId][getPendingToolCallKey(container, tc.id)] = el;
+}
+
+function parseToolArgs(argsJson) {
+    try {
+        const args = JSON.parse(argsJson);
+        return args && typeof args === 'object' ? args : null;
+    } catch {
+        return null;
+    }
+}
+
+// Header text for a tool call: the renderer's summary when it has one, otherwise the squashed params.
+function getToolCallSummary(name, argsJson) {
+    const renderer = toolRenderers[name];
+    const args = parseToolArgs(argsJson);
+    if (renderer && renderer.summary && args) {
+        return renderer.summary(args);
+    }
+    return formatToolCallParams(argsJson);
+}
+
+// Dedicated views for the worker's tools, keyed by tool name. A renderer has body(args, result, view)
+// returning the accordion body HTML, and optionally summary(args) for the header and bind(bodyEl, args)
+// to wire up clicks. view carries isError plus the conversation messages and this call's index.
+// Tools without a renderer, or whose renderer throws, keep the plain result view.
+const toolRenderers = {};
+
+function registerToolRenderer(names, renderer) {
+    for (const name of names) {
+        toolRenderers[name] = renderer;
+    }
+}
+
+function buildToolHeaderHtml(icon, title, detail) {
+    return `
+        <div class="tool-view-header">
+            <span class="tool-view-icon">${icon}</span>
+            <span class="tool-view-title">${escapeHtml(title)}</span>
+            ${detail ? `<span class="tool-view-detail">${escapeHtml(detail)}</span>` : ''}
+        </div>
+    `;
+}
+
+function buildToolErrorHtml(result) {
+    return `<pre class="tool-view-error">${escapeHtml(result)}</pre>`;
+}
+
+registerToolRenderer(['read_file'], {
+    summary: (args) => args.filePath || '',
+    body: (args, result, view) => {
+        const range = result.match(/^Showing lines (\d+-\d+):/);
+        const body = view.isError || !READ_FILE_LINE.test(result.split('\n').find(line => line.trim()) || '')
+            ? buildToolErrorHtml(result)
+            : `<pre class="tool-code">${highlightReadFileResult(result.replace(/^Showing lines \d+-\d+:\n/, ''), getLanguageForPath(args.filePath))}</pre>`;
+        return `
+            <div class="tool-view">
+                ${buildToolHeaderHtml('📄', args.filePath || '', range ? `lines ${range[1].replace('-', '–')}` : '')}
+                ${body}
+            </div>
+        `;
+    }
+});
+
+// The edit tools only carry line anchors and the new text. The old lines are recovered from the most
+// recent read_file of the same path earlier in the conversation, and only trusted when both anchor
+// hashes still match what was read.
+function collectReadFileLines(messages, index, filePath) {
+    const lines = new Map();
+    for (let i = 0; i < index && i < messages.length; i++) {
+        const msg = messages[i];
+        if (msg.role !== 'assistant' || !msg.tool_calls) {
+            continue;
+        }
+        for (const tc of msg.tool_calls) {
+            if (tc.function.name !== 'read_file' || (parseToolArgs(tc.function.arguments) || {}).filePath !== filePath) {
+                continue;
+            }
+            const toolMsg = messages.find(m => m.role === 'tool' && m.tool_call_id === tc.id);
+            for (const line of (toolMsg && toolMsg.content ? toolMsg.content.split('\n') : [])) {
+                const match = line.match(/^\s*(\d+):([0-9a-f]{2})\t(.*)$/);
+                if (match) {
+                    lines.set(Number(match[1]), { hash: match[2], text: match[3] });
                 }
-                ${canEdit 
-                    ? `<textarea id="editDescription" class="edit-description-input" rows="4" placeholder="Description..." onblur="saveTicketDetails('${ticketId}')">${escapeHtml(ticket.description || '')}</textarea>`
-                    : `<div class="description-text">${escapeHtml(ticket.description || 'No description provided.')}</div>`
+            }
+        }
+    }
+    return lines;
+}
+
+function getEditOperations(name, args) {
+    if (name === 'edit_file_replace') {
+        return [{ replace_lines: { start_anchor: args.startAnchor, end_anchor: args.endAnchor, new_text: args.newText } }];
+    }
+    if (name === 'edit_file_insert') {
+        return [{ insert_after: { anchor: args.anchor, new_text: args.newText } }];
+    }
+    const edits = typeof args.edits === 'string' ? JSON.parse(args.edits) : args.edits;
+    return Array.isArray(edits) ? edits : [];
+}
+
+function parseEditAnchor(anchor) {
+    const match = String(anchor || '').trim().match(/^(\d+):([0-9a-f]{2})$/i);
+    return match ? { line: Number(match[1]), hash: match[2].toLowerCase() } : null;
+}
+
+function buildDiffRowsHtml(kind, sign, startLine, text, language) {
+    const highlighted = highlightCode(text, language).split('\n');
+    return highlighted.map((html, i) => `
+        <div class="tool-diff-row tool-diff-${kind}"><span class="tool-diff-num">${startLine === null ? '' : startLine + i}</span><span class="tool-diff-sign">${sign}</span><span class="tool-diff-code">${html}</span></div>
+    `).join('');
+}
+
+function buildEditHunkHtml(op, knownLines, language) {
+    const replace = op.replace_lines;
+    const insert = op.insert_after;
+
+    if (replace) {
+        const start = parseEditAnchor(replace.start_anchor);
+        const end = parseEditAnchor(replace.end_anchor);
+        if (!start || !end) {
+            return '';
+        }
+
+        const anchorsMatch = [start, end].every(a => knownLines.has(a.line) && knownLines.get(a.line).hash === a.hash);
+        const oldLines = [];
+        for (let line = start.line; anchorsMatch && line <= end.line; line++) {
+            oldLines.push(knownLines.has(line) ? knownLines.get(line).text : '');
+        }
+
+        const before = anchorsMatch
+            ? buildDiffRowsHtml('del', '-', start.line, oldLines.join('\n'), language)
+            : `<div class="tool-diff-row tool-diff-unknown">− lines ${start.line}–${end.line} (not read in this conversation)</div>`;
+        const after = replace.new_text ? buildDiffRowsHtml('add', '+', null, replace.new_text, language) : '';
+        return `<div class="tool-diff-hunk"><div class="tool-diff-hunk-header">@@ lines ${start.line}–${end.line} @@</div>${before}${after}</div>`;
+    }
+
+    if (insert) {
+        const anchor = parseEditAnchor(insert.anchor);
+        if (!anchor) {
+            return '';
+        }
+
+        const known = knownLines.get(anchor.line);
+        const context = known && known.hash === anchor.hash ? buildDiffRowsHtml('ctx', ' ', anchor.line, known.text, language) : '';
+        return `<div class="tool-diff-hunk"><div class="tool-diff-hunk-header">@@ after line ${anchor.line} @@</div>${context}${buildDiffRowsHtml('add', '+', null, insert.new_text || '', language)}</div>`;
+    }
+
+    return '';
+}
+
+function renderEditToolBody(name, args, result, view) {
+    const language = getLanguageForPath(args.filePath);
+    let diffHtml;
+
+    if (name === 'write_file') {
+        diffHtml = `<div class="tool-diff-hunk">${buildDiffRowsHtml('add', '+', 1, args.content || '', language)}</div>`;
+    } else {
+        const knownLines = collectReadFileLines(view.messages, view.index, args.filePath);
+        diffHtml = getEditOperations(name, args).map(op => buildEditHunkHtml(op, knownLines, language)).join('');
+    }
+
+    return `
+        <div class="tool-view">
+            ${buildToolHeaderHtml(name === 'write_file' ? '📝' : '✏️', args.filePath || '', view.isError ? '' : result.trim())}
+            <div class="tool-diff">${diffHtml}</div>
+            ${view.isError ? buildToolErrorHtml(result) : ''}
+        </div>
+    `;
+}
+
+for (const name of ['edit_file', 'edit_file_replace', 'edit_file_insert', 'write_file']) {
+    registerToolRenderer([name], {
+        summary: (args) => args.filePath || '',
+        body: (args, result, view) => renderEditToolBody(name, args, result, view)
+    });
+}
+
+// Splits run_command / send_shell output into its stdout and stderr parts.
+function splitShellOutput(text) {
+    const marker = text.startsWith('Stderr:\n') ? 0 : text.lastIndexOf('\nStderr:\n');
+    const stdoutPart = marker < 0 ? text : text.slice(0, marker);
+    const stderr = marker < 0 ? '' : text.slice(marker + (marker === 0 ? 8 : 9));
+    return { stdout: stdoutPart.replace(/^Stdout:\n/, '').replace(/\s+$/, ''), stderr: stderr.replace(/\s+$/, '') };
+}
+
+function buildTerminalHtml(commandLine, cwd, output, status, statusClass) {
+    return `
+        <div class="tool-terminal">
+            ${cwd ? `<div class="tool-terminal-cwd">${escapeHtml(cwd)}</div>` : ''}
+            ${commandLine !== null ? `<div class="tool-terminal-cmd"><span class="tool-terminal-prompt">$</span> ${escapeHtml(commandLine)}</div>` : ''}
+            ${output.stdout ? buildAnsiOutputHtml(output.stdout, 'tool-terminal-out') : ''}
+            ${output.stderr ? buildAnsiOutputHtml(output.stderr, 'tool-terminal-out tool-terminal-stderr') : ''}
+            <div class="tool-terminal-status ${statusClass}">${escapeHtml(status)}</div>
+        </div>
+    `;
+}
+
+registerToolRenderer(['run_command'], {
+    summary: (args) => args.command || '',
+    body: (args, result, view) => {
+        if (view.isError) {
+            return buildTerminalHtml(args.command || '', args.workDir, { stdout: '', stderr: result }, 'failed', 'fail');
+        }
+
+        const exit = result.match(/(?:^|\n)Exit Code: (-?\d+)\s*$/);
+        const output = splitShellOutput(exit ? result.slice(0, exit.index) : result);
+        const code = exit ? Number(exit[1]) : null;
+        return buildTerminalHtml(args.command || '', args.workDir, output, code === null ? 'no exit code' : `exit ${code}`, code === 0 ? 'ok' : 'fail');
+    }
+});
+
+registerToolRenderer(['start_shell', 'send_shell', 'kill_shell'], {
+    summary: (args) => args.input !== undefined ? args.input : (args.workDir || ''),
+    body: (args, result, view) => {
+        if (view.isError) {
+            return buildTerminalHtml(args.input || null, '', { stdout: '', stderr: result }, 'failed', 'fail');
+        }
+
+        const notice = result.match(/^\[(Input sent|Input withheld[^\]]*)\]\n/);
+        const text = notice ? result.slice(notice[0].length) : result;
+        const output = text.trim() === '(no output)' ? { stdout: '', stderr: '' } : splitShellOutput(text);
+        const status = notice ? notice[1].toLowerCase() : (args.input ? 'sent' : 'ok');
+        return buildTerminalHtml(args.input || null, args.workDir, output, output.stdout || output.stderr ? status : `${status}, no output`, notice && notice[1] !== 'Input sent' ? 'warn' : 'ok');
+    }
+});
+
+// Groups glob/grep output by file: { path, count, lines } where lines holds grep content-mode matches.
+function parseFileListResult(result) {
+    const files = [];
+    const notes = [];
+    let current = null;
+
+    for (const line of result.split('\n')) {
+        const header = line.match(/^--- (.+) ---$/);
+        const count = line.match(/^(.+): (\d+)$/);
+        if (header) {
+            current = { path: header[1], count: null, lines: [] };
+            files.push(current);
+        } else if (current && current.lines && (READ_FILE_LINE.test(line) || line === '...')) {
+            current.lines.push(line);
+        } else if (!line.trim()) {
+            continue;
+        } else if (/^\d+ file\(s\) matching |^Total: \d+ matches$|^No (files|matches) found/.test(line) || line.startsWith('[')) {
+            notes.push(line);
+        } else {
+            current = null;
+            files.push(count ? { path: count[1], count: Number(count[2]), lines: null } : { path: line, count: null, lines: null });
+        }
+    }
+
+    return { files, notes };
+}
+
+function resolveToolPath(base, relativePath) {
+    if (!base || relativePath.startsWith('/')) {
+        return relativePath;
+    }
+    // A grep over a single file reports just the file name.
+    if (base.endsWith(`/${relativePath}`)) {
+        return base;
+    }
+    return `${base.replace(/\/+$/, '')}/${relativePath}`;
+}
+
+registerToolRenderer(['grep', 'glob'], {
+    summary: (args) => `${args.pattern || ''}${args.path ? `  in ${args.path}` : ''}`,
+    body: (args, result, view) => {
+        if (view.isError) {
+            return `<div class="tool-view">${buildToolErrorHtml(result)}</div>`;
+        }
+
+        const { files, notes } = parseFileListResult(result);
+        const items = files.map(file => {
+            const fullPath = resolveToolPath(args.path, file.path);
+            const hasLines = file.lines && file.lines.length > 0;
+            return `
+                <li class="tool-file-item">
+                    <button type="button" class="tool-file" data-path="${escapeAttr(fullPath)}" title="${hasLines ? 'Show matches' : 'Copy path'}">${escapeHtml(file.path)}</button>
+                    ${file.count !== null ? `<span class="tool-file-count">${file.count}</span>` : ''}
+                    ${hasLines ? `<pre class="tool-code tool-file-matches" hidden>${highlightReadFileResult(file.lines.join('\n'), getLanguageForPath(file.path))}</pre>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="tool-view">
+                ${notes.map(note => `<div class="tool-note">${escapeHtml(note)}</div>`).join('')}
+                ${items ? `<ul class="tool-file-list">${items}</ul>` : ''}
+            </div>
+        `;
+    },
+    bind: (bodyEl) => {
+        bodyEl.querySelectorAll('.tool-file').forEach(button => {
+            button.addEventListener('click', () => {
+                const matches = button.parentElement.querySelector('.tool-file-matches');
+                if (matches) {
+                    matches.hidden = !matches.hidden;
+                    button.classList.toggle('open', !matches.hidden);
+                } else if (navigator.clipboard) {
+                    navigator.clipboard.writeText(button.dataset.path).then(() => {
+                        button.classList.add('copied');
+                        setTimeout(() => button.classList.remove('copied'), 1200);
+                    }).catch(error => console.error('Error copying path:', error));
+                }
+            });
+        });
+    }
+});
+
+// search_web returns numbered "title / URL: / snippet" entries, optionally followed by "---" and a summary.
+registerToolRenderer(['search_web'], {
+    summary: (args) => args.query || '',
+    body: (args, result, view) => {
+        const split = result.split(/\n---\n/);
+        const entries = [];
+        for (const block of split[0].split(/\n\s*\n/)) {
+            const match = block.trim().match(/^\d+\. (.*)\n\s*URL: (\S*)(?:\n([\s\S]*))?$/);
+            if (match) {
+                entries.push({ title: match[1], url: match[2], snippet: (match[3] || '').replace(/^\s+/gm, '') });
+            }
+        }
+
+        if (view.isError || entries.length === 0) {
+            return null;
+        }
+
+        const cards = entries.map(entry => {
+            const safe = /^https?:\/\//i.test(entry.url);
+            let host = entry.url;
+            try {
+                host = new URL(entry.url).hostname;
+            } catch {
+                host = entry.url;
+            }
+            const inner = `
+                <div class="tool-web-title">${escapeHtml(entry.title || entry.url)}</div>
+                <div class="tool-web-host">${escapeHtml(host)}</div>
+                ${entry.snippet ? `<div class="tool-web-snippet">${escapeHtml(entry.snippet)}</div>` : ''}
+            `;
+            return safe
+                ? `<a class="tool-web-card" href="${escapeAttr(entry.url)}" target="_blank" rel="noopener noreferrer">${inner}</a>`
+                : `<div class="tool-web-card">${inner}</div>`;
+        }).join('');
+
+        return `
+            <div class="tool-view">
+                <div class="tool-web-results">${cards}</div>
+                ${split.length > 1 ? `<div class="tool-web-summary markdown-body">${renderMarkdown(split.slice(1).join('\n---\n'))}</div>` : ''}
+            </div>
+        `;
+    }
+});
+
+function formatToolCallParams(argsJson) {
+    try {
+        const obj = JSON.parse(argsJson);
+        const parts = [];
+        for (const key in obj) {
+            let val = String(obj[key]);
+            // Shorten GUID-like values (32 hex or 8-4-4-4-12) to first 4 chars
+            if (/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(val)) {
+                val = val.substring(0, 4) + '…';
+            } else if (val.length > 40) {
+                val = val.substring(0, 40) + '…';
+            }
+            parts.push(val);
+        }
+        return parts.join(' ');
+    } catch {
+        return argsJson.length > 80 ? argsJson.substring(0, 80) + '…' : argsJson;
+    }
+}
+
+function appendDetailChatBubble(messagesDiv, role, content) {
+    const el = document.createElement('div');
+    el.className = `chat-msg chat-msg-${role}`;
+    if (role === 'system') {
+        el.textContent = content;
+    } else {
+        fillMarkdownView(el, content, false);
+    }
+    messagesDiv.appendChild(el);
+}
+
+// Move ticket to new status
+async function moveTicket(ticketId, newStatus) {
+    try {
+            const response = await fetch(`${API_BASE}/tickets/${ticketId}/status`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status: newStatus })
+            });
+
+            if (response.ok) {
+                await refreshAllTickets();
+                if (currentDetailTicketId === ticketId) {
+                    await showTicketDetails(ticketId);
+                }
+            } else if (response.status === 409) {
+                // Refused by the server, e.g. the max active limit is reached.
+                alert(await response.text());
+            } else {
+                console.error('Failed to move ticket');
+            }
+        } catch (error) {
+            console.error('Error moving ticket:', error);
+        }
+    }
+
+// Moves a ticket within its column so it sits above beforeTicketId (null = bottom of the column).
+async function reorderTicket(ticketId, beforeTicketId) {
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/rank`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ beforeTicketId })
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+        } else {
+            console.error('Failed to reorder ticket');
+        }
+    } catch (error) {
+        console.error('Error reordering ticket:', error);
+    }
+}
+
+    // Make moveTicket available globally for onclick handlers
+window.moveTicket = moveTicket;
+window.toggleActivityLog = toggleActivityLog;
+
+// Update max cost for a ticket
+async function updateMaxCost(ticketId) {
+    const input = document.getElementById('maxCostInput');
+    const maxCost = parseFloat(input.value) || 0;
+
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/maxcost`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ maxCost })
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+            await showTicketDetails(ticketId);
+        } else {
+            console.error('Failed to update max cost');
+        }
+    } catch (error) {
+        console.error('Error updating max cost:', error);
+    }
+}
+
+window.updateMaxCost = updateMaxCost;
+
+// Syncs the planner LLM dropdown to the active model of the given conversation.
+function syncLlmDropdownToConversation(ticketId, conversationId, dropdownId) {
+    const select = document.getElementById(dropdownId);
+    if (!select) {
+        return;
+    }
+
+    const convos = ticketConversations[ticketId] || [];
+    const info = convos.find(c => c.id === conversationId);
+    const activeModel = info ? info.activeModel : null;
+
+    if (!activeModel) {
+        select.value = '';
+        return;
+    }
+
+    // Match active model name to a config id.
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+    let matchedId = '';
+    for (let i = 0; i < llmConfigs.length; i++) {
+        if (llmConfigs[i].model === activeModel) {
+            matchedId = llmConfigs[i].id || '';
+            break;
+        }
+    }
+
+    select.value = matchedId;
+}
+
+// Build the planner LLM dropdown HTML
+function buildPlannerLlmDropdown(ticket, elementId) {
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+    if (llmConfigs.length === 0) {
+        return '';
+    }
+
+    const currentId = ticket.plannerLlmId || '';
+    let options = '';
+
+    llmConfigs.forEach(config => {
+        const id = config.id || '';
+        const model = config.model || 'Unknown';
+        const selected = id === currentId ? ' selected' : '';
+        options += `<option value="${escapeAttr(id)}"${selected}>${escapeHtml(model)}</option>`;
+    });
+
+    return `<select id="${elementId}" class="${elementId === 'chatPlannerLlm' ? 'chat-conversation-select' : 'detail-chat-select'}" onchange="updatePlannerLlm('${ticket.id}', this.value)" title="Planner LLM">${options}</select>`;
+}
+
+// Update the planner LLM for a ticket and notify the active conversation
+async function updatePlannerLlm(ticketId, llmId) {
+    // Sync the dropdown.
+    const detailSelect = document.getElementById('detailPlannerLlm');
+    if (detailSelect) {
+        detailSelect.value = llmId;
+    }
+
+    // Notify the worker to switch the active conversation's model.
+    const conversationId = (detailChatTicketId === ticketId) ? detailChatConversationId : null;
+    if (conversationId && llmId && connection) {
+        try {
+            await connection.invoke('ChangeConversationModel', ticketId, conversationId, llmId);
+        } catch (error) {
+            console.error('Error sending model change to worker:', error);
+        }
+    }
+
+    // Persist the preference on the ticket for future startups.
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/plannerllm`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ plannerLlmId: llmId || null })
+        });
+
+        if (!response.ok) {
+            console.error('Failed to update planner LLM');
+        }
+    } catch (error) {
+        console.error('Error updating planner LLM:', error);
+    }
+}
+
+window.updatePlannerLlm = updatePlannerLlm;
+
+// Delete ticket
+async function deleteTicket(ticketId) {
+    if (!confirm('Are you sure you want to delete this ticket? This cannot be undone.')) {
+        return;
+    }
+
+    if (await deleteTicketRequest(ticketId)) {
+        await refreshAllTickets();
+
+        // Close detail modal
+        document.getElementById('ticketDetailModal').classList.remove('active');
+        currentDetailTicketId = null;
+        detailChatTicketId = null;
+        detailChatConversationId = null;
+    }
+}
+
+// Deletes without asking and drops the ticket's cached conversations. Shared with bulk delete.
+async function deleteTicketRequest(ticketId) {
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            // Clean up conversation data for deleted ticket.
+            delete ticketConversations[ticketId];
+            // Clean cached conversation messages.
+            Object.keys(conversationMessages).forEach(key => {
+                if (key.startsWith(`${ticketId}:`)) {
+                    delete conversationMessages[key];
+                    delete conversationToolDurations[key];
+                    delete conversationChapters[key];
                 }
+            });
+            delete ticketPendingToolCalls[ticketId];
+            return true;
+        }
+
+        console.error('Failed to delete ticket');
+    } catch (error) {
+        console.error('Error deleting ticket:', error);
+    }
+    return false;
+}
+
+// Make deleteTicket available globally for onclick handlers
+window.deleteTicket = deleteTicket;
+
+// Retry dialog for Failed tickets: resume where it stopped, or restart from scratch.
+let retryTicketId = null;
+
+function showRetryDialog(ticketId) {
+    const ticket = tickets.find(t => t.id === ticketId);
+    if (!ticket) {
+        return;
+    }
+
+    retryTicketId = ticketId;
+    document.getElementById('retryTitle').textContent = `Retry #${ticket.id}: ${ticket.title}`;
+    document.getElementById('retryModeResume').checked = true;
+    document.getElementById('retryDeleteBranch').checked = false;
+    document.getElementById('retryDeleteBranch').disabled = true;
+    document.getElementById('retryBranchName').textContent = ticket.branchName || `feature/ticket-${ticket.id}`;
+
+    const select = document.getElementById('retryPlannerLlm');
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+    select.innerHTML = '';
+    for (let i = 0; i < llmConfigs.length; i++) {
+        const opt = document.createElement('option');
+        opt.value = llmConfigs[i].id || '';
+        opt.textContent = llmConfigs[i].model || 'Unknown';
+        select.appendChild(opt);
+    }
+    select.value = ticket.plannerLlmId || '';
+
+    // Running out of budget is a common reason to fail, so call it out.
+    const hint = document.getElementById('retryCostHint');
+    document.getElementById('retryMaxCost').value = ticket.maxCost.toFixed(2);
+    if (ticket.maxCost > 0 && ticket.llmCost >= ticket.maxCost) {
+        hint.textContent = `Spent $${ticket.llmCost.toFixed(2)} of the $${ticket.maxCost.toFixed(2)} budget. Raise it or the ticket will stop again.`;
+        hint.style.color = 'var(--warning)';
+    } else {
+        hint.textContent = `Spent $${ticket.llmCost.toFixed(2)} so far. 0 = no limit.`;
+        hint.style.color = 'var(--gray-500)';
+    }
+
+    document.getElementById('retryModal').classList.add('active');
+}
+
+function updateRetryModeOptions() {
+    const restart = document.getElementById('retryModeRestart').checked;
+    const deleteBranch = document.getElementById('retryDeleteBranch');
+    deleteBranch.disabled = !restart;
+    if (!restart) {
+        deleteBranch.checked = false;
+    }
+}
+
+async function handleRetryTicket(e) {
+    e.preventDefault();
+
+    const ticketId = retryTicketId;
+    const maxCostValue = document.getElementById('retryMaxCost').value;
+
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/retry`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                restart: document.getElementById('retryModeRestart').checked,
+                deleteBranch: document.getElementById('retryDeleteBranch').checked,
+                maxCost: maxCostValue === '' ? null : (parseFloat(maxCostValue) || 0),
+                plannerLlmId: document.getElementById('retryPlannerLlm').value || null
+            })
+        });
+
+        if (response.ok) {
+            document.getElementById('retryModal').classList.remove('active');
+            retryTicketId = null;
+            await refreshAllTickets();
+            if (currentDetailTicketId === ticketId) {
+                await showTicketDetails(ticketId);
+            }
+        } else if (response.status === 409) {
+            alert(await response.text());
+        } else {
+            console.error('Failed to retry ticket');
+        }
+    } catch (error) {
+        console.error('Error retrying ticket:', error);
+    }
+}
+
+window.showRetryDialog = showRetryDialog;
+
+// Every defined label as a toggleable chip, plus any assigned label that was since removed from Settings.
+function buildDetailLabelPickerHtml(ticket) {
+    const assigned = ticket.labels || [];
+    const names = getLabelDefinitions().map(def => def.name);
+    assigned.forEach(name => {
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+    });
+
+    if (names.length === 0) {
+        return '<div class="detail-labels"><small style="color: var(--gray-500);">🏷️ No labels defined. Add them in Settings.</small></div>';
+    }
+
+    const chips = names.map(name => {
+        const chip = buildLabelChipHtml(name, `selectable${assigned.includes(name) ? ' selected' : ''}`);
+        return chip.replace('<span ', `<span onclick="toggleTicketLabel('${ticket.id}', this.dataset.label)" `);
+    }).join('');
+
+    return `<div class="detail-labels"><span class="detail-labels-title">🏷️</span>${chips}</div>`;
+}
+
+async function toggleTicketLabel(ticketId, label) {
+    const ticket = tickets.find(t => t.id === ticketId);
+    if (!ticket) {
+        return;
+    }
+
+    const current = ticket.labels || [];
+    const labels = current.includes(label) ? current.filter(l => l !== label) : current.concat([label]);
+
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/labels`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ labels })
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+            await showTicketDetails(ticketId);
+        } else {
+            console.error('Failed to update labels');
+        }
+    } catch (error) {
+        console.error('Error updating labels:', error);
+    }
+}
+
+window.toggleTicketLabel = toggleTicketLabel;
+
+// Replaces a ticket's blockers. The server rejects unknown ids and dependency cycles.
+async function updateBlockedBy(ticketId, blockedBy, autoStartWhenUnblocked) {
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/blockedby`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ blockedBy, autoStartWhenUnblocked })
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+            await showTicketDetails(ticketId);
+        } else if (response.status === 400) {
+            alert(await response.text());
+        } else {
+            console.error('Failed to update blockers');
+        }
+    } catch (error) {
+        console.error('Error updating blockers:', error);
+    }
+}
+
+async function addBlocker(ticketId) {
+    const select = document.getElementById('addBlockerSelect');
+    const ticket = tickets.find(t => t.id === ticketId);
+    if (!select || !select.value || !ticket) {
+        return;
+    }
+
+    const blockedBy = (ticket.blockedBy || []).concat([select.value]);
+    await updateBlockedBy(ticketId, blockedBy, !!ticket.autoStartWhenUnblocked);
+}
+
+async function removeBlocker(ticketId, blockerId) {
+    const ticket = tickets.find(t => t.id === ticketId);
+    if (!ticket) {
+        return;
+    }
+
+    const blockedBy = (ticket.blockedBy || []).filter(id => id !== blockerId);
+    await updateBlockedBy(ticketId, blockedBy, !!ticket.autoStartWhenUnblocked);
+}
+
+async function setAutoStartWhenUnblocked(ticketId, autoStart) {
+    const ticket = tickets.find(t => t.id === ticketId);
+    if (!ticket) {
+        return;
+    }
+
+    await updateBlockedBy(ticketId, ticket.blockedBy || [], autoStart);
+}
+
+window.addBlocker = addBlocker;
+window.removeBlocker = removeBlocker;
+window.setAutoStartWhenUnblocked = setAutoStartWhenUnblocked;
+
+// Save ticket title and description
+async function saveTicketDetails(ticketId) {
+    const titleEl = document.getElementById('editTitle');
+    const descriptionEl = document.getElementById('editDescription');
+
+    if (!titleEl || !descriptionEl) {
+        return;
+    }
+
+    const title = titleEl.value.trim();
+    const description = descriptionEl.value.trim();
+
+    if (!title) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/details`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title, description })
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+            await showTicketDetails(ticketId);
+        } else {
+            console.error('Failed to save ticket details');
+        }
+    } catch (error) {
+        console.error('Error saving ticket details:', error);
+    }
+}
+
+window.saveTicketDetails = saveTicketDetails;
+
+// Clear all tasks from a ticket
+async function clearTasks(ticketId) {
+    if (!ticketId) {
+        console.warn('clearTasks called with invalid ticketId:', ticketId);
+        return;
+    }
+
+    if (!confirm('Clear all tasks and subtasks from this ticket?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/tasks`, {
+            method: 'DELETE'
+        });
+
+        if (response.ok) {
+            await refreshAllTickets();
+            await showTicketDetails(ticketId);
+        } else {
+            console.error('Failed to clear tasks');
+        }
+    } catch (error) {
+        console.error('Error clearing tasks:', error);
+    }
+}
+
+window.clearTasks = clearTasks;
+
+// Inline editing of tasks and subtasks. The open editor lives here rather than in the modal markup
+// so a live re-render (the worker updating the ticket) reopens it with whatever was typed.
+// Tickets whose description is shown as raw text instead of rendered Markdown.
+const rawDescriptionTicketIds = new Set();
+
+let taskEditor = null; // { ticketId, kind: 'task' | 'subtask' | 'newTask' | 'newSubtask', taskId, subtaskId, name, description }
+
+function isEditingTaskItem(ticketId, kind, taskId, subtaskId) {
+    return taskEditor !== null &&
+        taskEditor.ticketId === ticketId &&
+        taskEditor.kind === kind &&
+        (taskId === undefined || taskEditor.taskId === taskId) &&
+        (subtaskId === undefined || taskEditor.subtaskId === subtaskId);
+}
+
+function buildTaskEditorHtml() {
+    if (taskEditor.kind === 'planRevision') {
+        return `
+            <div class="task-editor" onkeydown="handleTaskEditorKey(event)">
+                <textarea class="edit-description-input" data-field="description" rows="3" placeholder="What should the planner change?" oninput="taskEditor.description = this.value">${escapeHtml(taskEditor.description)}</textarea>
+                <div class="task-editor-buttons">
+                    <button class="btn-primary btn-sm" onclick="saveTaskEditor()">Send to planner</button>
+                    <button class="btn-secondary btn-sm" onclick="cancelTaskEditor()">Cancel</button>
+                </div>
             </div>
-        </div>
-    `;
+        `;
+    }
 
-    // Tasks accordion with clear button in header
-    let tasksAccordionHtml = `
-        <div class="accordion" id="tasksAccordion">
-            <div class="accordion-header">
-                <span>📋 Tasks</span>
-                <button class="btn-secondary btn-sm tasks-clear-btn" title="Clear all tasks" onclick="event.stopPropagation(); clearTasks('${ticketId}')">🧹</button>
-                <span class="accordion-icon">▼</span>
+    if (taskEditor.kind === 'reject') {
+        return `
+            <div class="task-editor review-editor" onkeydown="handleTaskEditorKey(event)">
+                <textarea class="edit-description-input" data-field="description" rows="3" placeholder="What needs to change? This is sent to the developer." oninput="taskEditor.description = this.value">${escapeHtml(taskEditor.description)}</textarea>
+                <div class="task-editor-buttons">
+                    <button class="btn-danger btn-sm" onclick="saveTaskEditor()">Reject</button>
+                    <button class="btn-secondary btn-sm" onclick="cancelTaskEditor()">Cancel</button>
+                </div>
             </div>
-            <div class="accordion-content">
-                ${tasksHtml}
+        `;
+    }
+
+    const isNew = taskEditor.kind === 'newTask' || taskEditor.kind === 'newSubtask';
+    const noun = taskEditor.kind === 'task' || taskEditor.kind === 'newTask' ? 'Task' : 'Subtask';
+    return `
+        <div class="task-editor" onkeydown="handleTaskEditorKey(event)">
+            <input type="text" class="edit-title-input" data-field="name" placeholder="${noun} name..." value="${escapeAttr(taskEditor.name)}" oninput="taskEditor.name = this.value">
+            <textarea class="edit-description-input" data-field="description" rows="3" placeholder="Description..." oninput="taskEditor.description = this.value">${escapeHtml(taskEditor.description)}</textarea>
+            <div class="task-editor-buttons">
+                <button class="btn-primary btn-sm" onclick="saveTaskEditor()">${isNew ? `Add ${noun.toLowerCase()}` : 'Save'}</button>
+                <button class="btn-secondary btn-sm" onclick="cancelTaskEditor()">Cancel</button>
             </div>
         </div>
     `;
+}
 
-    detailDiv.innerHTML = `
-        <div class="detail-top-bar">
-            <div class="detail-top-bar-row">
-                <div class="detail-top-bar-left">
-                    <span class="status-badge ${status.toLowerCase()}">${status}</span>
-                    ${statusActionBtn}
-                    ${deleteBtn}
-                </div>
-                <div class="detail-top-bar-center">
-                    ${ticket.branchName ? `<span class="branch-name">🌿 ${escapeHtml(ticket.branchName)}</span>` : ''}
-                </div>
-                <div class="detail-top-bar-right">
-                    <span class="ticket-detail-cost">
-                        $${ticket.llmCost.toFixed(2)} / 
-                        ${status === 'Done' 
-                            ? `$${ticket.maxCost.toFixed(2)}` 
-                            : `$<input type="number" id="maxCostInput" class="cost-inline-input" value="${ticket.maxCost.toFixed(2)}" min="0" step="0.01" title="Max cost budget" onchange="updateMaxCost('${ticket.id}')">`
-                        }
-                    </span>
-                    <button class="close" title="Close" aria-label="Close">&times;</button>
-                </div>
-            </div>
-        </div>
+// Status picker plus edit / move / delete buttons for one task row or subtask row.
+function buildTaskActionsHtml(ticketId, task, subtask, index, count) {
+    const item = subtask || task;
+    const ids = `'${ticketId}', '${task.id}', ${subtask ? `'${subtask.id}'` : 'null'}`;
+    const itemStatus = SUBTASK_INT_TO_STRING[item.status] || item.status || 'Incomplete';
+
+    // A task with subtasks takes its status from them, so only leaf items get a picker.
+    let statusSelect = '';
+    if (subtask || (task.subtasks || []).length === 0) {
+        const options = Object.values(SUBTASK_INT_TO_STRING)
+            .map(value => `<option value="${value}"${value === itemStatus ? ' selected' : ''}>${value}</option>`)
+            .join('');
+        statusSelect = `<select class="task-status-select" title="Set status" onchange="setTaskItemStatus(${ids}, this.value)">${options}</select>`;
+    }
 
-        <div class="detail-main-content">
-            <div class="detail-left-pane">
-                <div class="detail-pane-header">
-                    ${latestActivityHtml}
-                </div>
-                <div class="detail-pane-scroll">
-                    ${titleDescAccordionHtml}
-                    ${tasksAccordionHtml}
-                </div>
+    return `
+        <span class="task-actions">
+            ${statusSelect}
+            <button class="task-action-btn" title="Edit name and description" onclick="editTaskItem('${ticketId}', '${subtask ? 'subtask' : 'task'}', '${task.id}', ${subtask ? `'${subtask.id}'` : 'null'})">✏️</button>
+            <button class="task-action-btn" title="Move up"${index === 0 ? ' disabled' : ''} onclick="moveTaskItem(${ids}, ${index - 1})">↑</button>
+            <button class="task-action-btn" title="Move down"${index === count - 1 ? ' disabled' : ''} onclick="moveTaskItem(${ids}, ${index + 1})">↓</button>
+            ${subtask ? '' : `<button class="task-action-btn" title="Add a subtask" onclick="editTaskItem('${ticketId}', 'newSubtask', '${task.id}', null)">＋</button>`}
+            <button class="task-action-btn" title="Delete" onclick="deleteTaskItem(${ids})">🗑️</button>
+        </span>
+    `;
+}
+
+function findTaskItem(ticketId, taskId, subtaskId) {
+    const ticket = tickets.find(t => t.id === ticketId);
+    const task = ticket ? (ticket.tasks || []).find(t => t.id === taskId) : null;
+    if (!task || !subtaskId) {
+        return task || null;
+    }
+    return (task.subtasks || []).find(st => st.id === subtaskId) || null;
+}
+
+async function editTaskItem(ticketId, kind, taskId, subtaskId) {
+    const item = kind === 'task' || kind === 'subtask' ? findTaskItem(ticketId, taskId, subtaskId) : null;
+    taskEditor = {
+        ticketId,
+        kind,
+        taskId: taskId || null,
+        subtaskId: subtaskId || null,
+        name: item ? item.name || '' : '',
+        description: item && kind !== 'reject' ? item.description || '' : '',
+        focusOnRender: true
+    };
+    await showTicketDetails(ticketId);
+}
+
+async function cancelTaskEditor() {
+    const ticketId = taskEditor ? taskEditor.ticketId : null;
+    taskEditor = null;
+    if (ticketId) {
+        await showTicketDetails(ticketId);
+    }
+}
+
+function handleTaskEditorKey(e) {
+    if (e.key === 'Escape') {
+        e.stopPropagation();
+        cancelTaskEditor();
+    } else if (e.key === 'Enter' && e.target.dataset.field === 'name') {
+        e.preventDefault();
+        saveTaskEditor();
+    }
+}
+
+async function saveTaskEditor() {
+    const editor = taskEditor;
+    const name = editor.name.trim();
+    if (editor.kind === 'reject' && !editor.description.trim()) {
+        alert('A reason is required to reject work.');
+        return;
+    }
+    if (editor.kind === 'planRevision' && !editor.description.trim()) {
+        alert('Comments are required to send the plan back.');
+        return;
+    }
+    if (editor.kind !== 'reject' && editor.kind !== 'planRevision' && !name) {
+        alert('A name is required.');
+        return;
+    }
+
+    const base = `${API_BASE}/tickets/${editor.ticketId}/tasks`;
+    let ok = false;
+    if (editor.kind === 'newTask') {
+        // Adding a task with an existing name would overwrite that task's description on the server.
+        const ticket = tickets.find(t => t.id === editor.ticketId);
+        if (ticket && (ticket.tasks || []).some(t => t.name === name)) {
+            alert(`Another task is already named '${name}'.`);
+            return;
+        }
+        ok = await sendTaskEdit(editor.ticketId, base, 'POST', { name, description: editor.description });
+    } else if (editor.kind === 'newSubtask') {
+        const task = findTaskItem(editor.ticketId, editor.taskId, null);
+        if (task && (task.subtasks || []).some(st => st.name === name)) {
+            alert(`Another subtask of '${task.name}' is already named '${name}'.`);
+            return;
+        }
+        ok = await sendTaskEdit(editor.ticketId, `${base}/${editor.taskId}/subtasks`, 'POST', { name, description: editor.description });
+    } else if (editor.kind === 'planRevision') {
+        ok = await sendTaskEdit(editor.ticketId, `${API_BASE}/tickets/${editor.ticketId}/plan/revise`, 'POST', { comments: editor.description.trim() });
+    } else if (editor.kind === 'reject') {
+        ok = await sendTaskEdit(editor.ticketId, getTaskItemStatusUrl(editor.ticketId, editor.taskId, editor.subtaskId), 'PATCH', { status: 'Rejected', feedback: editor.description.trim() });
+    } else if (editor.kind === 'task') {
+        ok = await sendTaskEdit(editor.ticketId, `${base}/${editor.taskId}/details`, 'PATCH', { name, description: editor.description });
+    } else {
+        ok = await sendTaskEdit(editor.ticketId, `${base}/${editor.taskId}/subtasks/${editor.subtaskId}/details`, 'PATCH', { name, description: editor.description });
+    }
+
+    if (ok) {
+        taskEditor = null;
+        await refreshAllTickets();
+        await showTicketDetails(editor.ticketId);
+    }
+}
+
+async function moveTaskItem(ticketId, taskId, subtaskId, index) {
+    const url = subtaskId
+        ? `${API_BASE}/tickets/${ticketId}/tasks/${taskId}/subtasks/${subtaskId}/position`
+        : `${API_BASE}/tickets/${ticketId}/tasks/${taskId}/position`;
+    if (await sendTaskEdit(ticketId, url, 'PATCH', { index })) {
+        await refreshAllTickets();
+        await showTicketDetails(ticketId);
+    }
+}
+
+function getTaskItemStatusUrl(ticketId, taskId, subtaskId) {
+    return subtaskId
+        ? `${API_BASE}/tickets/${ticketId}/tasks/${taskId}/subtasks/${subtaskId}`
+        : `${API_BASE}/tickets/${ticketId}/tasks/${taskId}/status`;
+}
+
+// Forcing a subtask back to Incomplete makes get_next_work_item hand it to the developer again.
+async function setTaskItemStatus(ticketId, taskId, subtaskId, status) {
+    // Rejecting needs a reason for the developer, so it goes through the reject editor.
+    if (status === 'Rejected') {
+        await editTaskItem(ticketId, 'reject', taskId, subtaskId);
+        return;
+    }
+
+    if (await sendTaskEdit(ticketId, getTaskItemStatusUrl(ticketId, taskId, subtaskId), 'PATCH', { status })) {
+        await refreshAllTickets();
+        await showTicketDetails(ticketId);
+    }
+}
+
+async function deleteTaskItem(ticketId, taskId, subtaskId) {
+    const item = findTaskItem(ticketId, taskId, subtaskId);
+    const name = item ? item.name : '';
+    const subtaskCount = !subtaskId && item ? (item.subtasks || []).length : 0;
+    const message = subtaskId
+        ? `Delete subtask '${name}'?`
+        : `Delete task '${name}'${subtaskCount > 0 ? ` and its ${subtaskCount} subtask${subtaskCount === 1 ? '' : 's'}` : ''}?`;
+    if (!confirm(message)) {
+        return;
+    }
+
+    const url = subtaskId
+        ? `${API_BASE}/tickets/${ticketId}/tasks/${taskId}/subtasks/${subtaskId}`
+        : `${API_BASE}/tickets/${ticketId}/tasks/${taskId}`;
+    if (await sendTaskEdit(ticketId, url, 'DELETE', null)) {
+        await refreshAllTickets();
+        await showTicketDetails(ticketId);
+    }
+}
+
+// Returns true on success. Validation errors (duplicate or empty names) are shown to the user.
+async function sendTaskEdit(ticketId, url, method, body) {
+    try {
+        const init = { method };
+        if (body !== null) {
+            init.headers = { 'Content-Type': 'application/json' };
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(url, init);
+        if (response.ok) {
+            return true;
+        }
+        if (response.status === 400 || response.status === 409) {
+            alert(await response.text());
+        } else {
+            console.error('Failed to update tasks');
+        }
+    } catch (error) {
+        console.error('Error updating tasks:', error);
+    }
+    return false;
+}
+
+window.editTaskItem = editTaskItem;
+window.cancelTaskEditor = cancelTaskEditor;
+window.saveTaskEditor = saveTaskEditor;
+window.handleTaskEditorKey = handleTaskEditorKey;
+window.moveTaskItem = moveTaskItem;
+window.setTaskItemStatus = setTaskItemStatus;
+window.deleteTaskItem = deleteTaskItem;
+
+// Human review. With requireHumanReview on, the developer's end_subtask leaves the work in
+// AwaitingReview and the worker waits here for Approve (Complete) or Reject (with a reason).
+function isAwaitingReview(item) {
+    return item.status === 'AwaitingReview' || item.status === 2;
+}
+
+function countAwaitingReview(ticket) {
+    let count = 0;
+    for (const task of ticket.tasks || []) {
+        const subtasks = task.subtasks || [];
+        if (subtasks.length === 0) {
+            count += isAwaitingReview(task) ? 1 : 0;
+        } else {
+            count += subtasks.filter(isAwaitingReview).length;
+        }
+    }
+    return count;
+}
+
+function buildReviewActionsHtml(ticketId, task, subtask) {
+    const item = subtask || task;
+    if (!isAwaitingReview(item) || isEditingTaskItem(ticketId, 'reject', task.id, subtask ? subtask.id : null)) {
+        return '';
+    }
+
+    const subtaskArg = subtask ? `'${subtask.id}'` : 'null';
+    return `
+        <span class="review-actions">
+            <button class="btn-primary btn-sm" title="Accept this work" onclick="event.stopPropagation(); approveTaskItem('${ticketId}', '${task.id}', ${subtaskArg})">✓ Approve</button>
+            <button class="btn-danger btn-sm" title="Send this work back to the developer" onclick="event.stopPropagation(); editTaskItem('${ticketId}', 'reject', '${task.id}', ${subtaskArg})">✗ Reject</button>
+        </span>
+    `;
+}
+
+// Reject editor while it is open, otherwise the last rejection reason.
+function buildReviewFeedbackHtml(ticketId, task, subtask) {
+    const item = subtask || task;
+    if (isEditingTaskItem(ticketId, 'reject', task.id, subtask ? subtask.id : null)) {
+        return buildTaskEditorHtml();
+    }
+    if (!item.reviewFeedback) {
+        return '';
+    }
+    return `<div class="review-feedback" title="Reason given when this work was last rejected">↩ ${escapeHtml(item.reviewFeedback)}</div>`;
+}
+
+async function approveTaskItem(ticketId, taskId, subtaskId) {
+    if (await sendTaskEdit(ticketId, getTaskItemStatusUrl(ticketId, taskId, subtaskId), 'PATCH', { status: 'Complete' })) {
+        await refreshAllTickets();
+        await showTicketDetails(ticketId);
+    }
+}
+
+async function setRequireHumanReview(ticketId, requireHumanReview) {
+    if (await sendTaskEdit(ticketId, `${API_BASE}/tickets/${ticketId}/review`, 'PATCH', { requireHumanReview })) {
+        await refreshAllTickets();
+        await showTicketDetails(ticketId);
+    }
+}
+
+window.approveTaskItem = approveTaskItem;
+window.setRequireHumanReview = setRequireHumanReview;
+
+// Plan approval gate. The worker keeps an Active ticket in planning until the plan is approved;
+// sending it back posts the comments to the planning conversation.
+function isAwaitingPlanApproval(ticket) {
+    return ticket.status === 'Active' && !!ticket.requirePlanApproval && !ticket.planApproved;
+}
+
+function buildPlanApprovalBannerHtml(ticket) {
+    if (!isAwaitingPlanApproval(ticket)) {
+        return '';
+    }
+
+    const taskCount = (ticket.tasks || []).length;
+    if (taskCount === 0) {
+        return `
+            <div class="plan-approval-banner waiting">
+                <div class="plan-approval-title">📝 Waiting for the planner to propose a plan</div>
+                <div class="plan-approval-text">Development starts after you approve it.</div>
             </div>
+        `;
+    }
 
-            <div class="detail-right-pane">
-                <div class="detail-pane-header">
-                    <div class="detail-conversation-controls">
-                        ${buildPlannerLlmDropdown(ticket, 'detailPlannerLlm')}
-                        <select id="detailConversationDropdown" class="detail-chat-select" title="Select conversation">
-                            <option value="">💬 Select conversation…</option>
-                        </select>
-                        <button id="detailDeleteConvoBtn" class="btn-secondary btn-sm" title="Delete this conversation" style="display:none;" onclick="deleteSelectedDetailConversation()">🗑️</button>
-                        <button class="btn-secondary btn-sm" title="Delete all finished conversations" onclick="deleteFinishedConversations('${ticketId}')">🧹</button>
-                    </div>
-                </div>
-                <div class="detail-chat-messages" id="detailChatMessages">
-                    <div class="chat-msg chat-msg-system">Select a conversation above.</div>
-                </div>
-                <div class="detail-chat-input-area">
-                    <textarea id="detailChatInput" class="detail-chat-input" placeholder="Type a message…" rows="1" disabled></textarea>
-                    <button id="detailChatStopBtn" class="btn-danger detail-chat-btn inactive" title="Stop generation" onclick="interruptConversation()">■</button>
-                    <button id="detailClearConvoBtn" class="btn-secondary detail-chat-btn" title="Clear conversation" onclick="clearConversation('${ticketId}')">🔄</button>
-                    <button id="detailChatSendBtn" class="btn-primary detail-chat-btn" title="Send message" disabled>→</button>
-                </div>
+    const subtaskCount = ticket.tasks.reduce((sum, task) => sum + (task.subtasks || []).length, 0);
+    const isRevising = isEditingTaskItem(ticket.id, 'planRevision');
+    return `
+        <div class="plan-approval-banner">
+            <div class="plan-approval-title">📝 Plan ready for review</div>
+            <div class="plan-approval-text">
+                ${taskCount} task${taskCount === 1 ? '' : 's'}, ${subtaskCount} subtask${subtaskCount === 1 ? '' : 's'}.
+                Edit them under Tasks if needed, then approve to start development.
             </div>
+            ${isRevising
+                ? buildTaskEditorHtml()
+                : `<div class="plan-approval-actions">
+                       <button class="btn-primary btn-sm" onclick="approvePlan('${ticket.id}')">✓ Approve plan</button>
+                       <button class="btn-secondary btn-sm" onclick="editTaskItem('${ticket.id}', 'planRevision')">↩ Send back with comments</button>
+                   </div>`
+            }
         </div>
     `;
+}
+
+async function approvePlan(ticketId) {
+    if (await sendTaskEdit(ticketId, `${API_BASE}/tickets/${ticketId}/plan/approve`, 'POST', null)) {
+        await refreshAllTickets();
+        await showTicketDetails(ticketId);
+    }
+}
+
+window.approvePlan = approvePlan;
+
+// Clear a conversation back to its initial state.
+// Uses the currently-viewed conversation when available so that clearing
+// while watching a sub-agent targets that conversation, not the planner.
+async function clearConversation(ticketId) {
+    console.log('clearConversation called with ticketId:', ticketId);
+    if (!ticketId) {
+        console.warn('clearConversation: no ticketId');
+        return;
+    }
+
+    const convos = ticketConversations[ticketId] || [];
+    console.log('clearConversation: found', convos.length, 'conversations, finished states:', convos.map(c => c.isFinished));
+
+    // Prefer the conversation the user is currently viewing in the detail panel.
+    let targetConvo = null;
+    if (detailChatTicketId === ticketId && detailChatConversationId) {
+        targetConvo = convos.find(c => c.id === detailChatConversationId && !c.isFinished);
+    }
+    if (!targetConvo) {
+        targetConvo = convos.find(c => !c.isFinished);
+    }
+    if (!targetConvo) {
+        alert('No active conversation to clear.');
+        return;
+    }
 
-    modal.classList.add('active');
+    if (!confirm('Reset this conversation? All messages and memories will be cleared.')) {
+        return;
+    }
 
-    // Setup close button
-    const closeBtn = detailDiv.querySelector('.close');
-    if (closeBtn) {
-        closeBtn.addEventListener('click', () => {
-            modal.classList.remove('active');
-            currentDetailTicketId = null;
-            detailChatTicketId = null;
-            detailChatConversationId = null;
-        });
+    console.log('clearConversation: invoking RequestClearConversation', ticketId, targetConvo.id);
+    try {
+        await connection.invoke('RequestClearConversation', ticketId, targetConvo.id);
+        console.log('clearConversation: invoke completed successfully');
+    } catch (error) {
+        console.error('Error clearing conversation:', error);
     }
+}
 
-    // Restore accordion states from localStorage
-    const accordionStates = getTicketAccordionStates(ticketId);
+window.clearConversation = clearConversation;
 
-    const titleDescAccordion = detailDiv.querySelector('#titleDescAccordion');
-    const tasksAccordion = detailDiv.querySelector('#tasksAccordion');
+async function deleteConversation(ticketId, conversationId) {
+    if (!ticketId || !conversationId) return;
 
-    if (titleDescAccordion) {
-        if (accordionStates.titleDesc !== false) {
-            titleDescAccordion.classList.remove('collapsed');
+    try {
+        const resp = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/${conversationId}`, { method: 'DELETE' });
+        if (!resp.ok) {
+            console.warn('Failed to delete conversation:', resp.status);
         } else {
-            titleDescAccordion.classList.add('collapsed');
+            saveConversationDraft(ticketId, conversationId, '');
         }
+    } catch (err) {
+        console.error('Error deleting conversation:', err);
     }
+}
 
-    if (tasksAccordion) {
-        if (accordionStates.tasks) {
-            tasksAccordion.classList.remove('collapsed');
-        } else {
-            tasksAccordion.classList.add('collapsed');
-        }
+window.deleteConversation = deleteConversation;
+
+function deleteSelectedDetailConversation() {
+    if (detailChatTicketId && detailChatConversationId) {
+        deleteConversation(detailChatTicketId, detailChatConversationId);
     }
+}
 
-    // Setup accordion click handlers with state saving
-    const titleDescAccordionHeader = detailDiv.querySelector('#titleDescAccordion .accordion-header');
-    const tasksAccordionHeader = detailDiv.querySelector('#tasksAccordion .accordion-header');
+window.deleteSelectedDetailConversation = deleteSelectedDetailConversation;
 
-    if (titleDescAccordionHeader) {
-        titleDescAccordionHeader.addEventListener('click', function(e) {
-            const accordion = this.closest('.accordion');
-            accordion.classList.toggle('collapsed');
-            const states = getTicketAccordionStates(ticketId);
-            states.titleDesc = !accordion.classList.contains('collapsed');
-            saveTicketAccordionStates(ticketId, states);
-        });
-    }
+async function deleteFinishedConversations(ticketId) {
+    if (!ticketId) return;
 
-    if (tasksAccordionHeader) {
-        tasksAccordionHeader.addEventListener('click', function(e) {
-            if (e.target.closest('.tasks-clear-btn')) {
-                return;
-            }
-            const accordion = this.closest('.accordion');
-            accordion.classList.toggle('collapsed');
-            const states = getTicketAccordionStates(ticketId);
-            states.tasks = !accordion.classList.contains('collapsed');
-            saveTicketAccordionStates(ticketId, states);
-        });
+    try {
+        const resp = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/finished`, { method: 'DELETE' });
+        if (!resp.ok) {
+            console.warn('Failed to delete finished conversations:', resp.status);
+        }
+    } catch (err) {
+        console.error('Error deleting finished conversations:', err);
     }
+}
 
-    // Add click handlers for expandable tasks and subtasks
-    detailDiv.querySelectorAll('.task-item[data-has-description="true"]').forEach(taskItem => {
-        const taskIndex = taskItem.dataset.taskIndex;
-        const descDiv = taskItem.querySelector('.task-description-full');
-        const indicator = taskItem.querySelector('.expand-indicator');
+window.deleteFinishedConversations = deleteFinishedConversations;
 
-        if (expandedDescriptions.tasks[taskIndex]) {
-            descDiv.style.display = 'block';
-            if (indicator) indicator.textContent = '▼';
-        }
+// Drag and drop
+function canMoveFrom(status) {
+    return ALLOWED_TRANSITIONS[status] && ALLOWED_TRANSITIONS[status].length > 0;
+}
 
-        taskItem.addEventListener('click', (e) => {
-            if (e.target.closest('.subtask-item')) {
-                return;
-            }
-            const isVisible = descDiv.style.display !== 'none';
+function canMoveTo(fromStatus, toStatus) {
+    const allowed = ALLOWED_TRANSITIONS[fromStatus] || [];
 
-            if (!isVisible) {
-                Object.keys(expandedDescriptions.tasks).forEach(key => {
-                    expandedDescriptions.tasks[key] = false;
-                });
-                Object.keys(expandedDescriptions.subtasks).forEach(key => {
-                    expandedDescriptions.subtasks[key] = false;
-                });
-                detailDiv.querySelectorAll('.task-description-full, .subtask-description-full').forEach(div => {
-                    div.style.display = 'none';
-                });
-                detailDiv.querySelectorAll('.expand-indicator').forEach(ind => {
-                    ind.textContent = 'ⓘ';
-                });
+    return allowed.includes(toStatus);
+}
 
-                descDiv.style.display = 'block';
-                if (indicator) indicator.textContent = '▼';
-                expandedDescriptions.tasks[taskIndex] = true;
-            } else {
-                descDiv.style.display = 'none';
-                if (indicator) indicator.textContent = 'ⓘ';
-                expandedDescriptions.tasks[taskIndex] = false;
-            }
-        });
+function setupDragAndDrop() {
+    document.querySelectorAll('.column').forEach(column => {
+        column.addEventListener('dragover', handleDragOver);
+        column.addEventListener('dragenter', handleDragEnter);
+        column.addEventListener('dragleave', handleDragLeave);
+        column.addEventListener('drop', handleDrop);
     });
 
-    detailDiv.querySelectorAll('.subtask-item[data-has-description="true"]').forEach(subtaskItem => {
-        const taskIndex = subtaskItem.closest('.task-item').dataset.taskIndex;
-        const subtaskIndex = subtaskItem.dataset.subtaskIndex;
-        const stKey = `${taskIndex}-${subtaskIndex}`;
-        const descDiv = subtaskItem.querySelector('.subtask-description-full');
-        const indicator = subtaskItem.querySelector('.expand-indicator');
+    document.addEventListener('dragstart', handleDragStart);
+    document.addEventListener('dragend', handleDragEnd);
+}
 
-        if (expandedDescriptions.subtasks[stKey]) {
-            descDiv.style.display = 'block';
-            if (indicator) indicator.textContent = '▼';
-        }
+let draggedTicketId = null;
+let draggedFromStatus = null;
 
-        subtaskItem.addEventListener('click', (e) => {
-            e.stopPropagation();
-            const isVisible = descDiv.style.display !== 'none';
+function handleDragStart(e) {
+    if (!e.target.classList.contains('ticket') || !e.target.classList.contains('draggable')) {
+        return;
+    }
 
-            if (!isVisible) {
-                Object.keys(expandedDescriptions.tasks).forEach(key => {
-                    expandedDescriptions.tasks[key] = false;
-                });
-                Object.keys(expandedDescriptions.subtasks).forEach(key => {
-                    expandedDescriptions.subtasks[key] = false;
-                });
-                detailDiv.querySelectorAll('.task-description-full, .subtask-description-full').forEach(div => {
-                    div.style.display = 'none';
-                });
-                detailDiv.querySelectorAll('.expand-indicator').forEach(ind => {
-                    ind.textContent = 'ⓘ';
-                });
+    draggedTicketId = e.target.dataset.ticketId;
+    draggedFromStatus = e.target.dataset.status;
 
-                descDiv.style.display = 'block';
-                if (indicator) indicator.textContent = '▼';
-                expandedDescriptions.subtasks[stKey] = true;
-            } else {
-                descDiv.style.display = 'none';
-                if (indicator) indicator.textContent = 'ⓘ';
-                expandedDescriptions.subtasks[stKey] = false;
-            }
-        });
-    });
+    e.target.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedTicketId);
 
-    // Subscribe to updates for this ticket
-    if (connection && connection.state === signalR.HubConnectionState.Connected) {
-        try {
-            await connection.invoke('SubscribeToTicket', ticketId);
-        } catch (error) {
-            console.warn('Could not subscribe to ticket updates:', error);
+    // Highlight valid drop targets
+    document.querySelectorAll('.column').forEach(column => {
+        const targetStatus = column.dataset.status;
+
+        if (targetStatus !== draggedFromStatus && !canMoveTo(draggedFromStatus, targetStatus)) {
+            column.classList.add('drop-disabled');
         }
+    });
+}
+
+function handleDragEnd(e) {
+    if (e.target.classList.contains('ticket')) {
+        e.target.classList.remove('dragging');
     }
 
-    // Setup inline chat
-    setupDetailChat(ticketId);
+    document.querySelectorAll('.column').forEach(column => {
+        column.classList.remove('drag-over', 'drop-disabled');
+    });
+    removeDropIndicator();
 
-    // Restore chat input text and cursor.
-    if (savedInputText) {
-        const restoredInput = document.getElementById('detailChatInput');
-        if (restoredInput) {
-            restoredInput.value = savedInputText;
-            restoredInput.selectionStart = savedSelStart;
-            restoredInput.selectionEnd = savedSelEnd;
-        }
-    }
+    draggedTicketId = null;
+    draggedFromStatus = null;
 }
 
-// Inline chat inside the ticket detail modal.
-let detailChatTicketId = null;
-let detailChatConversationId = null;
+function handleDragEnter(e) {
+    e.preventDefault();
+    const column = e.currentTarget;
+    const targetStatus = column.dataset.status;
 
-function setupDetailChat(ticketId) {
-    const previousConversationId = (detailChatTicketId === ticketId) ? detailChatConversationId : null;
-    detailChatTicketId = ticketId;
-    detailChatConversationId = null;
+    if (draggedFromStatus && canMoveTo(draggedFromStatus, targetStatus)) {
+        column.classList.add('drag-over');
+    }
+}
 
-    const dropdown = document.getElementById('detailConversationDropdown');
-    const messagesDiv = document.getElementById('detailChatMessages');
-    const input = document.getElementById('detailChatInput');
-    const sendBtn = document.getElementById('detailChatSendBtn');
-    const deleteBtn = document.getElementById('detailDeleteConvoBtn');
-    if (!dropdown || !messagesDiv || !input || !sendBtn) return;
+function handleDragLeave(e) {
+    const column = e.currentTarget;
 
-    // Populate dropdown.
-    const convos = sortConversations(ticketConversations[ticketId] || []);
-    dropdown.innerHTML = '<option value="">💬 Select conversation…</option>';
-    for (let i = 0; i < convos.length; i++) {
-        const c = convos[i];
-        const suffix = c.isFinished ? ' ✓' : ` (${c.messageCount})`;
-        const option = document.createElement('option');
-        option.value = c.id;
-        option.textContent = conversationDepthPrefix(c.role) + c.displayName + suffix;
-        dropdown.appendChild(option);
+    if (!column.contains(e.relatedTarget)) {
+        column.classList.remove('drag-over');
+        removeDropIndicator();
     }
+}
 
-    // Determine which conversation to select: in-memory state > localStorage > most active.
-    let selectedConvId = previousConversationId;
-    let scrollState = { atBottom: true };
+function handleDragOver(e) {
+    e.preventDefault();
+    const column = e.currentTarget;
+    const targetStatus = column.dataset.status;
+
+    if (draggedFromStatus && targetStatus === draggedFromStatus) {
+        // Reordering within the column: show where the card will land.
+        e.dataTransfer.dropEffect = 'move';
+        showDropIndicator(column.querySelector('.ticket-container'), e.clientY);
+    } else if (draggedFromStatus && canMoveTo(draggedFromStatus, targetStatus)) {
+        e.dataTransfer.dropEffect = 'move';
+        removeDropIndicator();
+    } else {
+        e.dataTransfer.dropEffect = 'none';
+        removeDropIndicator();
+    }
+}
 
-    if (!selectedConvId || !convos.some(c => c.id === selectedConvId)) {
-        const saved = getTicketConversationState(ticketId);
-        if (saved && convos.some(c => c.id === saved.conversationId)) {
-            selectedConvId = saved.conversationId;
-            scrollState = saved.scrollState || { atBottom: true };
-        } else {
-            selectedConvId = pickDefaultConversation(convos);
-            scrollState = { atBottom: true };
+// Places the drop-position line above the first card whose midpoint is below the pointer.
+function showDropIndicator(container, clientY) {
+    let beforeEl = null;
+    const cards = container.querySelectorAll('.ticket:not(.dragging)');
+    for (let i = 0; i < cards.length; i++) {
+        const rect = cards[i].getBoundingClientRect();
+        if (clientY < rect.top + rect.height / 2) {
+            beforeEl = cards[i];
+            break;
         }
     }
 
-    // Restore selection if valid.
-    if (selectedConvId && convos.some(c => c.id === selectedConvId)) {
-        dropdown.value = selectedConvId;
-        detailChatConversationId = selectedConvId;
-        const info = convos.find(c => c.id === selectedConvId);
-        setDetailChatEnabled(!(info && info.isFinished));
-        if (deleteBtn) deleteBtn.style.display = info ? '' : 'none';
-        loadAndRestoreDetailConversation(ticketId, selectedConvId, scrollState);
-        updateBusyIndicators(ticketId, selectedConvId, !!busyConversations[`${ticketId}:${selectedConvId}`]);
-        syncLlmDropdownToConversation(ticketId, selectedConvId, 'detailPlannerLlm');
+    let indicator = document.getElementById('dropIndicator');
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.id = 'dropIndicator';
+        indicator.className = 'drop-indicator';
     }
 
-    dropdown.addEventListener('change', () => {
-        const convId = dropdown.value;
-        if (convId) {
-            detailChatConversationId = convId;
-            loadAndDisplayDetailConversation(ticketId, convId);
-            const info = convos.find(c => c.id === convId);
-            setDetailChatEnabled(!(info && info.isFinished));
-            if (deleteBtn) deleteBtn.style.display = info ? '' : 'none';
-            saveTicketConversationState(ticketId, convId, { atBottom: true });
-            updateBusyIndicators(ticketId, convId, !!busyConversations[`${ticketId}:${convId}`]);
-            syncLlmDropdownToConversation(ticketId, convId, 'detailPlannerLlm');
-        } else {
-            detailChatConversationId = null;
-            messagesDiv.innerHTML = '<div class="chat-msg chat-msg-system">Select a conversation above.</div>';
-            setDetailChatEnabled(false);
-            if (deleteBtn) deleteBtn.style.display = 'none';
-            updateBusyIndicators(ticketId, '', false);
-        }
-    });
+    if (indicator.parentNode !== container || indicator.nextElementSibling !== beforeEl) {
+        container.insertBefore(indicator, beforeEl);
+    }
+}
 
-    function sendMessage() {
-        const text = input.value.trim();
-        if (!text || !detailChatTicketId || !detailChatConversationId) return;
-        if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+function removeDropIndicator() {
+    const indicator = document.getElementById('dropIndicator');
+    if (indicator) {
+        indicator.remove();
+    }
+}
 
-        input.value = '';
-        input.style.height = '';
-        connection.invoke('SendChatToWorker', detailChatTicketId, detailChatConversationId, text).catch(() => {});
+// The card the dragged ticket should be placed above, read from the indicator's position.
+// Returns '' for "bottom of the column" and null when the drop would not change the order.
+function getDropBeforeTicketId(ticketId) {
+    const indicator = document.getElementById('dropIndicator');
+    if (!indicator) {
+        return null;
     }
 
-    sendBtn.addEventListener('click', sendMessage);
-    input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendMessage();
+    let next = indicator.nextElementSibling;
+    while (next && (next.dataset.ticketId === ticketId || next.classList.contains('column-group-header'))) {
+        next = next.nextElementSibling;
+    }
+    const beforeId = next && next.classList.contains('ticket') ? next.dataset.ticketId : '';
+
+    // Dropped right back into its own slot.
+    const draggedEl = boardCards.has(ticketId) ? boardCards.get(ticketId).el : null;
+    if (draggedEl && draggedEl.parentNode === indicator.parentNode) {
+        let ownNext = draggedEl.nextElementSibling === indicator ? indicator.nextElementSibling : draggedEl.nextElementSibling;
+        while (ownNext && ownNext.classList.contains('column-group-header')) {
+            ownNext = ownNext.nextElementSibling;
         }
-    });
-    input.addEventListener('input', () => {
-        input.style.height = '';
-        input.style.height = Math.min(input.scrollHeight, 80) + 'px';
-    });
+        const ownNextId = ownNext && ownNext.classList.contains('ticket') ? ownNext.dataset.ticketId : '';
+        if (ownNextId === beforeId) {
+            return null;
+        }
+    }
 
-    // Track scroll position with debouncing.
-    let scrollTimeout = null;
-    messagesDiv.addEventListener('scroll', () => {
-        if (!detailChatTicketId || !detailChatConversationId) return;
-        clearTimeout(scrollTimeout);
-        scrollTimeout = setTimeout(() => {
-            const atBottom = messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < 40;
-            const scrollState = atBottom ? { atBottom: true } : { messageIndex: messagesDiv.children.length - 1 };
-            saveTicketConversationState(detailChatTicketId, detailChatConversationId, scrollState);
-        }, 300);
-    });
+    return beforeId;
 }
 
-function setDetailChatEnabled(enabled) {
-    const input = document.getElementById('detailChatInput');
-    const btn = document.getElementById('detailChatSendBtn');
-    if (input) {
-        input.disabled = !enabled;
-        input.placeholder = enabled ? 'Type a message…' : 'Conversation finished.';
-    }
-    if (btn) btn.disabled = !enabled;
-}
+async function handleDrop(e) {
+    e.preventDefault();
+    e.stopPropagation();
 
-async function loadAndDisplayDetailConversation(ticketId, conversationId) {
-    const messagesDiv = document.getElementById('detailChatMessages');
-    if (!messagesDiv) return;
+    const column = e.currentTarget;
+    column.classList.remove('drag-over');
 
-    const key = `${ticketId}:${conversationId}`;
-    let msgs = conversationMessages[key];
+    const ticketId = e.dataTransfer.getData('text/plain');
+    const targetStatus = column.dataset.status;
 
-    if (!msgs) {
-        try {
-            const response = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/${conversationId}`);
-            if (response.ok) {
-                const data = await response.json();
-                msgs = data.messages || [];
-                conversationMessages[key] = msgs;
-            } else {
-                msgs = [];
-            }
-        } catch {
-            msgs = [];
+    if (!ticketId || !draggedFromStatus) {
+        removeDropIndicator();
+        return;
+    }
+
+    if (targetStatus === draggedFromStatus) {
+        const beforeTicketId = getDropBeforeTicketId(ticketId);
+        removeDropIndicator();
+        if (beforeTicketId !== null) {
+            await reorderTicket(ticketId, beforeTicketId || null);
         }
+        return;
     }
 
-    messagesDiv.innerHTML = '';
-    for (let i = 0; i < msgs.length; i++) {
-        renderDetailChatMessage(msgs, i, messagesDiv);
+    removeDropIndicator();
+
+    if (!canMoveTo(draggedFromStatus, targetStatus)) {
+        return;
     }
 
-    requestAnimationFrame(() => {
-        messagesDiv.scrollTop = messagesDiv.scrollHeight;
-    });
+    await moveTicket(ticketId, targetStatus);
 }
 
-// Loads and displays a detail conversation, then restores scroll state.
-async function loadAndRestoreDetailConversation(ticketId, conversationId, scrollState) {
-    const messagesDiv = document.getElementById('detailChatMessages');
-    if (!messagesDiv) return;
+// Event listeners
+function setupEventListeners() {
+    // New ticket button
+    document.getElementById('newTicketBtn').addEventListener('click', () => {
+        populateNewTicketLlmDropdown();
+        populateNewTicketLabels();
+        document.getElementById('newTicketModal').classList.add('active');
+        document.getElementById('ticketTitle').focus();
+    });
 
-    const key = `${ticketId}:${conversationId}`;
-    let msgs = conversationMessages[key];
+    // Settings button
+    document.getElementById('settingsBtn').addEventListener('click', showSettings);
 
-    if (!msgs) {
-        try {
-            const response = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/${conversationId}`);
-            if (response.ok) {
-                const data = await response.json();
-                msgs = data.messages || [];
-                conversationMessages[key] = msgs;
-            } else {
-                msgs = [];
-            }
-        } catch {
-            msgs = [];
-        }
-    }
+    // Board search box
+    setupBoardSearch();
+    setupBulkActions();
 
-    messagesDiv.innerHTML = '';
-    for (let i = 0; i < msgs.length; i++) {
-        renderDetailChatMessage(msgs, i, messagesDiv);
-    }
+    // New ticket form
+    document.getElementById('newTicketForm').addEventListener('submit', handleCreateTicket);
 
-    requestAnimationFrame(() => {
-        if (scrollState.atBottom) {
-            messagesDiv.scrollTop = messagesDiv.scrollHeight;
-        } else if (scrollState.messageIndex != null) {
-            const targetChild = messagesDiv.children[Math.min(scrollState.messageIndex, messagesDiv.children.length - 1)];
-            if (targetChild) {
-                targetChild.scrollIntoView({ block: 'start' });
-            }
-        } else {
-            messagesDiv.scrollTop = messagesDiv.scrollHeight;
-        }
+    // Retry form for Failed tickets
+    document.getElementById('retryForm').addEventListener('submit', handleRetryTicket);
+    document.querySelectorAll('input[name="retryMode"]').forEach(radio => {
+        radio.addEventListener('change', updateRetryModeOptions);
     });
-}
 
-function renderDetailChatMessage(messages, index, container) {
-    const msg = messages[index];
+    // Git config form
+    document.getElementById('gitConfigForm').addEventListener('submit', handleSaveSettings);
 
-    if (msg.role === 'user') {
-        const content = (msg.content || '');
-        appendDetailChatBubble('user', content);
-    } else if (msg.role === 'assistant') {
-        if (msg.content && (!msg.tool_calls || msg.content.trim() !== '')) {
-            appendDetailChatBubble('assistant', msg.content);
-        }
-        if (msg.tool_calls) {
-            for (let i = 0; i < msg.tool_calls.length; i++) {
-                const tc = msg.tool_calls[i];
-                // Look ahead for the matching tool result
-                let result = null;
-                for (let j = index + 1; j < messages.length; j++) {
-                    if (messages[j].role === 'tool' && messages[j].tool_call_id === tc.id) {
-                        result = messages[j].content || '';
-                        break;
-                    }
-                }
-                if (result !== null) {
-                    appendDetailToolCall(container, tc.function.name, tc.function.arguments, result);
-                } else {
-                    appendPendingToolCall(container, tc.function.name, tc.function.arguments);
-                }
-            }
-        }
-    } else if (msg.role === 'system') {
-        appendDetailChatBubble('system', msg.content || '');
-    }
-    // Skip role === 'tool' — results are embedded in tool call accordions
-}
+    // Add LLM button
+    document.getElementById('addLLMBtn').addEventListener('click', addLLMConfig);
 
-function appendDetailToolCall(container, name, argsJson, result) {
-    const args = formatToolCallParams(argsJson);
-    const isError = result && result.startsWith('Error:');
-    const el = document.createElement('div');
-    el.className = 'chat-tool-accordion' + (isError ? ' chat-tool-error' : '');
+    // Add label button
+    document.getElementById('addLabelBtn').addEventListener('click', addLabelConfig);
 
-    const resultHtml = result ? `
-        <div class="chat-tool-section chat-tool-result">
-            <pre>${escapeHtml(result)}</pre>
-        </div>
-    ` : '';
+    // Compaction type dropdown
+    document.getElementById('compactionType').addEventListener('change', updateCompactionVisibility);
 
-    el.innerHTML = `
-        <div class="chat-tool-header">
-            <span class="chat-tool-icon">▶</span>
-            <span class="chat-tool-name">${escapeHtml(name)}</span>
-            <span class="chat-tool-params">${escapeHtml(args)}</span>
-        </div>
-        <div class="chat-tool-body">
-            ${resultHtml}
-        </div>
-    `;
-    el.querySelector('.chat-tool-header').addEventListener('click', () => {
-        const icon = el.querySelector('.chat-tool-icon');
-        const body = el.querySelector('.chat-tool-body');
-        if (body.classList.contains('open')) {
-            body.classList.remove('open');
-            icon.classList.remove('open');
-        } else {
-            body.classList.add('open');
-            icon.classList.add('open');
-        }
+    // Close modal buttons
+    document.querySelectorAll('.close').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const modal = btn.closest('.modal');
+
+            if (modal.id === 'settingsModal') {
+                saveSettings();
+            }
+
+            modal.classList.remove('active');
+
+            if (modal.id === 'ticketDetailModal') {
+                currentDetailTicketId = null;
+                detailChatTicketId = null;
+                detailChatConversationId = null;
+            }
+        });
     });
-    container.appendChild(el);
-}
 
-function appendPendingToolCall(container, name, argsJson) {
-    const args = formatToolCallParams(argsJson);
-    const el = document.createElement('div');
-    el.className = 'chat-tool-pending';
-    el.innerHTML = `
-        <span class="chat-tool-icon">▶</span>
-        <span class="chat-tool-name">${escapeHtml(name)}</span>
-        <span class="chat-tool-params">${escapeHtml(args)}</span>
-        <span class="spinner-dots"><span>.</span><span>.</span><span>.</span></span>
-    `;
-    container.appendChild(el);
-}
+    // Close modals on backdrop click (not for full-screen ticket detail)
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal && modal.id !== 'ticketDetailModal') {
+                if (modal.id === 'settingsModal') {
+                    saveSettings();
+                }
 
-function formatToolCallParams(argsJson) {
-    try {
-        const obj = JSON.parse(argsJson);
-        const parts = [];
-        for (const key in obj) {
-            let val = String(obj[key]);
-            // Shorten GUID-like values (32 hex or 8-4-4-4-12) to first 4 chars
-            if (/^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(val)) {
-                val = val.substring(0, 4) + '…';
-            } else if (val.length > 40) {
-                val = val.substring(0, 40) + '…';
+                modal.classList.remove('active');
             }
-            parts.push(val);
-        }
-        return parts.join(' ');
-    } catch {
-        return argsJson.length > 80 ? argsJson.substring(0, 80) + '…' : argsJson;
-    }
-}
+        });
+    });
 
-function appendDetailChatBubble(role, content) {
-    const messagesDiv = document.getElementById('detailChatMessages');
-    if (!messagesDiv) return;
-    const el = document.createElement('div');
-    el.className = `chat-msg chat-msg-${role}`;
-    el.textContent = content;
-    messagesDiv.appendChild(el);
-    messagesDiv.scrollTop = messagesDiv.scrollHeight;
-}
+    // Close modals on Escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            const openModals = document.querySelectorAll('.modal.active');
+            if (openModals.length === 0) {
+                clearTicketSelection();
+            }
 
-// Move ticket to new status
-async function moveTicket(ticketId, newStatus) {
-    try {
-            const response = await fetch(`${API_BASE}/tickets/${ticketId}/status`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ status: newStatus })
-            });
+            openModals.forEach(modal => {
+                if (modal.id === 'settingsModal') {
+                    saveSettings();
+                }
 
-            if (response.ok) {
-                await refreshAllTickets();
-                if (currentDetailTicketId === ticketId) {
-                    await showTicketDetails(ticketId);
+                modal.classList.remove('active');
+
+                if (modal.id === 'ticketDetailModal') {
+                    currentDetailTicketId = null;
+                    detailChatTicketId = null;
+                    detailChatConversationId = null;
                 }
-            } else {
-                console.error('Failed to move ticket');
-            }
-        } catch (error) {
-            console.error('Error moving ticket:', error);
+            });
         }
+    });
+}
+
+// Label chips in the new-ticket form; clicking a chip toggles it.
+function populateNewTicketLabels() {
+    const container = document.getElementById('ticketLabels');
+    const defs = getLabelDefinitions();
+
+    if (defs.length === 0) {
+        container.innerHTML = '<small style="color: var(--gray-500);">No labels yet. Add them in Settings.</small>';
+        return;
     }
 
-    // Make moveTicket available globally for onclick handlers
-window.moveTicket = moveTicket;
-window.toggleActivityLog = toggleActivityLog;
+    container.innerHTML = defs.map(def => buildLabelChipHtml(def.name, 'selectable')).join('');
+    container.querySelectorAll('.label-chip').forEach(chip => {
+        chip.addEventListener('click', () => chip.classList.toggle('selected'));
+    });
+}
 
-// Update max cost for a ticket
-async function updateMaxCost(ticketId) {
-    const input = document.getElementById('maxCostInput');
-    const maxCost = parseFloat(input.value) || 0;
+function populateNewTicketLlmDropdown() {
+    const select = document.getElementById('ticketPlannerLlm');
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+
+    select.innerHTML = '<option value="" disabled selected>Select an LLM...</option>';
+    for (let i = 0; i < llmConfigs.length; i++) {
+        const config = llmConfigs[i];
+        const opt = document.createElement('option');
+        opt.value = config.id || '';
+        opt.textContent = config.model || 'Unknown';
+        select.appendChild(opt);
+    }
+}
+
+async function handleCreateTicket(e) {
+    e.preventDefault();
+
+    const title = document.getElementById('ticketTitle').value.trim();
+    const description = document.getElementById('ticketDescription').value.trim();
+    const plannerLlmId = document.getElementById('ticketPlannerLlm').value;
+    const maxCost = parseFloat(document.getElementById('ticketMaxCost').value) || 0;
+    const isQueued = document.getElementById('ticketQueued').checked;
+    const requireHumanReview = document.getElementById('ticketRequireReview').checked;
+    const requirePlanApproval = document.getElementById('ticketRequirePlanApproval').checked;
+    const labels = [...document.querySelectorAll('#ticketLabels .label-chip.selected')].map(chip => chip.dataset.label);
+
+    if (!title || !plannerLlmId) {
+        return;
+    }
 
     try {
-        const response = await fetch(`${API_BASE}/tickets/${ticketId}/maxcost`, {
-            method: 'PATCH',
+        const response = await fetch(`${API_BASE}/tickets`, {
+            method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ maxCost })
+            body: JSON.stringify({
+                title,
+                description,
+                status: 'Backlog',
+                plannerLlmId,
+                maxCost,
+                isQueued,
+                requireHumanReview,
+                requirePlanApproval,
+                labels
+            })
         });
 
         if (response.ok) {
+            document.getElementById('newTicketModal').classList.remove('active');
+            document.getElementById('newTicketForm').reset();
             await refreshAllTickets();
-            await showTicketDetails(ticketId);
         } else {
-            console.error('Failed to update max cost');
+            console.error('Failed to create ticket');
         }
     } catch (error) {
-        console.error('Error updating max cost:', error);
+        console.error('Error creating ticket:', error);
     }
 }
 
-window.updateMaxCost = updateMaxCost;
+// Settings management
+function showSettings() {
+    const modal = document.getElementById('settingsModal');
 
-// Syncs the planner LLM dropdown to the active model of the given conversation.
-function syncLlmDropdownToConversation(ticketId, conversationId, dropdownId) {
-    const select = document.getElementById(dropdownId);
-    if (!select) {
-        return;
+    // Populate Git config
+    if (settings && settings.gitConfig) {
+        document.getElementById('gitUrl').value = settings.gitConfig.repositoryUrl || '';
+        document.getElementById('gitUsername').value = settings.gitConfig.username || '';
+        document.getElementById('gitEmail').value = settings.gitConfig.email || '';
+        document.getElementById('gitSshKey').value = settings.gitConfig.sshKey || '';
+        document.getElementById('gitApiToken').value = settings.gitConfig.apiToken || '';
+        document.getElementById('gitPassword').value = settings.gitConfig.password || '';
     }
 
-    const convos = ticketConversations[ticketId] || [];
-    const info = convos.find(c => c.id === conversationId);
-    const activeModel = info ? info.activeModel : null;
+    // Populate compaction settings
+    const compactionType = (settings && settings.compaction && settings.compaction.type) || 'disabled';
+    document.getElementById('compactionType').value = compactionType === 'summarize' ? 'summarize' : 'disabled';
 
-    if (!activeModel) {
-        select.value = '';
-        return;
+    const contextPercent = Math.round(((settings && settings.compaction && settings.compaction.contextSizePercent) || 0.9) * 100);
+    document.getElementById('contextPercent').value = contextPercent;
+    updatePercentLabel();
+    updateCompactionVisibility();
+
+    // Populate LLM configs
+    document.getElementById('providerEndpoint').value = (settings && settings.endpoint) || 'https://openrouter.ai/api/v1';
+    document.getElementById('providerApiKey').value = (settings && settings.apiKey) || '';
+    renderLLMConfigs();
+
+    // Populate web search settings
+    if (settings && settings.webSearch) {
+        document.getElementById('webSearchModel').value = settings.webSearch.model || 'openai/gpt-4.1-nano';
+        document.getElementById('webSearchEngine').value = settings.webSearch.engine || 'auto';
     }
 
-    // Match active model name to a config id.
-    const llmConfigs = (settings && settings.llmConfigs) || [];
-    let matchedId = '';
-    for (let i = 0; i < llmConfigs.length; i++) {
-        if (llmConfigs[i].model === activeModel) {
-            matchedId = llmConfigs[i].id || '';
-            break;
+    // Populate work queue settings
+    document.getElementById('maxActiveTickets').value = getMaxActiveTickets();
+
+    // Populate labels
+    renderLabelConfigs();
+
+    // Setup accordion handlers
+    setupAccordions();
+
+    // Restore settings accordion states from localStorage.
+    const accordionStates = getSettingsAccordionStates();
+    document.querySelectorAll('#settingsContent > .accordion').forEach(accordion => {
+        const header = accordion.querySelector('.accordion-header');
+        const key = header ? header.getAttribute('data-accordion') : null;
+        if (key && accordionStates[key]) {
+            accordion.classList.remove('collapsed');
+        } else {
+            accordion.classList.add('collapsed');
         }
+    });
+
+    modal.classList.add('active');
+}
+
+function setupAccordions() {
+    document.querySelectorAll('.accordion-header').forEach(header => {
+        header.removeEventListener('click', toggleAccordion);
+        header.addEventListener('click', toggleAccordion);
+    });
+}
+
+function toggleAccordion(e) {
+    const accordion = e.currentTarget.closest('.accordion');
+    accordion.classList.toggle('collapsed');
+
+    // Persist settings accordion states.
+    const header = accordion.querySelector('.accordion-header');
+    const key = header ? header.getAttribute('data-accordion') : null;
+    if (key && accordion.closest('#settingsContent')) {
+        saveSettingsAccordionState(key, !accordion.classList.contains('collapsed'));
     }
+}
 
-    select.value = matchedId;
+function updateCompactionVisibility() {
+    const compactionType = document.getElementById('compactionType').value;
+    document.getElementById('compactionOptions').style.display = compactionType === 'summarize' ? 'block' : 'none';
 }
 
-// Build the planner LLM dropdown HTML
-function buildPlannerLlmDropdown(ticket, elementId) {
+function renderLLMConfigs() {
+    const container = document.getElementById('llmConfigs');
     const llmConfigs = (settings && settings.llmConfigs) || [];
+
+    container.innerHTML = '';
+
     if (llmConfigs.length === 0) {
-        return '';
+        container.innerHTML = '<div class="empty-state">No LLM configurations</div>';
+        return;
     }
 
-    const currentId = ticket.plannerLlmId || '';
-    let options = '';
+    llmConfigs.forEach((config, index) => {
+        const configEl = document.createElement('div');
+        configEl.className = 'llm-config accordion collapsed';
+        configEl.dataset.llmId = config.id || '';
+        configEl.style.marginBottom = '8px';
+        configEl.style.padding = '0';
+        const modelName = config.model || `LLM ${index + 1}`;
+        const accordionKey = `llm-${config.model || index}`;
+        configEl.innerHTML = `
+            <div class="accordion-header" data-accordion="${escapeAttr(accordionKey)}" style="padding: 10px 12px; margin: 0;">
+                <span>🧠 ${escapeHtml(modelName)}</span>
+                <span class="accordion-icon">▼</span>
+            </div>
+            <div class="accordion-content" style="padding: 12px; padding-top: 8px;">
+                <div class="form-group">
+                    <label>Model</label>
+                    <input type="text" class="llm-model" value="${escapeAttr(config.model || '')}" placeholder="openai/gpt-4o">
+                </div>
+                <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; margin-bottom: 15px;">
+                    <div>
+                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Context Length</label>
+                        <input type="number" class="llm-context-length" value="${config.contextLength || 128000}" min="1000" step="1000" placeholder="128000" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
+                    </div>
+                    <div>
+                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Input $/M</label>
+                        <input type="number" class="llm-input-price" value="${config.inputTokenPrice || 0}" min="0" step="0.01" placeholder="0.00" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
+                    </div>
+                    <div>
+                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Output $/M</label>
+                        <input type="number" class="llm-output-price" value="${config.outputTokenPrice || 0}" min="0" step="0.01" placeholder="0.00" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
+                    </div>
+                    <div>
+                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Temperature</label>
+                        <input type="number" class="llm-temperature" value="${config.temperature !== undefined ? config.temperature : 0.2}" min="0" max="2" step="0.1" placeholder="0.2" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Strengths</label>
+                    <input type="text" class="llm-strengths" value="${escapeAttr(config.strengths || '')}" placeholder="e.g. Strong at coding, large context window">
+                </div>
+                <div class="form-group">
+                    <label>Weaknesses</label>
+                    <input type="text" class="llm-weaknesses" value="${escapeAttr(config.weaknesses || '')}" placeholder="e.g. Slow, expensive, poor at UI work">
+                </div>
+                <button type="button" class="btn-danger btn-sm" data-index="${index}" title="Remove this LLM configuration" style="width: 100%; display: flex; align-items: center; justify-content: center;">Remove This LLM</button>
+            </div>
+        `;
 
-    llmConfigs.forEach(config => {
-        const id = config.id || '';
-        const model = config.model || 'Unknown';
-        const selected = id === currentId ? ' selected' : '';
-        options += `<option value="${escapeHtml(id)}"${selected}>${escapeHtml(model)}</option>`;
-    });
+        configEl.querySelector('.btn-danger').addEventListener('click', () => removeLLMConfig(index));
+        configEl.querySelector('.accordion-header').addEventListener('click', toggleAccordion);
 
-    return `<select id="${elementId}" class="${elementId === 'chatPlannerLlm' ? 'chat-conversation-select' : 'detail-chat-select'}" onchange="updatePlannerLlm('${ticket.id}', this.value)" title="Planner LLM">${options}</select>`;
+        // Restore expanded state from localStorage.
+        const savedStates = getSettingsAccordionStates();
+        if (savedStates[accordionKey]) {
+            configEl.classList.remove('collapsed');
+        }
+
+        container.appendChild(configEl);
+    });
 }
 
-// Update the planner LLM for a ticket and notify the active conversation
-async function updatePlannerLlm(ticketId, llmId) {
-    // Sync the dropdown.
-    const detailSelect = document.getElementById('detailPlannerLlm');
-    if (detailSelect) {
-        detailSelect.value = llmId;
+function addLLMConfig() {
+    if (!settings) {
+        settings = { llmConfigs: [], gitConfig: {} };
     }
 
-    // Notify the worker to switch the active conversation's model.
-    const conversationId = (detailChatTicketId === ticketId) ? detailChatConversationId : null;
-    if (conversationId && llmId && connection) {
-        try {
-            await connection.invoke('ChangeConversationModel', ticketId, conversationId, llmId);
-        } catch (error) {
-            console.error('Error sending model change to worker:', error);
-        }
+    if (!settings.llmConfigs) {
+        settings.llmConfigs = [];
     }
 
-    // Persist the preference on the ticket for future startups.
-    try {
-        const response = await fetch(`${API_BASE}/tickets/${ticketId}/plannerllm`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ plannerLlmId: llmId || null })
+    settings.llmConfigs.push({ model: '', contextLength: 128000, inputTokenPrice: 0, outputTokenPrice: 0, temperature: 0.2, strengths: '', weaknesses: '' });
+    renderLLMConfigs();
+}
+
+function removeLLMConfig(index) {
+    if (settings && settings.llmConfigs) {
+        settings.llmConfigs.splice(index, 1);
+        renderLLMConfigs();
+    }
+}
+
+function collectLLMConfigs() {
+    const configs = [];
+
+    document.querySelectorAll('.llm-config').forEach(configEl => {
+        configs.push({
+            id: configEl.dataset.llmId || '',
+            model: configEl.querySelector('.llm-model').value,
+            contextLength: parseInt(configEl.querySelector('.llm-context-length').value, 10) || 128000,
+            inputTokenPrice: parseFloat(configEl.querySelector('.llm-input-price').value) || 0,
+            outputTokenPrice: parseFloat(configEl.querySelector('.llm-output-price').value) || 0,
+            temperature: parseFloat(configEl.querySelector('.llm-temperature').value) || 0.2,
+            strengths: configEl.querySelector('.llm-strengths').value || '',
+            weaknesses: configEl.querySelector('.llm-weaknesses').value || ''
         });
+    });
 
-        if (!response.ok) {
-            console.error('Failed to update planner LLM');
-        }
-    } catch (error) {
-        console.error('Error updating planner LLM:', error);
-    }
+    return configs;
 }
 
-window.updatePlannerLlm = updatePlannerLlm;
+// Label definitions in Settings: one row per label with a name, a color and a remove button.
+// Each row remembers the name it was loaded with so a rename can be carried over to tickets on save.
+function renderLabelConfigs() {
+    const container = document.getElementById('labelConfigs');
+    const labels = getLabelDefinitions();
 
-// Delete ticket
-async function deleteTicket(ticketId) {
-    if (!confirm('Are you sure you want to delete this ticket? This cannot be undone.')) {
+    if (labels.length === 0) {
+        container.innerHTML = '<div class="empty-state">No labels</div>';
         return;
     }
 
-    try {
-        const response = await fetch(`${API_BASE}/tickets/${ticketId}`, {
-            method: 'DELETE'
-        });
+    container.innerHTML = labels.map((label, index) => `
+        <div class="label-config" data-index="${index}" data-original-name="${escapeAttr(label.originalName !== undefined ? label.originalName : label.name || '')}">
+            <input type="color" class="label-color" value="${/^#[0-9a-f]{6}$/i.test(label.color || '') ? label.color : '#71717a'}" title="Label color">
+            <input type="text" class="label-name" value="${escapeAttr(label.name || '')}" placeholder="Label name, e.g. bug">
+            <button type="button" class="btn-danger btn-sm" title="Remove this label">✕</button>
+        </div>
+    `).join('');
 
-        if (response.ok) {
-            // Clean up conversation data for deleted ticket.
-            delete ticketConversations[ticketId];
-            // Clean cached conversation messages.
-            Object.keys(conversationMessages).forEach(key => {
-                if (key.startsWith(`${ticketId}:`)) {
-                    delete conversationMessages[key];
-                }
-            });
+    container.querySelectorAll('.label-config .btn-danger').forEach(btn => {
+        btn.addEventListener('click', () => removeLabelConfig(parseInt(btn.closest('.label-config').dataset.index, 10)));
+    });
+}
 
-            await refreshAllTickets();
+// Edits live in the inputs until the settings are saved, so collect them before re-rendering.
+function addLabelConfig() {
+    if (!settings) {
+        settings = { llmConfigs: [], gitConfig: {} };
+    }
 
-            // Close detail modal
-            document.getElementById('ticketDetailModal').classList.remove('active');
-            currentDetailTicketId = null;
-            detailChatTicketId = null;
-            detailChatConversationId = null;
-        } else {
-            console.error('Failed to delete ticket');
-        }
-    } catch (error) {
-        console.error('Error deleting ticket:', error);
+    settings.labels = collectLabelConfigs(true);
+    settings.labels.push({ name: '', color: '#0ea5e9', originalName: '' });
+    renderLabelConfigs();
+
+    const inputs = document.querySelectorAll('#labelConfigs .label-name');
+    if (inputs.length > 0) {
+        inputs[inputs.length - 1].focus();
     }
 }
 
-// Make deleteTicket available globally for onclick handlers
-window.deleteTicket = deleteTicket;
+function removeLabelConfig(index) {
+    if (settings) {
+        settings.labels = collectLabelConfigs(true);
+        settings.labels.splice(index, 1);
+        renderLabelConfigs();
+    }
+}
 
-// Save ticket title and description
-async function saveTicketDetails(ticketId) {
-    const titleEl = document.getElementById('editTitle');
-    const descriptionEl = document.getElementById('editDescription');
+// Reads the label rows. Unnamed and duplicate labels are dropped unless keepBlank is set (while editing),
+// in which case each row also keeps its original name.
+function collectLabelConfigs(keepBlank) {
+    const labels = [];
+    const seen = new Set();
+
+    document.querySelectorAll('#labelConfigs .label-config').forEach(row => {
+        const name = row.querySelector('.label-name').value.trim();
+        const color = row.querySelector('.label-color').value;
+        if (keepBlank) {
+            labels.push({ name, color, originalName: row.dataset.originalName || '' });
+        } else if (name && !seen.has(name)) {
+            labels.push({ name, color });
+        }
+        seen.add(name);
+    });
 
-    if (!titleEl || !descriptionEl) {
+    return labels;
+}
+
+// Old name -> new name for each label row whose name was edited. A name that is still defined
+// afterwards (e.g. two labels swapped names) isn't a rename, since tickets using it stay valid.
+function collectLabelRenames(savedLabels) {
+    const savedNames = new Set(savedLabels.map(label => label.name));
+    const renames = new Map();
+
+    document.querySelectorAll('#labelConfigs .label-config').forEach(row => {
+        const from = row.dataset.originalName || '';
+        const to = row.querySelector('.label-name').value.trim();
+        if (from && to && from !== to && !savedNames.has(from) && !renames.has(from)) {
+            renames.set(from, to);
+        }
+    });
+
+    return renames;
+}
+
+// Tickets reference labels by name, so a renamed label is swapped on every ticket that has it.
+async function renameTicketLabels(renames) {
+    if (renames.size === 0) {
         return;
     }
 
-    const title = titleEl.value.trim();
-    const description = descriptionEl.value.trim();
+    const failures = [];
+    for (const ticket of tickets) {
+        const current = ticket.labels || [];
+        if (!current.some(name => renames.has(name))) {
+            continue;
+        }
 
-    if (!title) {
-        return;
+        const labels = [...new Set(current.map(name => renames.get(name) || name))];
+        const error = await sendBulkRequest(`${API_BASE}/tickets/${ticket.id}/labels`, 'PATCH', { labels });
+        if (error) {
+            failures.push(`  #${ticket.id}: ${error}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        alert(`Some tickets kept the old label name:\n${failures.join('\n')}`);
+    }
+}
+
+async function handleSaveSettings(e) {
+    if (e) {
+        e.preventDefault();
     }
+    await saveSettings();
+}
+
+async function saveSettings() {
+    const updatedSettings = {
+        file: {
+            endpoint: document.getElementById('providerEndpoint').value || 'https://openrouter.ai/api/v1',
+            apiKey: document.getElementById('providerApiKey').value || '',
+            llmConfigs: collectLLMConfigs(),
+            gitConfig: {
+                repositoryUrl: document.getElementById('gitUrl').value,
+                username: document.getElementById('gitUsername').value,
+                email: document.getElementById('gitEmail').value,
+                sshKey: document.getElementById('gitSshKey').value || null,
+                apiToken: document.getElementById('gitApiToken').value || null,
+                password: document.getElementById('gitPassword').value || null
+            },
+            compaction: {
+                type: document.getElementById('compactionType').value,
+                contextSizePercent: parseInt(document.getElementById('contextPercent').value, 10) / 100
+            },
+            webSearch: {
+                model: document.getElementById('webSearchModel').value || 'openai/gpt-4.1-nano',
+                engine: document.getElementById('webSearchEngine').value || 'auto'
+            },
+            workQueue: {
+                maxActiveTickets: Math.max(0, parseInt(document.getElementById('maxActiveTickets').value, 10) || 0)
+            },
+            labels: collectLabelConfigs(false)
+        }
+    };
+    const labelRenames = collectLabelRenames(updatedSettings.file.labels);
 
     try {
-        const response = await fetch(`${API_BASE}/tickets/${ticketId}/details`, {
-            method: 'PATCH',
+        const response = await fetch(`${API_BASE}/settings`, {
+            method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title, description })
+            body: JSON.stringify(updatedSettings)
         });
 
         if (response.ok) {
-            await refreshAllTickets();
-            await showTicketDetails(ticketId);
+            settings = normalizeSettings(await response.json());
+            await renameTicketLabels(labelRenames);
+            renderLabelConfigs();
+            renderAllTickets();
         } else {
-            console.error('Failed to save ticket details');
+            console.error('Failed to save settings');
         }
     } catch (error) {
-        console.error('Error saving ticket details:', error);
+        console.error('Error saving settings:', error);
     }
 }
 
-window.saveTicketDetails = saveTicketDetails;
+// Update percent label when slider moves
+function updatePercentLabel() {
+    const slider = document.getElementById('contextPercent');
+    const label = document.getElementById('contextPercentValue');
+    if (slider && label) {
+        label.textContent = `${slider.value}%`;
+    }
+}
 
-// Clear all tasks from a ticket
-async function clearTasks(ticketId) {
-    if (!ticketId) {
-        console.warn('clearTasks called with invalid ticketId:', ticketId);
-        return;
+window.updatePercentLabel = updatePercentLabel;
+
+// Make saveSettings available globally for onclick
+window.saveSettings = saveSettings;
+
+// ---- Chat functionality ----
+
+// Conversation state.
+let ticketConversations = {};    // ticketId -> [{id, displayName, messageCount, isFinished}]
+let conversationMessages = {};   // "ticketId:conversationId" -> [ConversationMessage]
+let conversationToolDurations = {}; // "ticketId:conversationId" -> {toolCallId -> ms}
+let conversationChapters = {};   // "ticketId:conversationId" -> {summaries, compactedAt}
+let ticketPendingToolCalls = {}; // ticketId -> {"paneId:toolCallId" -> domElement}
+
+// Tracks which conversations are currently busy (LLM running).
+// Key: "ticketId:conversationId", Value: true
+let busyConversations = {};
+
+// LocalStorage helpers for persistent conversation state.
+function getTicketConversationState(ticketId) {
+    try {
+        const stored = localStorage.getItem(`ticket-${ticketId}-chat`);
+        return stored ? JSON.parse(stored) : null;
+    } catch {
+        return null;
     }
+}
 
-    if (!confirm('Clear all tasks and subtasks from this ticket?')) {
-        return;
+function saveTicketConversationState(ticketId, conversationId, scrollState) {
+    try {
+        const state = { conversationId, scrollState };
+        localStorage.setItem(`ticket-${ticketId}-chat`, JSON.stringify(state));
+    } catch (e) {
+        console.warn('Failed to save conversation state:', e);
     }
+}
 
+// Unsent composer text, one entry per conversation so switching away and back keeps it.
+function getConversationDraft(ticketId, conversationId) {
     try {
-        const response = await fetch(`${API_BASE}/tickets/${ticketId}/tasks`, {
-            method: 'DELETE'
-        });
+        return localStorage.getItem(`ticket-${ticketId}-draft-${conversationId}`) || '';
+    } catch {
+        return '';
+    }
+}
 
-        if (response.ok) {
-            await refreshAllTickets();
-            await showTicketDetails(ticketId);
+function saveConversationDraft(ticketId, conversationId, text) {
+    try {
+        const key = `ticket-${ticketId}-draft-${conversationId}`;
+        if (text) {
+            localStorage.setItem(key, text);
         } else {
-            console.error('Failed to clear tasks');
+            localStorage.removeItem(key);
         }
-    } catch (error) {
-        console.error('Error clearing tasks:', error);
+    } catch (e) {
+        console.warn('Failed to save draft:', e);
     }
 }
 
-window.clearTasks = clearTasks;
-
-// Clear a conversation back to its initial state.
-// Uses the currently-viewed conversation when available so that clearing
-// while watching a sub-agent targets that conversation, not the planner.
-async function clearConversation(ticketId) {
-    console.log('clearConversation called with ticketId:', ticketId);
-    if (!ticketId) {
-        console.warn('clearConversation: no ticketId');
-        return;
+// Messages sent from any composer, oldest first, for Up/Down recall.
+function getChatHistory() {
+    try {
+        const stored = localStorage.getItem('chat-history');
+        return stored ? JSON.parse(stored) : [];
+    } catch {
+        return [];
     }
+}
 
-    const convos = ticketConversations[ticketId] || [];
-    console.log('clearConversation: found', convos.length, 'conversations, finished states:', convos.map(c => c.isFinished));
-
-    // Prefer the conversation the user is currently viewing in the detail panel.
-    let targetConvo = null;
-    if (detailChatTicketId === ticketId && detailChatConversationId) {
-        targetConvo = convos.find(c => c.id === detailChatConversationId && !c.isFinished);
+function addChatHistory(text) {
+    try {
+        const history = getChatHistory();
+        if (history[history.length - 1] !== text) {
+            history.push(text);
+        }
+        localStorage.setItem('chat-history', JSON.stringify(history.slice(-CHAT_HISTORY_LIMIT)));
+    } catch (e) {
+        console.warn('Failed to save chat history:', e);
     }
-    if (!targetConvo) {
-        targetConvo = convos.find(c => !c.isFinished);
+}
+
+// LocalStorage helpers for accordion states
+function getTicketAccordionStates(ticketId) {
+    try {
+        const stored = localStorage.getItem(`ticket-${ticketId}-accordions`);
+        return stored ? JSON.parse(stored) : { titleDesc: true, tasks: true };
+    } catch {
+        return { titleDesc: true, tasks: true };
     }
-    if (!targetConvo) {
-        alert('No active conversation to clear.');
-        return;
+}
+
+function saveTicketAccordionStates(ticketId, states) {
+    try {
+        localStorage.setItem(`ticket-${ticketId}-accordions`, JSON.stringify(states));
+    } catch (e) {
+        console.warn('Failed to save accordion states:', e);
     }
+}
 
-    if (!confirm('Reset this conversation? All messages and memories will be cleared.')) {
-        return;
+function getSettingsAccordionStates() {
+    try {
+        const stored = localStorage.getItem('settings-accordions');
+        return stored ? JSON.parse(stored) : {};
+    } catch {
+        return {};
     }
+}
 
-    console.log('clearConversation: invoking RequestClearConversation', ticketId, targetConvo.id);
+function saveSettingsAccordionState(key, expanded) {
     try {
-        await connection.invoke('RequestClearConversation', ticketId, targetConvo.id);
-        console.log('clearConversation: invoke completed successfully');
-    } catch (error) {
-        console.error('Error clearing conversation:', error);
+        const states = getSettingsAccordionStates();
+        states[key] = expanded;
+        localStorage.setItem('settings-accordions', JSON.stringify(states));
+    } catch (e) {
+        console.warn('Failed to save settings accordion state:', e);
     }
 }
 
-window.clearConversation = clearConversation;
-
-async function deleteConversation(ticketId, conversationId) {
-    if (!ticketId || !conversationId) return;
+function pickDefaultConversation(convos) {
+    if (!convos || convos.length === 0) return null;
+    // Prefer active (not finished) conversations with higher message count.
+    const active = convos.filter(c => !c.isFinished).sort((a, b) => b.messageCount - a.messageCount);
+    if (active.length > 0) return active[0].id;
+    // Fallback to any conversation sorted by message count.
+    const sorted = [...convos].sort((a, b) => b.messageCount - a.messageCount);
+    return sorted[0].id;
+}
+
+// Conversation tree: planner → developer → subagent, built from each conversation's parentId.
+let conversationTreeOpen = false;
+const collapsedConversationNodes = new Set();
+
+// Conversations saved before parentId existed fall back to the closest earlier conversation of the parent role.
+function inferConversationParent(convo, convos) {
+    const parentRoles = {
+        Developer: ['Planning'],
+        PlanningSubagent: ['Planning'],
+        DeveloperSubagent: ['Developer']
+    }[convo.role];
+    if (!parentRoles) {
+        return null;
+    }
 
-    try {
-        const resp = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/${conversationId}`, { method: 'DELETE' });
-        if (!resp.ok) {
-            console.warn('Failed to delete conversation:', resp.status);
+    let best = null;
+    for (const c of convos) {
+        if (parentRoles.includes(c.role) && (c.startedAt || '') <= (convo.startedAt || '') && (!best || c.startedAt > best.startedAt)) {
+            best = c;
         }
-    } catch (err) {
-        console.error('Error deleting conversation:', err);
     }
+    return best ? best.id : null;
 }
 
-window.deleteConversation = deleteConversation;
-
-function deleteSelectedDetailConversation() {
-    if (detailChatTicketId && detailChatConversationId) {
-        deleteConversation(detailChatTicketId, detailChatConversationId);
+// Returns the root nodes as { convo, children } in start order.
+function buildConversationTree(convos) {
+    const nodes = new Map();
+    for (const c of convos) {
+        nodes.set(c.id, { convo: c, children: [] });
     }
-}
 
-window.deleteSelectedDetailConversation = deleteSelectedDetailConversation;
+    const roots = [];
+    for (const c of convos) {
+        const parentId = c.parentId !== undefined && c.parentId !== null ? c.parentId : inferConversationParent(c, convos);
+        const parent = parentId && parentId !== c.id ? nodes.get(parentId) : null;
+        (parent ? parent.children : roots).push(nodes.get(c.id));
+    }
 
-async function deleteFinishedConversations(ticketId) {
-    if (!ticketId) return;
+    const byStart = (a, b) => (a.convo.startedAt || '').localeCompare(b.convo.startedAt || '');
+    const sortTree = (list) => {
+        list.sort(byStart);
+        list.forEach(node => sortTree(node.children));
+    };
+    sortTree(roots);
+    return roots;
+}
 
-    try {
-        const resp = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/finished`, { method: 'DELETE' });
-        if (!resp.ok) {
-            console.warn('Failed to delete finished conversations:', resp.status);
-        }
-    } catch (err) {
-        console.error('Error deleting finished conversations:', err);
+function getConversationStatus(ticketId, convo) {
+    if (busyConversations[`${ticketId}:${convo.id}`]) {
+        return 'busy';
     }
+    return convo.isFinished ? 'finished' : 'active';
 }
 
-window.deleteFinishedConversations = deleteFinishedConversations;
+function buildConversationNodeHtml(ticketId, node) {
+    const c = node.convo;
+    const status = getConversationStatus(ticketId, c);
+    const collapsed = collapsedConversationNodes.has(c.id);
+    const meta = [`${c.messageCount} msgs`, c.activeModel, formatRelativeTime(c.startedAt)].filter(Boolean).join(' · ');
+    const childrenHtml = node.children.length && !collapsed
+        ? `<ul class="conversation-tree-children">${node.children.map(child => buildConversationNodeHtml(ticketId, child)).join('')}</ul>`
+        : '';
+
+    return `
+        <li class="conversation-node">
+            <div class="conversation-node-row${c.id === detailChatConversationId ? ' selected' : ''}" data-conversation-id="${escapeAttr(c.id)}" title="Started ${escapeAttr(formatDateTime(c.startedAt))}">
+                ${node.children.length
+                    ? `<span class="conversation-node-caret" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▸' : '▾'}</span>`
+                    : '<span class="conversation-node-caret empty"></span>'}
+                <span class="conversation-status ${status}" title="${status.charAt(0).toUpperCase() + status.slice(1)}"></span>
+                <span class="conversation-node-name">${escapeHtml(c.displayName || c.id)}</span>
+                <span class="conversation-node-meta">${escapeHtml(meta)}</span>
+            </div>
+            ${childrenHtml}
+        </li>
+    `;
+}
 
-// Drag and drop
-function canMoveFrom(status) {
-    return ALLOWED_TRANSITIONS[status] && ALLOWED_TRANSITIONS[status].length > 0;
+function formatDateTime(dateStr) {
+    return dateStr ? new Date(dateStr).toLocaleString() : '';
 }
 
-function canMoveTo(fromStatus, toStatus) {
-    const allowed = ALLOWED_TRANSITIONS[fromStatus] || [];
+// Redraws the tree panel and the header toggle that names the selected conversation.
+function renderConversationTree(ticketId) {
+    const convos = ticketConversations[ticketId] || [];
+    const toggle = document.getElementById('detailConversationToggle');
+    if (toggle) {
+        const selected = convos.find(c => c.id === detailChatConversationId);
+        toggle.textContent = `💬 ${selected ? selected.displayName || selected.id : 'Select conversation…'} ${conversationTreeOpen ? '▴' : '▾'}`;
+    }
 
-    return allowed.includes(toStatus);
+    const tree = document.getElementById('detailConversationTree');
+    if (!tree) {
+        return;
+    }
+    tree.hidden = !conversationTreeOpen;
+    tree.innerHTML = convos.length
+        ? `<ul class="conversation-tree-root">${buildConversationTree(convos).map(node => buildConversationNodeHtml(ticketId, node)).join('')}</ul>`
+        : '<div class="conversation-tree-empty">No conversations yet.</div>';
+
+    tree.onclick = (e) => {
+        const row = e.target.closest('.conversation-node-row');
+        if (!row) {
+            return;
+        }
+        const id = row.dataset.conversationId;
+        if (e.target.closest('.conversation-node-caret:not(.empty)')) {
+            if (collapsedConversationNodes.has(id)) {
+                collapsedConversationNodes.delete(id);
+            } else {
+                collapsedConversationNodes.add(id);
+            }
+            renderConversationTree(ticketId);
+            return;
+        }
+        selectDetailConversation(ticketId, id);
+    };
 }
 
-function setupDragAndDrop() {
-    document.querySelectorAll('.column').forEach(column => {
-        column.addEventListener('dragover', handleDragOver);
-        column.addEventListener('dragenter', handleDragEnter);
-        column.addEventListener('dragleave', handleDragLeave);
-        column.addEventListener('drop', handleDrop);
-    });
-
-    document.addEventListener('dragstart', handleDragStart);
-    document.addEventListener('dragend', handleDragEnd);
+function toggleConversationTree() {
+    conversationTreeOpen = !conversationTreeOpen;
+    if (detailChatTicketId) {
+        renderConversationTree(detailChatTicketId);
+    }
 }
 
-let draggedTicketId = null;
-let draggedFromStatus = null;
+window.toggleConversationTree = toggleConversationTree;
 
-function handleDragStart(e) {
-    if (!e.target.classList.contains('ticket') || !e.target.classList.contains('draggable')) {
-        return;
+// Opens a conversation in the detail chat, or clears the chat when convId is empty.
+function selectDetailConversation(ticketId, convId) {
+    const messagesDiv = document.getElementById('detailChatMessages');
+    const deleteBtn = document.getElementById('detailDeleteConvoBtn');
+    const info = (ticketConversations[ticketId] || []).find(c => c.id === convId);
+
+    if (info) {
+        detailChatConversationId = convId;
+        loadComposerDraft(document.getElementById('detailChatInput'), ticketId, convId);
+        loadAndDisplayDetailConversation(ticketId, convId);
+        setDetailChatEnabled(!info.isFinished);
+        if (deleteBtn) deleteBtn.style.display = '';
+        saveTicketConversationState(ticketId, convId, { atBottom: true });
+        updateBusyIndicators(ticketId, convId, !!busyConversations[`${ticketId}:${convId}`]);
+        syncLlmDropdownToConversation(ticketId, convId, 'detailPlannerLlm');
+    } else {
+        detailChatConversationId = null;
+        loadComposerDraft(document.getElementById('detailChatInput'), ticketId, null);
+        if (messagesDiv) {
+            messagesDiv.innerHTML = '<div class="chat-msg chat-msg-system">Select a conversation above.</div>';
+        }
+        setDetailChatEnabled(false);
+        if (deleteBtn) deleteBtn.style.display = 'none';
+        updateBusyIndicators(ticketId, '', false);
+        updateContextMeters();
     }
 
-    draggedTicketId = e.target.dataset.ticketId;
-    draggedFromStatus = e.target.dataset.status;
+    renderConversationTree(ticketId);
+}
 
-    e.target.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', draggedTicketId);
+function updateDetailConversationTree(ticketId, switchToId) {
+    const convos = ticketConversations[ticketId] || [];
 
-    // Highlight valid drop targets
-    document.querySelectorAll('.column').forEach(column => {
-        const targetStatus = column.dataset.status;
+    // Auto-follow: switch to a newly appeared conversation.
+    if (switchToId && convos.some(c => c.id === switchToId)) {
+        selectDetailConversation(ticketId, switchToId);
+    } else if (detailChatConversationId && convos.some(c => c.id === detailChatConversationId)) {
+        syncLlmDropdownToConversation(ticketId, detailChatConversationId, 'detailPlannerLlm');
+        renderConversationTree(ticketId);
+    } else if (convos.length > 0) {
+        // Nothing valid selected, so pick the best active conversation.
+        selectDetailConversation(ticketId, pickDefaultConversation(convos));
+    } else {
+        renderConversationTree(ticketId);
+    }
+}
 
-        if (!canMoveTo(draggedFromStatus, targetStatus)) {
-            column.classList.add('drop-disabled');
-        }
-    });
+// Reloads the detail chat conversation while preserving scroll position.
+async function reloadDetailConversationPreservingScroll(ticketId, conversationId) {
+    const messagesDiv = document.getElementById('detailChatMessages');
+    if (!messagesDiv) return;
+
+    const scrollState = readPaneScroll(messagesDiv);
+    await loadAndRestoreDetailConversation(ticketId, conversationId, scrollState);
+    saveTicketConversationState(ticketId, conversationId, scrollState);
 }
 
-function handleDragEnd(e) {
-    if (e.target.classList.contains('ticket')) {
-        e.target.classList.remove('dragging');
+// Context meter. Token counts use the worker's own estimate (about four characters per token, plus a fixed
+// allowance for tool definitions) so the meter fills up the way the worker's compaction check sees it.
+const CONTEXT_CHARS_PER_TOKEN = 4;
+const CONTEXT_TOOL_DEFINITION_TOKENS = 2000;
+const COMPACTION_MINIMUM_THRESHOLD = 3072;
+let contextMeterExpanded = false;
+
+function estimateContextUsage(messages) {
+    const chars = { system: 0, user: 0, assistant: 0, tool: 0 };
+    for (const msg of messages) {
+        let count = msg.role.length + 2 + (msg.content != null ? msg.content.length : 12) + 1;
+        for (const tc of msg.tool_calls || []) {
+            count += tc.function.name.length + (tc.function.arguments || '').length;
+        }
+        chars[msg.role in chars ? msg.role : 'assistant'] += count;
     }
 
-    document.querySelectorAll('.column').forEach(column => {
-        column.classList.remove('drag-over', 'drop-disabled');
-    });
+    const usage = { definitions: CONTEXT_TOOL_DEFINITION_TOKENS };
+    let totalChars = 0;
+    for (const role of Object.keys(chars)) {
+        usage[role] = Math.floor(chars[role] / CONTEXT_CHARS_PER_TOKEN);
+        totalChars += chars[role];
+    }
+    usage.total = Math.floor(totalChars / CONTEXT_CHARS_PER_TOKEN) + CONTEXT_TOOL_DEFINITION_TOKENS;
+    return usage;
+}
 
-    draggedTicketId = null;
-    draggedFromStatus = null;
+function formatTokenCount(tokens) {
+    if (tokens < 1000) {
+        return String(tokens);
+    }
+    if (tokens < 1000000) {
+        return `${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+    }
+    return `${(tokens / 1000000).toFixed(2).replace(/\.?0+$/, '')}M`;
 }
 
-function handleDragEnter(e) {
-    e.preventDefault();
-    const column = e.currentTarget;
-    const targetStatus = column.dataset.status;
+// Returns the conversation's context length from its active model, and the token count at which the worker
+// compacts (never below its minimum), or nulls when they aren't known.
+function getContextLimits(ticketId, conversationId) {
+    const info = (ticketConversations[ticketId] || []).find(c => c.id === conversationId);
+    const llmConfigs = (settings && settings.llmConfigs) || [];
+    const config = info && info.activeModel ? llmConfigs.find(c => c.model === info.activeModel) : null;
+    const contextLength = config && config.contextLength > 0 ? config.contextLength : null;
+
+    const compaction = (settings && settings.compaction) || {};
+    const threshold = contextLength && compaction.type === 'summarize'
+        ? Math.max(COMPACTION_MINIMUM_THRESHOLD, Math.floor(contextLength * (compaction.contextSizePercent || 0.9)))
+        : null;
+    return { contextLength, threshold };
+}
 
-    if (draggedFromStatus && canMoveTo(draggedFromStatus, targetStatus)) {
-        column.classList.add('drag-over');
+function updateContextMeters() {
+    renderContextMeter('detailContextMeter', detailChatTicketId, detailChatConversationId);
+    if (splitChat.open) {
+        renderContextMeter('splitContextMeter', splitChat.ticketId, splitChat.conversationId);
     }
 }
 
-function handleDragLeave(e) {
-    const column = e.currentTarget;
-
-    if (!column.contains(e.relatedTarget)) {
-        column.classList.remove('drag-over');
+// Fills a pane's meter. The colour follows how close usage is to the compaction threshold, or to the
+// context length when compaction is off; clicking the meter shows the breakdown by message role.
+function renderContextMeter(meterId, ticketId, conversationId) {
+    const meter = document.getElementById(meterId);
+    if (!meter) {
+        return;
+    }
+    const messages = ticketId && conversationId ? conversationMessages[`${ticketId}:${conversationId}`] : null;
+    if (!messages) {
+        meter.hidden = true;
+        return;
     }
+
+    const usage = estimateContextUsage(messages);
+    const { contextLength, threshold } = getContextLimits(ticketId, conversationId);
+    const limit = threshold || contextLength;
+    const ratio = limit ? usage.total / limit : 0;
+    const level = ratio >= 0.9 ? 'danger' : ratio >= 0.7 ? 'warning' : 'ok';
+    const percentOf = (tokens) => Math.min(100, (tokens / contextLength) * 100).toFixed(1);
+
+    const parts = [['system', 'System'], ['user', 'User'], ['assistant', 'Assistant'], ['tool', 'Tool'], ['definitions', 'Tool definitions']];
+    const breakdown = parts.map(([key, label]) => `${label} ${formatTokenCount(usage[key])}`).join(' · ');
+
+    meter.hidden = false;
+    meter.className = `context-meter ${level}`;
+    meter.title = `Estimated context: ${breakdown}${threshold ? `\nCompaction at ~${formatTokenCount(threshold)} tokens` : ''}`;
+    meter.innerHTML = `
+        ${contextLength ? `
+            <div class="context-meter-bar">
+                <div class="context-meter-fill" style="width: ${percentOf(usage.total)}%"></div>
+                ${threshold ? `<div class="context-meter-threshold" style="left: ${percentOf(threshold)}%"></div>` : ''}
+            </div>
+        ` : ''}
+        <span class="context-meter-label">~${formatTokenCount(usage.total)}${contextLength ? ` / ${formatTokenCount(contextLength)}` : ''} tokens${contextLength ? '' : ' · context length unknown'}</span>
+        <div class="context-meter-breakdown" ${contextMeterExpanded ? '' : 'hidden'}>
+            ${parts.map(([key, label]) => `<span class="context-meter-part"><span class="context-meter-swatch ${key}"></span>${label} ${formatTokenCount(usage[key])}</span>`).join('')}
+        </div>
+    `;
+    meter.onclick = () => {
+        contextMeterExpanded = !contextMeterExpanded;
+        updateContextMeters();
+    };
 }
 
-function handleDragOver(e) {
-    e.preventDefault();
-    const column = e.currentTarget;
-    const targetStatus = column.dataset.status;
+// Split view: a second chat pane beside the main one. It can show any conversation from any ticket and
+// keeps its own selection and scroll position across modal re-renders.
+let splitChat = { open: false, ticketId: null, conversationId: null, scroll: { atBottom: true } };
+
+function buildSplitChatPaneHtml() {
+    return `
+        <div class="detail-right-pane detail-split-pane" id="detailSplitPane" ${splitChat.open ? '' : 'hidden'}>
+            <div class="detail-pane-header">
+                <div class="detail-conversation-controls">
+                    <select id="splitTicketSelect" class="detail-chat-select" title="Ticket" onchange="selectSplitTicket(this.value)"></select>
+                    <select id="splitConversationSelect" class="detail-chat-select" title="Conversation" onchange="selectSplitConversation(this.value)"></select>
+                    <button class="btn-secondary btn-sm" title="Close split view" onclick="toggleSplitChat(false)">✕</button>
+                </div>
+                <div class="context-meter" id="splitContextMeter" hidden></div>
+            </div>
+            <div class="detail-chat-messages" id="splitChatMessages">
+                <div class="chat-msg chat-msg-system">Select a conversation above.</div>
+            </div>
+            <div class="detail-chat-input-area">
+                <textarea id="splitChatInput" class="detail-chat-input" placeholder="Type a message…" rows="1" disabled></textarea>
+                <button id="splitChatStopBtn" class="btn-danger detail-chat-btn inactive" title="Stop generation" onclick="interruptSplitConversation()">■</button>
+                <button id="splitChatSendBtn" class="btn-primary detail-chat-btn" title="Send message" disabled>→</button>
+            </div>
+        </div>
+    `;
+}
 
-    if (draggedFromStatus && canMoveTo(draggedFromStatus, targetStatus)) {
-        e.dataTransfer.dropEffect = 'move';
-    } else {
-        e.dataTransfer.dropEffect = 'none';
+function toggleSplitChat(open = !splitChat.open) {
+    splitChat.open = open;
+    if (open && !splitChat.ticketId) {
+        splitChat.ticketId = currentDetailTicketId;
+        splitChat.conversationId = null;
     }
+
+    const pane = document.getElementById('detailSplitPane');
+    if (pane) {
+        pane.hidden = !open;
+        pane.parentElement.classList.toggle('split', open);
+    }
+    const btn = document.getElementById('detailSplitBtn');
+    if (btn) {
+        btn.classList.toggle('active', open);
+    }
+
+    setupSplitChat();
 }
 
-async function handleDrop(e) {
-    e.preventDefault();
-    e.stopPropagation();
+// Wires up the split pane after the modal is rebuilt or the pane is opened.
+async function setupSplitChat() {
+    const messagesDiv = document.getElementById('splitChatMessages');
+    const input = document.getElementById('splitChatInput');
+    const sendBtn = document.getElementById('splitChatSendBtn');
+    if (!splitChat.open || !messagesDiv || !input || !sendBtn) return;
 
-    const column = e.currentTarget;
-    column.classList.remove('drag-over');
+    // Handlers are assigned rather than added so reopening the pane doesn't bind them twice.
+    sendBtn.onclick = sendSplitMessage;
+    input.onkeydown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendSplitMessage();
+        } else if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && !e.shiftKey && recallChatHistory(input, e.key === 'ArrowUp' ? -1 : 1)) {
+            e.preventDefault();
+            if (splitChat.conversationId) {
+                saveConversationDraft(splitChat.ticketId, splitChat.conversationId, input.value);
+            }
+        }
+    };
+    input.oninput = () => {
+        chatHistoryBrowse = null;
+        resizeChatInput(input);
+        if (splitChat.conversationId) {
+            saveConversationDraft(splitChat.ticketId, splitChat.conversationId, input.value);
+        }
+    };
 
-    const ticketId = e.dataTransfer.getData('text/plain');
-    const targetStatus = column.dataset.status;
+    let scrollTimeout = null;
+    messagesDiv.onscroll = () => {
+        clearTimeout(scrollTimeout);
+        scrollTimeout = setTimeout(() => {
+            splitChat.scroll = readPaneScroll(messagesDiv);
+        }, 300);
+    };
 
-    if (!ticketId || !draggedFromStatus) {
-        return;
-    }
+    renderSplitTicketOptions();
+    await loadSplitTicketConversations(splitChat.ticketId);
+    renderSplitConversationOptions();
+    await loadSplitConversation(true);
+}
 
-    if (!canMoveTo(draggedFromStatus, targetStatus)) {
-        return;
+// The modal's own ticket is already loaded and subscribed; any other ticket needs its conversation
+// list and its SignalR group so the pane updates live.
+async function loadSplitTicketConversations(ticketId) {
+    if (!ticketId || ticketId === currentDetailTicketId) return;
+
+    if (!ticketConversations[ticketId]) {
+        try {
+            const response = await fetch(`${API_BASE}/tickets/${ticketId}/conversations`);
+            if (response.ok) {
+                ticketConversations[ticketId] = await response.json();
+            }
+        } catch (error) {
+            console.warn('Could not fetch conversations:', error);
+        }
     }
 
-    await moveTicket(ticketId, targetStatus);
+    if (connection && connection.state === signalR.HubConnectionState.Connected) {
+        try {
+            await connection.invoke('SubscribeToTicket', ticketId);
+        } catch (error) {
+            console.warn('Could not subscribe to ticket updates:', error);
+        }
+    }
 }
 
-// Event listeners
-function setupEventListeners() {
-    // New ticket button
-    document.getElementById('newTicketBtn').addEventListener('click', () => {
-        populateNewTicketLlmDropdown();
-        document.getElementById('newTicketModal').classList.add('active');
-        document.getElementById('ticketTitle').focus();
-    });
+function renderSplitTicketOptions() {
+    const select = document.getElementById('splitTicketSelect');
+    if (!select) return;
 
-    // Settings button
-    document.getElementById('settingsBtn').addEventListener('click', showSettings);
+    select.innerHTML = tickets.map(t => `<option value="${t.id}">#${t.id} ${escapeHtml(t.title)} (${t.status})</option>`).join('');
+    select.value = splitChat.ticketId || '';
+}
 
-    // New ticket form
-    document.getElementById('newTicketForm').addEventListener('submit', handleCreateTicket);
+// Lists the split ticket's conversations in tree order, indented by depth. When the selection is
+// missing it picks one, preferring a conversation the main pane isn't already showing, and returns true.
+function renderSplitConversationOptions() {
+    const convos = ticketConversations[splitChat.ticketId] || [];
+    let changed = false;
+    if (!convos.some(c => c.id === splitChat.conversationId)) {
+        const others = splitChat.ticketId === detailChatTicketId ? convos.filter(c => c.id !== detailChatConversationId) : convos;
+        const picked = pickDefaultConversation(others) || pickDefaultConversation(convos);
+        changed = picked !== splitChat.conversationId;
+        splitChat.conversationId = picked;
+    }
 
-    // Git config form
-    document.getElementById('gitConfigForm').addEventListener('submit', handleSaveSettings);
+    const select = document.getElementById('splitConversationSelect');
+    if (!select) return changed;
+
+    select.innerHTML = convos.length ? '' : '<option value="">No conversations</option>';
+    const addOptions = (nodes, depth) => {
+        for (const node of nodes) {
+            const c = node.convo;
+            const suffix = c.isFinished ? ' ✓' : ` (${c.messageCount})`;
+            const option = document.createElement('option');
+            option.value = c.id;
+            option.textContent = '\u00a0\u00a0'.repeat(depth) + (c.displayName || c.id) + suffix;
+            select.appendChild(option);
+            addOptions(node.children, depth + 1);
+        }
+    };
+    addOptions(buildConversationTree(convos), 0);
+    select.value = splitChat.conversationId || '';
+    return changed;
+}
 
-    // Add LLM button
-    document.getElementById('addLLMBtn').addEventListener('click', addLLMConfig);
+async function selectSplitTicket(ticketId) {
+    splitChat.ticketId = ticketId || null;
+    splitChat.conversationId = null;
+    splitChat.scroll = { atBottom: true };
+    await loadSplitTicketConversations(splitChat.ticketId);
+    renderSplitConversationOptions();
+    await loadSplitConversation(false);
+}
 
-    // Compaction type dropdown
-    document.getElementById('compactionType').addEventListener('change', updateCompactionVisibility);
+function selectSplitConversation(conversationId) {
+    splitChat.conversationId = conversationId || null;
+    splitChat.scroll = { atBottom: true };
+    loadSplitConversation(false);
+}
 
-    // Close modal buttons
-    document.querySelectorAll('.close').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const modal = btn.closest('.modal');
+// Draws the split pane's conversation. preserveScroll keeps the reader where they were, as the main pane
+// does on sync; otherwise the pane jumps to the newest message.
+async function loadSplitConversation(preserveScroll) {
+    const { ticketId, conversationId } = splitChat;
+    let messagesDiv = document.getElementById('splitChatMessages');
+    if (!messagesDiv) return;
 
-            if (modal.id === 'settingsModal') {
-                saveSettings();
-            }
+    if (!ticketId || !conversationId) {
+        messagesDiv.innerHTML = '<div class="chat-msg chat-msg-system">Select a conversation above.</div>';
+        loadComposerDraft(document.getElementById('splitChatInput'), null, null);
+        setSplitChatEnabled(false);
+        updateContextMeters();
+        return;
+    }
 
-            modal.classList.remove('active');
+    const showingSame = messagesDiv.dataset.ticketId === ticketId && messagesDiv.dataset.conversationId === conversationId;
+    if (!showingSame) {
+        loadComposerDraft(document.getElementById('splitChatInput'), ticketId, conversationId);
+    }
+    const scroll = !preserveScroll ? { atBottom: true } : showingSame ? readPaneScroll(messagesDiv) : splitChat.scroll;
 
-            if (modal.id === 'ticketDetailModal') {
-                currentDetailTicketId = null;
-                detailChatTicketId = null;
-                detailChatConversationId = null;
-            }
-        });
-    });
+    const msgs = await fetchConversationMessages(ticketId, conversationId);
 
-    // Close modals on backdrop click (not for full-screen ticket detail)
-    document.querySelectorAll('.modal').forEach(modal => {
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal && modal.id !== 'ticketDetailModal') {
-                if (modal.id === 'settingsModal') {
-                    saveSettings();
-                }
+    // The selection or the whole modal may have changed while fetching.
+    messagesDiv = document.getElementById('splitChatMessages');
+    if (!messagesDiv || splitChat.ticketId !== ticketId || splitChat.conversationId !== conversationId) return;
 
-                modal.classList.remove('active');
-            }
-        });
-    });
+    renderConversationInto(messagesDiv, ticketId, conversationId, msgs, getWindowStart(msgs, scroll));
+    const info = (ticketConversations[ticketId] || []).find(c => c.id === conversationId);
+    setSplitChatEnabled(!!info && !info.isFinished);
+    updateBusyIndicators(ticketId, conversationId, !!busyConversations[`${ticketId}:${conversationId}`]);
 
-    // Close modals on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            document.querySelectorAll('.modal.active').forEach(modal => {
-                if (modal.id === 'settingsModal') {
-                    saveSettings();
-                }
+    requestAnimationFrame(() => {
+        restorePaneScroll(messagesDiv, scroll);
+        splitChat.scroll = scroll;
+    });
+}
 
-                modal.classList.remove('active');
+function setSplitChatEnabled(enabled) {
+    const input = document.getElementById('splitChatInput');
+    const btn = document.getElementById('splitChatSendBtn');
+    if (input) {
+        input.disabled = !enabled;
+        input.placeholder = enabled ? 'Type a message…' : 'Conversation finished.';
+    }
+    if (btn) btn.disabled = !enabled;
+}
 
-                if (modal.id === 'ticketDetailModal') {
-                    currentDetailTicketId = null;
-                    detailChatTicketId = null;
-                    detailChatConversationId = null;
-                }
-            });
-        }
-    });
+function sendSplitMessage() {
+    const input = document.getElementById('splitChatInput');
+    const text = input ? input.value.trim() : '';
+    if (!text || !splitChat.ticketId || !splitChat.conversationId) return;
+    if (!connection || connection.state !== signalR.HubConnectionState.Connected) return;
+
+    addChatHistory(text);
+    saveConversationDraft(splitChat.ticketId, splitChat.conversationId, '');
+    chatHistoryBrowse = null;
+    input.value = '';
+    input.style.height = '';
+    connection.invoke('SendChatToWorker', splitChat.ticketId, splitChat.conversationId, text).catch(() => {});
 }
 
-function populateNewTicketLlmDropdown() {
-    const select = document.getElementById('ticketPlannerLlm');
-    const llmConfigs = (settings && settings.llmConfigs) || [];
+function interruptSplitConversation() {
+    interruptConversation(splitChat.ticketId, splitChat.conversationId);
+}
 
-    select.innerHTML = '<option value="" disabled selected>Select an LLM...</option>';
-    for (let i = 0; i < llmConfigs.length; i++) {
-        const config = llmConfigs[i];
-        const opt = document.createElement('option');
-        opt.value = config.id || '';
-        opt.textContent = config.model || 'Unknown';
-        select.appendChild(opt);
+window.toggleSplitChat = toggleSplitChat;
+window.selectSplitTicket = selectSplitTicket;
+window.selectSplitConversation = selectSplitConversation;
+window.interruptSplitConversation = interruptSplitConversation;
+
+// Export. Conversations are fetched fresh so files carry the full ConversationData rather than the cached
+// message list. Markdown puts each tool call in a <details> block; HTML is a standalone page that embeds
+// the stylesheet and a small script so tool accordions and raw toggles keep working offline.
+const EXPORT_FORMATS = {
+    md: { extension: 'md', type: 'text/markdown' },
+    json: { extension: 'json', type: 'application/json' },
+    html: { extension: 'html', type: 'text/html' }
+};
+
+const EXPORT_HTML_SCRIPT = `
+document.addEventListener('click', (e) => {
+    const header = e.target.closest('.chat-tool-header, .chat-chapter-header');
+    if (header) {
+        header.nextElementSibling.classList.toggle('open');
+        header.querySelector('.chat-tool-icon').classList.toggle('open');
+        return;
+    }
+    const ansiToggle = e.target.closest('.ansi-raw-toggle');
+    if (ansiToggle) {
+        const raw = ansiToggle.parentElement.querySelector('.ansi-raw');
+        raw.hidden = !raw.hidden;
+        raw.previousElementSibling.hidden = !raw.hidden;
+        ansiToggle.textContent = raw.hidden ? 'Raw' : 'Rendered';
+        return;
     }
+    const file = e.target.closest('.tool-file');
+    const matches = file && file.parentElement.querySelector('.tool-file-matches');
+    if (matches) {
+        matches.hidden = !matches.hidden;
+        file.classList.toggle('open', !matches.hidden);
+    }
+});
+`;
+
+function buildExportSelectHtml() {
+    return `
+        <select class="detail-chat-select detail-export-select" title="Export" onchange="exportFromSelect(this)">
+            <option value="">⤓</option>
+            <optgroup label="This conversation">
+                <option value="conversation:md">Markdown</option>
+                <option value="conversation:json">JSON</option>
+                <option value="conversation:html">HTML</option>
+            </optgroup>
+            <optgroup label="Whole ticket">
+                <option value="ticket:md">Markdown</option>
+                <option value="ticket:json">JSON</option>
+                <option value="ticket:html">HTML</option>
+            </optgroup>
+        </select>
+    `;
 }
 
-async function handleCreateTicket(e) {
-    e.preventDefault();
+function exportFromSelect(select) {
+    const [scope, format] = select.value.split(':');
+    select.value = '';
+    if (scope === 'conversation') {
+        exportConversation(detailChatTicketId, detailChatConversationId, format);
+    } else if (scope === 'ticket') {
+        exportTicket(currentDetailTicketId, format);
+    }
+}
 
-    const title = document.getElementById('ticketTitle').value.trim();
-    const description = document.getElementById('ticketDescription').value.trim();
-    const plannerLlmId = document.getElementById('ticketPlannerLlm').value;
-    const maxCost = parseFloat(document.getElementById('ticketMaxCost').value) || 0;
+window.exportFromSelect = exportFromSelect;
 
-    if (!title || !plannerLlmId) {
+async function exportConversation(ticketId, conversationId, format) {
+    if (!ticketId || !conversationId) {
+        alert('Select a conversation to export.');
         return;
     }
 
-    try {
-        const response = await fetch(`${API_BASE}/tickets`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                title,
-                description,
-                status: 'Backlog',
-                plannerLlmId,
-                maxCost
-            })
-        });
+    const data = await fetchConversationData(ticketId, conversationId);
+    if (!data) {
+        alert('Could not load the conversation.');
+        return;
+    }
+
+    let content;
+    if (format === 'json') {
+        content = JSON.stringify(data, null, 2);
+    } else if (format === 'md') {
+        content = `# ${data.displayName || data.id}\n\n${buildConversationMarkdown(data, 2)}`;
+    } else {
+        content = await buildExportPageHtml(data.displayName || data.id, buildConversationExportHtml(ticketId, data, 'h1'));
+    }
+    downloadExport(`ticket-${ticketId}-${slugifyFileName(data.displayName || data.id)}`, format, content);
+}
+
+// Bundles the ticket (with its tasks and activity log) and every conversation, in tree order.
+async function exportTicket(ticketId, format) {
+    if (!ticketId) return;
 
+    let ticket = null;
+    let infos = [];
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}`);
         if (response.ok) {
-            document.getElementById('newTicketModal').classList.remove('active');
-            document.getElementById('newTicketForm').reset();
-            await refreshAllTickets();
-        } else {
-            console.error('Failed to create ticket');
+            ticket = await response.json();
+            normalizeTicket(ticket);
+        }
+        const convosResponse = await fetch(`${API_BASE}/tickets/${ticketId}/conversations`);
+        if (convosResponse.ok) {
+            infos = await convosResponse.json();
         }
     } catch (error) {
-        console.error('Error creating ticket:', error);
+        console.error('Error loading ticket for export:', error);
+    }
+    if (!ticket) {
+        alert('Could not load the ticket.');
+        return;
     }
-}
 
-// Settings management
-function showSettings() {
-    const modal = document.getElementById('settingsModal');
+    const ordered = [];
+    const walk = (nodes) => nodes.forEach(node => {
+        ordered.push(node.convo);
+        walk(node.children);
+    });
+    walk(buildConversationTree(infos));
+    const conversations = (await Promise.all(ordered.map(c => fetchConversationData(ticketId, c.id)))).filter(Boolean);
+
+    let content;
+    if (format === 'json') {
+        content = JSON.stringify({ ticket, conversations }, null, 2);
+    } else if (format === 'md') {
+        content = buildTicketMarkdown(ticket, conversations);
+    } else {
+        content = await buildExportPageHtml(`#${ticket.id} ${ticket.title}`, buildTicketExportHtml(ticket, conversations));
+    }
+    downloadExport(`ticket-${ticketId}-${slugifyFileName(ticket.title)}`, format, content);
+}
 
-    // Populate Git config
-    if (settings && settings.gitConfig) {
-        document.getElementById('gitUrl').value = settings.gitConfig.repositoryUrl || '';
-        document.getElementById('gitUsername').value = settings.gitConfig.username || '';
-        document.getElementById('gitEmail').value = settings.gitConfig.email || '';
-        document.getElementById('gitSshKey').value = settings.gitConfig.sshKey || '';
-        document.getElementById('gitApiToken').value = settings.gitConfig.apiToken || '';
-        document.getElementById('gitPassword').value = settings.gitConfig.password || '';
+async function fetchConversationData(ticketId, conversationId) {
+    try {
+        const response = await fetch(`${API_BASE}/tickets/${ticketId}/conversations/${conversationId}`);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Error loading conversation for export:', error);
+        return null;
     }
+}
 
-    // Populate compaction settings
-    const compactionType = (settings && settings.compaction && settings.compaction.type) || 'disabled';
-    document.getElementById('compactionType').value = compactionType === 'summarize' ? 'summarize' : 'disabled';
+function downloadExport(baseName, format, content) {
+    const spec = EXPORT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([content], { type: spec.type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName}.${spec.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    const contextPercent = Math.round(((settings && settings.compaction && settings.compaction.contextSizePercent) || 0.9) * 100);
-    document.getElementById('contextPercent').value = contextPercent;
-    updatePercentLabel();
-    updateCompactionVisibility();
+function slugifyFileName(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'export';
+}
 
-    // Populate LLM configs
-    document.getElementById('providerEndpoint').value = (settings && settings.endpoint) || 'https://openrouter.ai/api/v1';
-    document.getElementById('providerApiKey').value = (settings && settings.apiKey) || '';
-    renderLLMConfigs();
+// A code fence one backtick longer than any run inside the text, so tool output can't close it early.
+function buildMarkdownFence(text, language) {
+    const runs = text.match(/`{3,}/g) || [];
+    const fence = '`'.repeat(Math.max(3, ...runs.map(run => run.length + 1)));
+    return `${fence}${language || ''}\n${text}\n${fence}`;
+}
 
-    // Populate web search settings
-    if (settings && settings.webSearch) {
-        document.getElementById('webSearchModel').value = settings.webSearch.model || 'openai/gpt-4.1-nano';
-        document.getElementById('webSearchEngine').value = settings.webSearch.engine || 'auto';
+function buildConversationMetaText(data) {
+    const parts = [data.role, data.activeModel];
+    if (data.startedAt) {
+        parts.push(`started ${formatDateTime(data.startedAt)}`);
     }
+    if (data.completedAt) {
+        parts.push(`finished ${formatDateTime(data.completedAt)}`);
+    } else if (data.isFinished) {
+        parts.push('finished');
+    }
+    return parts.filter(Boolean).join(' · ');
+}
 
-    // Setup accordion handlers
-    setupAccordions();
+// headingLevel is the level of each message label; the caller writes the conversation title above it.
+function buildConversationMarkdown(data, headingLevel) {
+    const messages = data.messages || [];
+    const durations = data.toolDurations || {};
+    const hashes = '#'.repeat(headingLevel);
+    const roleLabels = { user: 'User', assistant: 'Assistant', system: 'System' };
+    const out = [];
+
+    const meta = buildConversationMetaText(data);
+    if (meta) {
+        out.push(`_${meta}_`);
+    }
 
-    // Restore settings accordion states from localStorage.
-    const accordionStates = getSettingsAccordionStates();
-    document.querySelectorAll('#settingsContent > .accordion').forEach(accordion => {
-        const header = accordion.querySelector('.accordion-header');
-        const key = header ? header.getAttribute('data-accordion') : null;
-        if (key && accordionStates[key]) {
-            accordion.classList.remove('collapsed');
-        } else {
-            accordion.classList.add('collapsed');
+    for (let i = 0; i < messages.length; i++) {
+        const msg = messages[i];
+        if (msg.role === 'tool') {
+            continue;
+        }
+        if (msg.content && msg.content.trim() !== '') {
+            out.push(`${hashes} ${roleLabels[msg.role] || msg.role}`);
+            out.push(msg.role === 'system' ? buildMarkdownFence(msg.content, '') : msg.content);
         }
-    });
 
-    modal.classList.add('active');
+        for (const tc of msg.tool_calls || []) {
+            const resultIndex = getToolResultIndex(messages).get(tc.id);
+            const resultMsg = resultIndex > i ? messages[resultIndex] : null;
+            const args = parseToolArgs(tc.function.arguments);
+            const summary = getToolCallSummary(tc.function.name, tc.function.arguments);
+            const duration = durations[tc.id] !== undefined ? ` (${formatToolDuration(durations[tc.id])})` : '';
+            const result = resultMsg ? collapseCarriageReturns(resultMsg.content || '').replace(ANSI_ESCAPE, '') : '(no result yet)';
+            out.push([
+                '<details>',
+                `<summary>🔧 ${escapeHtml(tc.function.name)}${summary ? ` — ${escapeHtml(summary)}` : ''}${duration}</summary>`,
+                '',
+                buildMarkdownFence(args ? JSON.stringify(args, null, 2) : tc.function.arguments, args ? 'json' : ''),
+                '',
+                buildMarkdownFence(result, ''),
+                '',
+                '</details>'
+            ].join('\n'));
+        }
+    }
+    return out.join('\n\n') + '\n';
 }
 
-function setupAccordions() {
-    document.querySelectorAll('.accordion-header').forEach(header => {
-        header.removeEventListener('click', toggleAccordion);
-        header.addEventListener('click', toggleAccordion);
-    });
+function buildTicketMarkdown(ticket, conversations) {
+    const out = [`# #${ticket.id} ${ticket.title}`];
+    out.push(`_${ticket.status} · created ${formatDateTime(ticket.createdAt)} · $${Number(ticket.llmCost || 0).toFixed(2)} spent_`);
+    if (ticket.description) {
+        out.push(ticket.description);
+    }
+
+    out.push('## Tasks');
+    const taskLines = [];
+    for (const task of ticket.tasks || []) {
+        taskLines.push(`- [${task.status === 'Complete' ? 'x' : ' '}] ${task.name} (${task.status})`);
+        for (const st of task.subtasks || []) {
+            taskLines.push(`  - [${st.status === 'Complete' ? 'x' : ' '}] ${st.name} (${st.status})`);
+        }
+    }
+    out.push(taskLines.length ? taskLines.join('\n') : '_No tasks._');
+
+    out.push('## Activity log');
+    out.push((ticket.activityLog || []).length ? buildMarkdownFence(ticket.activityLog.join('\n'), '') : '_No activity._');
+
+    out.push('## Conversations');
+    for (const data of conversations) {
+        out.push(`### ${data.displayName || data.id}\n\n${buildConversationMarkdown(data, 4).trimEnd()}`);
+    }
+    if (conversations.length === 0) {
+        out.push('_No conversations._');
+    }
+    return out.join('\n\n') + '\n';
 }
 
-function toggleAccordion(e) {
-    const accordion = e.currentTarget.closest('.accordion');
-    accordion.classList.toggle('collapsed');
+// Renders a conversation with the same code as the chat pane, into a detached list. Markdown
+// Raw/Rendered buttons are dropped because they need the original text, which the page doesn't keep.
+function buildConversationExportHtml(ticketId, data, headingTag) {
+    const messagesDiv = document.createElement('div');
+    messagesDiv.className = 'detail-chat-messages';
+    conversationToolDurations[`${ticketId}:${data.id}`] = data.toolDurations || {};
+    conversationChapters[`${ticketId}:${data.id}`] = { summaries: data.chapterSummaries || [], compactedAt: data.chapterCompactedAt || [] };
+    renderConversationInto(messagesDiv, ticketId, data.id, data.messages || [], 0, (data.messages || []).length);
+    messagesDiv.querySelectorAll('.md-toggle').forEach(button => button.remove());
+    messagesDiv.querySelectorAll('.chat-tool-pending .spinner-dots').forEach(dots => dots.remove());
+
+    return `
+        <section class="export-conversation">
+            <${headingTag}>${escapeHtml(data.displayName || data.id)}</${headingTag}>
+            <div class="export-meta">${escapeHtml(buildConversationMetaText(data))}</div>
+            ${messagesDiv.outerHTML}
+        </section>
+    `;
+}
 
-    // Persist settings accordion states.
-    const header = accordion.querySelector('.accordion-header');
-    const key = header ? header.getAttribute('data-accordion') : null;
-    if (key && accordion.closest('#settingsContent')) {
-        saveSettingsAccordionState(key, !accordion.classList.contains('collapsed'));
+function buildTicketExportHtml(ticket, conversations) {
+    const tasksHtml = (ticket.tasks || []).map(task => `
+        <li>${escapeHtml(task.name)} <span class="export-meta">${escapeHtml(task.status)}</span>
+            ${(task.subtasks || []).length ? `<ul>${task.subtasks.map(st => `<li>${escapeHtml(st.name)} <span class="export-meta">${escapeHtml(st.status)}</span></li>`).join('')}</ul>` : ''}
+        </li>
+    `).join('');
+
+    return `
+        <h1>#${escapeHtml(ticket.id)} ${escapeHtml(ticket.title)}</h1>
+        <div class="export-meta">${escapeHtml(ticket.status)} · created ${escapeHtml(formatDateTime(ticket.createdAt))} · $${Number(ticket.llmCost || 0).toFixed(2)} spent</div>
+        ${ticket.description ? `<div class="markdown-body">${renderMarkdown(ticket.description)}</div>` : ''}
+        <h2>Tasks</h2>
+        ${tasksHtml ? `<ul class="export-tasks">${tasksHtml}</ul>` : '<div class="export-meta">No tasks.</div>'}
+        <h2>Activity log</h2>
+        <pre class="export-log">${escapeHtml((ticket.activityLog || []).join('\n')) || 'No activity.'}</pre>
+        <h2>Conversations</h2>
+        ${conversations.map(data => buildConversationExportHtml(ticket.id, data, 'h3')).join('') || '<div class="export-meta">No conversations.</div>'}
+    `;
+}
+
+async function buildExportPageHtml(title, bodyHtml) {
+    let css = '';
+    try {
+        const response = await fetch('/styles.css');
+        if (response.ok) {
+            css = await response.text();
+        }
+    } catch (error) {
+        console.warn('Could not embed stylesheet in export:', error);
     }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${css.replace(/<\/style/gi, '<\\/style')}</style>
+</head>
+<body>
+<div class="export-page">
+${bodyHtml}
+</div>
+<script>${EXPORT_HTML_SCRIPT}</script>
+</body>
+</html>
+`;
 }
 
-function updateCompactionVisibility() {
-    const compactionType = document.getElementById('compactionType').value;
-    document.getElementById('compactionOptions').style.display = compactionType === 'summarize' ? 'block' : 'none';
+// Markdown for chat bubbles and ticket descriptions. All text is escaped before any tag is added,
+// only the tags built below are ever produced, and links are limited to http(s), mailto and
+// relative targets, so model output or ticket text can't inject markup or script.
+const MARKDOWN_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MARKDOWN_QUOTE = /^ {0,3}>\s?(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const MARKDOWN_STASH = '\uE000';
+
+function renderMarkdown(text) {
+    if (!text) {
+        return '';
+    }
+
+    const lines = String(text).replace(/\r\n?/g, '\n').split(MARKDOWN_STASH).join('').split('\n');
+    return renderMarkdownBlocks(lines);
 }
 
-function renderLLMConfigs() {
-    const container = document.getElementById('llmConfigs');
-    const llmConfigs = (settings && settings.llmConfigs) || [];
+function renderMarkdownBlocks(lines) {
+    const out = [];
+    let i = 0;
 
-    container.innerHTML = '';
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
 
-    if (llmConfigs.length === 0) {
-        container.innerHTML = '<div class="empty-state">No LLM configurations</div>';
-        return;
+        const fence = line.match(MARKDOWN_FENCE);
+        if (fence) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            out.push(buildMarkdownCodeBlockHtml(code.join('\n'), fence[2]));
+            continue;
+        }
+
+        const heading = line.match(MARKDOWN_HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            out.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_RULE.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (MARKDOWN_QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && MARKDOWN_QUOTE.test(lines[i])) {
+                quoted.push(lines[i].match(MARKDOWN_QUOTE)[1]);
+                i++;
+            }
+            out.push(`<blockquote>${renderMarkdownBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            const list = parseMarkdownList(lines, i);
+            out.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        if (isMarkdownTableStart(lines, i)) {
+            const table = parseMarkdownTable(lines, i);
+            out.push(table.html);
+            i = table.next;
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block. Single newlines are kept.
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines, i)) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        out.push(`<p>${paragraph.map(l => renderMarkdownInline(l.trim())).join('<br>')}</p>`);
     }
 
-    llmConfigs.forEach((config, index) => {
-        const configEl = document.createElement('div');
-        configEl.className = 'llm-config accordion collapsed';
-        configEl.dataset.llmId = config.id || '';
-        configEl.style.marginBottom = '8px';
-        configEl.style.padding = '0';
-        const modelName = config.model || `LLM ${index + 1}`;
-        const accordionKey = `llm-${config.model || index}`;
-        configEl.innerHTML = `
-            <div class="accordion-header" data-accordion="${escapeHtml(accordionKey)}" style="padding: 10px 12px; margin: 0;">
-                <span>🧠 ${escapeHtml(modelName)}</span>
-                <span class="accordion-icon">▼</span>
-            </div>
-            <div class="accordion-content" style="padding: 12px; padding-top: 8px;">
-                <div class="form-group">
-                    <label>Model</label>
-                    <input type="text" class="llm-model" value="${escapeHtml(config.model || '')}" placeholder="openai/gpt-4o">
-                </div>
-                <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; margin-bottom: 15px;">
-                    <div>
-                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Context Length</label>
-                        <input type="number" class="llm-context-length" value="${config.contextLength || 128000}" min="1000" step="1000" placeholder="128000" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
-                    </div>
-                    <div>
-                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Input $/M</label>
-                        <input type="number" class="llm-input-price" value="${config.inputTokenPrice || 0}" min="0" step="0.01" placeholder="0.00" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
-                    </div>
-                    <div>
-                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Output $/M</label>
-                        <input type="number" class="llm-output-price" value="${config.outputTokenPrice || 0}" min="0" step="0.01" placeholder="0.00" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
-                    </div>
-                    <div>
-                        <label style="font-size: 11px; font-weight: 500; color: var(--text-muted); display: block; margin-bottom: 4px;">Temperature</label>
-                        <input type="number" class="llm-temperature" value="${config.temperature !== undefined ? config.temperature : 0.2}" min="0" max="2" step="0.1" placeholder="0.2" style="width: 100%; padding: 0.5rem 0.5rem; border: 1px solid var(--gray-300); border-radius: var(--radius); background: var(--gray-100); color: var(--gray-800); font-size: 0.9375rem; transition: border-color 0.2s ease, box-shadow 0.2s ease; font-family: inherit;">
-                    </div>
-                </div>
-                <div class="form-group">
-                    <label>Strengths</label>
-                    <input type="text" class="llm-strengths" value="${escapeHtml(config.strengths || '')}" placeholder="e.g. Strong at coding, large context window">
-                </div>
-                <div class="form-group">
-                    <label>Weaknesses</label>
-                    <input type="text" class="llm-weaknesses" value="${escapeHtml(config.weaknesses || '')}" placeholder="e.g. Slow, expensive, poor at UI work">
-                </div>
-                <button type="button" class="btn-danger btn-sm" data-index="${index}" title="Remove this LLM configuration" style="width: 100%; display: flex; align-items: center; justify-content: center;">Remove This LLM</button>
-            </div>
-        `;
+    return out.join('');
+}
 
-        configEl.querySelector('.btn-danger').addEventListener('click', () => removeLLMConfig(index));
-        configEl.querySelector('.accordion-header').addEventListener('click', toggleAccordion);
+function startsMarkdownBlock(lines, i) {
+    const line = lines[i];
+    return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line) ||
+        MARKDOWN_QUOTE.test(line) || MARKDOWN_LIST_ITEM.test(line) || isMarkdownTableStart(lines, i);
+}
+
+// Collects one list, including nested content indented under its items, and renders each item's
+// content as blocks so nested lists, code and quotes inside items work.
+function parseMarkdownList(lines, start) {
+    const first = lines[start].match(MARKDOWN_LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let current = null;
+    let contentIndent = 0;
+    let afterBlank = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const marker = line.match(MARKDOWN_LIST_ITEM);
+
+        if (marker && marker[1].length === indent && /\d/.test(marker[2]) === ordered) {
+            current = [marker[3]];
+            items.push(current);
+            contentIndent = indent + marker[2].length + 1;
+            afterBlank = false;
+            i++;
+            continue;
+        }
+
+        if (!line.trim()) {
+            afterBlank = true;
+            current.push('');
+            i++;
+            continue;
+        }
 
-        // Restore expanded state from localStorage.
-        const savedStates = getSettingsAccordionStates();
-        if (savedStates[accordionKey]) {
-            configEl.classList.remove('collapsed');
+        const lineIndent = line.length - line.trimStart().length;
+        if (lineIndent > indent) {
+            current.push(line.slice(Math.min(lineIndent, contentIndent)));
+            afterBlank = false;
+            i++;
+            continue;
         }
 
-        container.appendChild(configEl);
-    });
-}
+        // An unindented line right after an item continues its paragraph; after a blank line it ends the list.
+        if (!afterBlank && !marker && !startsMarkdownBlock(lines, i)) {
+            current.push(line.trim());
+            i++;
+            continue;
+        }
 
-function addLLMConfig() {
-    if (!settings) {
-        settings = { llmConfigs: [], gitConfig: {} };
+        break;
     }
 
-    if (!settings.llmConfigs) {
-        settings.llmConfigs = [];
+    // Trailing blank lines belong after the list, not inside its last item.
+    while (i > start && !lines[i - 1].trim()) {
+        i--;
     }
 
-    settings.llmConfigs.push({ model: '', contextLength: 128000, inputTokenPrice: 0, outputTokenPrice: 0, temperature: 0.2, strengths: '', weaknesses: '' });
-    renderLLMConfigs();
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const itemsHtml = items.map(item => {
+        const html = renderMarkdownBlocks(item).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+        return `<li>${html}</li>`;
+    }).join('');
+
+    return {
+        html: `<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</${tag}>`,
+        next: i
+    };
 }
 
-function removeLLMConfig(index) {
-    if (settings && settings.llmConfigs) {
-        settings.llmConfigs.splice(index, 1);
-        renderLLMConfigs();
-    }
+function isMarkdownTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && MARKDOWN_TABLE_DIVIDER.test(lines[i + 1]);
 }
 
-function collectLLMConfigs() {
-    const configs = [];
+function splitMarkdownTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) {
+        row = row.slice(1);
+    }
+    if (row.endsWith('|') && !row.endsWith('\\|')) {
+        row = row.slice(0, -1);
+    }
+    return row.split(/(?<!\\)\|/).map(cell => cell.replace(/\\\|/g, '|').trim());
+}
 
-    document.querySelectorAll('.llm-config').forEach(configEl => {
-        configs.push({
-            id: configEl.dataset.llmId || '',
-            model: configEl.querySelector('.llm-model').value,
-            contextLength: parseInt(configEl.querySelector('.llm-context-length').value, 10) || 128000,
-            inputTokenPrice: parseFloat(configEl.querySelector('.llm-input-price').value) || 0,
-            outputTokenPrice: parseFloat(configEl.querySelector('.llm-output-price').value) || 0,
-            temperature: parseFloat(configEl.querySelector('.llm-temperature').value) || 0.2,
-            strengths: configEl.querySelector('.llm-strengths').value || '',
-            weaknesses: configEl.querySelector('.llm-weaknesses').value || ''
-        });
+function parseMarkdownTable(lines, start) {
+    const header = splitMarkdownTableRow(lines[start]);
+    const aligns = splitMarkdownTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) {
+            return 'center';
+        }
+        return cell.endsWith(':') ? 'right' : (cell.startsWith(':') ? 'left' : '');
     });
+    const cellHtml = (tag, text, col) => `<${tag}${aligns[col] ? ` style="text-align: ${aligns[col]}"` : ''}>${renderMarkdownInline(text)}</${tag}>`;
+
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitMarkdownTableRow(lines[i]);
+        rows.push(`<tr>${header.map((_, col) => cellHtml('td', cells[col] || '', col)).join('')}</tr>`);
+        i++;
+    }
 
-    return configs;
+    return {
+        html: `<div class="md-table-wrap"><table><thead><tr>${header.map((text, col) => cellHtml('th', text, col)).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table></div>`,
+        next: i
+    };
 }
 
-async function handleSaveSettings(e) {
-    if (e) {
-        e.preventDefault();
-    }
-    await saveSettings();
+function buildMarkdownCodeBlockHtml(code, language) {
+    const lang = (language || '').toLowerCase().replace(/[^\w+#.-]/g, '');
+    return `
+        <div class="md-code-block">
+            ${lang ? `<div class="md-code-lang">${lang}</div>` : ''}
+            <pre><code${lang ? ` class="language-${lang}"` : ''}>${highlightCode(code, lang)}</code></pre>
+        </div>
+    `;
 }
 
-async function saveSettings() {
-    const updatedSettings = {
-        file: {
-            endpoint: document.getElementById('providerEndpoint').value || 'https://openrouter.ai/api/v1',
-            apiKey: document.getElementById('providerApiKey').value || '',
-            llmConfigs: collectLLMConfigs(),
-            gitConfig: {
-                repositoryUrl: document.getElementById('gitUrl').value,
-                username: document.getElementById('gitUsername').value,
-                email: document.getElementById('gitEmail').value,
-                sshKey: document.getElementById('gitSshKey').value || null,
-                apiToken: document.getElementById('gitApiToken').value || null,
-                password: document.getElementById('gitPassword').value || null
-            },
-            compaction: {
-                type: document.getElementById('compactionType').value,
-                contextSizePercent: parseInt(document.getElementById('contextPercent').value, 10) / 100
-            },
-            webSearch: {
-                model: document.getElementById('webSearchModel').value || 'openai/gpt-4.1-nano',
-                engine: document.getElementById('webSearchEngine').value || 'auto'
-            }
-        }
+// Code spans and links are swapped out for placeholders first so the emphasis rules
+// can't reach inside them, then everything else is escaped and put back together. A link
+// label is rendered with the caller's stash so code spans already taken out of it resolve.
+function renderMarkdownInline(text, allowLinks = true, stash = []) {
+    const keep = (html) => {
+        stash.push(html);
+        return `${MARKDOWN_STASH}${stash.length - 1}${MARKDOWN_STASH}`;
     };
 
-    try {
-        const response = await fetch(`${API_BASE}/settings`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(updatedSettings)
-        });
+    let s = text.replace(/(`+)([\s\S]+?)\1(?!`)/g, (m, ticks, code) => keep(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`));
 
-        if (response.ok) {
-            settings = normalizeSettings(await response.json());
-        } else {
-            console.error('Failed to save settings');
-        }
-    } catch (error) {
-        console.error('Error saving settings:', error);
+    // URLs never take in a stashed code span: code spans win, as in CommonMark, so [x](`a`) stays
+    // literal text and a bare URL ends where a code span starts.
+    if (allowLinks) {
+        s = s.replace(/!?\[([^\]\n]+)\]\(\s*<?([^\s()<>\uE000]+)>?(?:\s+"[^"]*")?\s*\)/g, (m, label, url) => keep(buildMarkdownLinkHtml(label, url, stash)));
+        s = s.replace(/<((?:https?:\/\/|mailto:)[^\s<>\uE000]+)>/gi, (m, url) => keep(buildMarkdownLinkHtml(url, url, stash)));
+        s = s.replace(/\bhttps?:\/\/[^\s<>"'`\uE000]*[^\s<>"'`.,;:!?)\]\uE000]/gi, url => keep(buildMarkdownLinkHtml(url, url, stash)));
     }
+
+    s = escapeHtml(s)
+        .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])?\*(?![*\w])/g, (m, pre, body) => body === undefined ? m : `${pre}<em>${m.slice(pre.length + 1, -1)}</em>`)
+        .replace(/(^|[^_\w])_(?=[^\s_])([^_]*?[^\s_])?_(?![_\w])/g, (m, pre, body) => body === undefined ? m : `${pre}<em>${m.slice(pre.length + 1, -1)}</em>`);
+
+    return s.replace(new RegExp(`${MARKDOWN_STASH}(\\d+)${MARKDOWN_STASH}`, 'g'), (m, n) => stash[Number(n)]);
 }
 
-// Update percent label when slider moves
-function updatePercentLabel() {
-    const slider = document.getElementById('contextPercent');
-    const label = document.getElementById('contextPercentValue');
-    if (slider && label) {
-        label.textContent = `${slider.value}%`;
+function isSafeMarkdownUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url) || /^(\/|#|\.\.?\/)/.test(url);
+}
+
+function buildMarkdownLinkHtml(label, url, stash) {
+    const labelHtml = renderMarkdownInline(label, false, stash);
+    if (!isSafeMarkdownUrl(url)) {
+        return labelHtml;
     }
+
+    const href = escapeAttr(url);
+    return `<a href="${href}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
 }
 
-window.updatePercentLabel = updatePercentLabel;
+// Fills el with rendered Markdown and a small toggle to flip to the raw text. onToggle, when
+// given, receives the new raw state so the caller can keep it across re-renders.
+function fillMarkdownView(el, text, showRaw, onToggle) {
+    el.innerHTML = '';
 
-// Make saveSettings available globally for onclick
-window.saveSettings = saveSettings;
+    const toggle = document.createElement('button');
+    toggle.className = 'md-toggle';
+    const body = document.createElement('div');
 
-// ---- Chat functionality ----
+    const render = () => {
+        if (showRaw) {
+            body.className = 'markdown-raw';
+            body.textContent = text;
+        } else {
+            body.className = 'markdown-body';
+            body.innerHTML = renderMarkdown(text);
+        }
+        toggle.textContent = showRaw ? 'Rendered' : 'Raw';
+        toggle.title = showRaw ? 'Show formatted text' : 'Show raw text';
+    };
 
-// Conversation state.
-let ticketConversations = {};    // ticketId -> [{id, displayName, messageCount, isFinished}]
-let conversationMessages = {};   // "ticketId:conversationId" -> [ConversationMessage]
-let ticketPendingToolCalls = {}; // ticketId -> {toolCallId -> domElement}
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showRaw = !showRaw;
+        render();
+        if (onToggle) {
+            onToggle(showRaw);
+        }
+    });
 
-// Tracks which conversations are currently busy (LLM running).
-// Key: "ticketId:conversationId", Value: true
-let busyConversations = {};
+    render();
+    el.appendChild(toggle);
+    el.appendChild(body);
+}
 
-// LocalStorage helpers for persistent conversation state.
-function getTicketConversationState(ticketId) {
-    try {
-        const stored = localStorage.getItem(`ticket-${ticketId}-chat`);
-        return stored ? JSON.parse(stored) : null;
-    } catch {
+// Syntax highlighting for code blocks and file contents. Each language is a list of sticky
+// [regex, class] rules tried in order at the current position; identifiers that no rule claims
+// are classified against the language's keyword and literal lists. Colours come from the
+// --hl-* variables in styles.css so they follow the app palette.
+const HIGHLIGHT_IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const HIGHLIGHT_NUMBER = [/\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/y, 'number'];
+const HIGHLIGHT_C_COMMENTS = [[/\/\/.*/y, 'comment'], [/\/\*[\s\S]*?(?:\*\/|$)/y, 'comment']];
+
+const HIGHLIGHT_LANGUAGES = {
+    csharp: {
+        rules: [
+            ...HIGHLIGHT_C_COMMENTS,
+            [/^[ \t]*#[a-z]+.*/my, 'meta'],
+            [/\$?@"(?:[^"]|"")*"|@\$"(?:[^"]|"")*"/y, 'string'],
+            [/"""[\s\S]*?"""/y, 'string'],
+            [/\$?"(?:[^"\\\n]|\\.)*"/y, 'string'],
+            [/'(?:[^'\\\n]|\\.)+'/y, 'string'],
+            HIGHLIGHT_NUMBER
+        ],
+        keywords: 'abstract as async await base break case catch checked class const continue default delegate do else enum event explicit extern finally fixed for foreach get goto if implicit in init interface internal is lock namespace new operator out override params partial private protected public readonly record ref required return sealed set sizeof stackalloc static struct switch this throw try typeof unchecked unsafe using var virtual void volatile when where while with yield bool byte char decimal double float int long object sbyte short string uint ulong ushort nint nuint dynamic',
+        literals: 'true false null',
+        capitalizedTypes: true
+    },
+    javascript: {
+        rules: [
+            ...HIGHLIGHT_C_COMMENTS,
+            [/`(?:[^`\\]|\\[\s\S])*`/y, 'string'],
+            [/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/y, 'string'],
+            HIGHLIGHT_NUMBER
+        ],
+        keywords: 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield abstract as declare enum implements interface keyof namespace private protected public readonly type',
+        literals: 'true false null undefined NaN Infinity',
+        capitalizedTypes: true
+    },
+    python: {
+        rules: [
+            [/#.*/y, 'comment'],
+            [/[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y, 'string'],
+            [/[rRbBfFuU]{0,2}(?:"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')/y, 'string'],
+            [/^[ \t]*@[\w.]+/my, 'meta'],
+            HIGHLIGHT_NUMBER
+        ],
+        keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case self',
+        literals: 'True False None'
+    },
+    json: {
+        rules: [
+            [/"(?:[^"\\\n]|\\.)*"(?=\s*:)/y, 'property'],
+            [/"(?:[^"\\\n]|\\.)*"/y, 'string'],
+            [/-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y, 'number']
+        ],
+        keywords: '',
+        literals: 'true false null'
+    },
+    shell: {
+        rules: [
+            [/(?:^|(?<=\s))#.*/my, 'comment'],
+            [/"(?:[^"\\]|\\[\s\S])*"|'[^']*'/y, 'string'],
+            [/\$(?:\{[^}\n]*\}|\w+|[@*#?$!0-9])/y, 'variable'],
+            [/(?:^|(?<=\s))--?[A-Za-z][\w-]*/my, 'meta'],
+            [/\b\d+\b/y, 'number']
+        ],
+        keywords: 'if then else elif fi for while until do done case esac in function return local export readonly declare unset shift exit break continue source alias set cd echo sudo',
+        literals: 'true false'
+    },
+    yaml: {
+        rules: [
+            [/(?:^|(?<=\s))#.*/my, 'comment'],
+            [/^(?:---|\.\.\.)\s*$/my, 'meta'],
+            [/(?<=^[ \t]*(?:-[ \t]+)*)(?!-\s)[\w$.\/-][^:#\n]*?(?=:(?:\s|$))/my, 'property'],
+            [/"(?:[^"\\\n]|\\.)*"|'(?:[^'\n]|'')*'/y, 'string'],
+            [/[&*][\w-]+/y, 'variable'],
+            [/![\w!\/-]*/y, 'meta'],
+            HIGHLIGHT_NUMBER
+        ],
+        keywords: '',
+        literals: 'true false null yes no on off True False Null ~'
+    },
+    diff: {
+        rules: [
+            [/^(?:diff |index |--- |\+\+\+ ).*/my, 'meta'],
+            [/^@@.*/my, 'type'],
+            [/^\+.*/my, 'inserted'],
+            [/^-.*/my, 'deleted'],
+            [/.+/y, 'plain']
+        ],
+        keywords: '',
+        literals: ''
+    }
+};
+
+const HIGHLIGHT_ALIASES = {
+    cs: 'csharp', 'c#': 'csharp', csharp: 'csharp',
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', javascript: 'javascript',
+    ts: 'javascript', tsx: 'javascript', mts: 'javascript', cts: 'javascript', typescript: 'javascript',
+    py: 'python', python: 'python', pyw: 'python',
+    json: 'json', jsonc: 'json', jsonl: 'json',
+    sh: 'shell', bash: 'shell', zsh: 'shell', shell: 'shell', console: 'shell', shellscript: 'shell',
+    yml: 'yaml', yaml: 'yaml',
+    diff: 'diff', patch: 'diff'
+};
+
+// Cached keyword/literal sets per language, built on first use.
+const highlightWordSets = new Map();
+
+function getHighlightLanguage(name) {
+    const key = HIGHLIGHT_ALIASES[String(name || '').toLowerCase()];
+    if (!key) {
         return null;
     }
-}
 
-function saveTicketConversationState(ticketId, conversationId, scrollState) {
-    try {
-        const state = { conversationId, scrollState };
-        localStorage.setItem(`ticket-${ticketId}-chat`, JSON.stringify(state));
-    } catch (e) {
-        console.warn('Failed to save conversation state:', e);
+    const lang = HIGHLIGHT_LANGUAGES[key];
+    if (!highlightWordSets.has(key)) {
+        highlightWordSets.set(key, {
+            keywords: new Set(lang.keywords.split(' ').filter(Boolean)),
+            literals: new Set(lang.literals.split(' ').filter(Boolean))
+        });
     }
+    return { lang, words: highlightWordSets.get(key) };
 }
 
-// LocalStorage helpers for accordion states
-function getTicketAccordionStates(ticketId) {
-    try {
-        const stored = localStorage.getItem(`ticket-${ticketId}-accordions`);
-        return stored ? JSON.parse(stored) : { titleDesc: true, tasks: true };
-    } catch {
-        return { titleDesc: true, tasks: true };
+// Maps a file path to a highlight language name from its extension, or null.
+function getLanguageForPath(path) {
+    const match = String(path || '').match(/\.([\w#]+)$/);
+    if (!match) {
+        return null;
     }
+    const ext = match[1].toLowerCase();
+    return HIGHLIGHT_ALIASES[ext] ? ext : null;
 }
 
-function saveTicketAccordionStates(ticketId, states) {
-    try {
-        localStorage.setItem(`ticket-${ticketId}-accordions`, JSON.stringify(states));
-    } catch (e) {
-        console.warn('Failed to save accordion states:', e);
+// Returns highlighted HTML for code. Unknown languages come back escaped and unstyled. Spans
+// never cross a newline, so callers can split the result into lines.
+function highlightCode(code, language) {
+    const found = getHighlightLanguage(language);
+    if (!found) {
+        return escapeHtml(code);
     }
-}
 
-function getSettingsAccordionStates() {
-    try {
-        const stored = localStorage.getItem('settings-accordions');
-        return stored ? JSON.parse(stored) : {};
-    } catch {
-        return {};
+    const { lang, words } = found;
+    const out = [];
+    let plain = '';
+    let pos = 0;
+
+    const emit = (text, cls) => {
+        if (plain) {
+            out.push(escapeHtml(plain));
+            plain = '';
+        }
+        out.push(text.split('\n').map(part => part ? `<span class="hl-${cls}">${escapeHtml(part)}</span>` : '').join('\n'));
+    };
+
+    const matchAt = (regex) => {
+        regex.lastIndex = pos;
+        const match = regex.exec(code);
+        return match && match[0] ? match[0] : null;
+    };
+
+    while (pos < code.length) {
+        let token = null;
+        for (const [regex, cls] of lang.rules) {
+            token = matchAt(regex);
+            if (token) {
+                if (cls === 'plain') {
+                    plain += token;
+                } else {
+                    emit(token, cls);
+                }
+                break;
+            }
+        }
+
+        if (!token) {
+            token = matchAt(HIGHLIGHT_IDENTIFIER);
+            if (token) {
+                const next = code.slice(pos + token.length).match(/^\s*(.)/);
+                if (words.keywords.has(token)) {
+                    emit(token, 'keyword');
+                } else if (words.literals.has(token)) {
+                    emit(token, 'literal');
+                } else if (next && next[1] === '(') {
+                    emit(token, 'function');
+                } else if (lang.capitalizedTypes && /^[A-Z]/.test(token)) {
+                    emit(token, 'type');
+                } else {
+                    plain += token;
+                }
+            } else {
+                token = code[pos];
+                plain += token;
+            }
+        }
+
+        pos += token.length;
     }
-}
 
-function saveSettingsAccordionState(key, expanded) {
-    try {
-        const states = getSettingsAccordionStates();
-        states[key] = expanded;
-        localStorage.setItem('settings-accordions', JSON.stringify(states));
-    } catch (e) {
-        console.warn('Failed to save settings accordion state:', e);
+    if (plain) {
+        out.push(escapeHtml(plain));
     }
+    return out.join('');
 }
 
-// Returns a depth-prefix arrow for the conversation dropdown based on role.
-function conversationDepthPrefix(role) {
-    if (role === 'Developer') return '→ ';
-    if (role === 'DeveloperSubagent' || role === 'PlanningSubagent') return '→→ ';
-    return '';
+// read_file (and grep content) output prefixes each line with "<line>:<hash>\t". The code after
+// the tab is highlighted as one piece, so comments and strings spanning lines colour correctly,
+// and the prefixes become a dimmed line-number gutter.
+const READ_FILE_LINE = /^\s*(\d+):[0-9a-f]{2}\t(.*)$/;
+
+function highlightReadFileResult(result, language) {
+    const lines = result.replace(/\n$/, '').split('\n');
+    const code = [];
+    let width = 1;
+
+    for (const line of lines) {
+        const match = line.match(READ_FILE_LINE);
+        if (match) {
+            code.push(match[2]);
+            width = Math.max(width, match[1].length);
+        }
+    }
+
+    const highlighted = highlightCode(code.join('\n'), language).split('\n');
+    let next = 0;
+    return lines.map(line => {
+        const match = line.match(READ_FILE_LINE);
+        if (!match) {
+            return `<span class="tool-note">${escapeHtml(line)}</span>`;
+        }
+        return `<span class="hl-gutter">${match[1].padStart(width)}  </span>${highlighted[next++] || ''}`;
+    }).join('\n');
 }
 
-// Sorts conversations: unfinished first, then finished. Within each group, newest first by startedAt.
-function sortConversations(convos) {
-    return [...convos].sort((a, b) => {
-        if (a.isFinished !== b.isFinished) return a.isFinished ? 1 : -1;
-        const ta = a.startedAt || '';
-        const tb = b.startedAt || '';
-        if (ta > tb) return -1;
-        if (ta < tb) return 1;
-        return 0;
-    });
+// ANSI escape handling for command output. SGR sequences (colours, bold, underline, reset) become
+// spans; every other escape (cursor movement, erase, OSC titles, charset switches) is dropped.
+// The basic 16 colours map to .ansi-* classes in styles.css; 256-colour and truecolour values are
+// computed here as rgb() numbers, so nothing from the output itself reaches the markup unescaped.
+const ANSI_ESCAPE = /\x1b\[([0-9;?<=>]*)[ -\/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[()*+][ -~]?|\x1b[ -\/]*[0-~]?/g;
+const ANSI_COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+
+function hasAnsi(text) {
+    return typeof text === 'string' && text.includes('\x1b');
 }
 
-function pickDefaultConversation(convos) {
-    if (!convos || convos.length === 0) return null;
-    // Prefer active (not finished) conversations with higher message count.
-    const active = convos.filter(c => !c.isFinished).sort((a, b) => b.messageCount - a.messageCount);
-    if (active.length > 0) return active[0].id;
-    // Fallback to any conversation sorted by message count.
-    const sorted = [...convos].sort((a, b) => b.messageCount - a.messageCount);
-    return sorted[0].id;
+// Carriage returns redraw a line (progress bars); only what was drawn last is kept.
+function collapseCarriageReturns(text) {
+    return text.replace(/\r\n/g, '\n').split('\n').map(line => {
+        const cr = line.replace(/\r+$/, '').lastIndexOf('\r');
+        return cr < 0 ? line.replace(/\r+$/, '') : line.slice(cr + 1);
+    }).join('\n');
 }
 
-function updateDetailConversationDropdown(ticketId, switchToId) {
-    const dropdown = document.getElementById('detailConversationDropdown');
-    if (!dropdown) {
-        return;
+function ansi256ToRgb(n) {
+    if (n < 16) {
+        return null;
     }
-
-    const convos = sortConversations(ticketConversations[ticketId] || []);
-    const previousValue = dropdown.value;
-
-    dropdown.innerHTML = '<option value="">💬 Select conversation…</option>';
-    for (let i = 0; i < convos.length; i++) {
-        const c = convos[i];
-        const suffix = c.isFinished ? ' ✓' : ` (${c.messageCount})`;
-        const option = document.createElement('option');
-        option.value = c.id;
-        option.textContent = conversationDepthPrefix(c.role) + c.displayName + suffix;
-        dropdown.appendChild(option);
+    if (n < 232) {
+        const steps = [0, 95, 135, 175, 215, 255];
+        const i = n - 16;
+        return `rgb(${steps[Math.floor(i / 36)]}, ${steps[Math.floor(i / 6) % 6]}, ${steps[i % 6]})`;
     }
+    const gray = 8 + (n - 232) * 10;
+    return `rgb(${gray}, ${gray}, ${gray})`;
+}
 
-    // Auto-follow: switch to a newly appeared conversation.
-    if (switchToId && convos.some(c => c.id === switchToId)) {
-        dropdown.value = switchToId;
-        dropdown.dispatchEvent(new Event('change'));
-    } else if (previousValue && convos.some(c => c.id === previousValue)) {
-        dropdown.value = previousValue;
-        syncLlmDropdownToConversation(ticketId, previousValue, 'detailPlannerLlm');
+// Reads an extended colour (38;5;n or 38;2;r;g;b) starting at codes[i]. Returns { color, next }.
+function readAnsiExtendedColor(codes, i) {
+    if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+        const n = Math.max(0, Math.min(255, codes[i + 2]));
+        return { color: n < 16 ? { index: n } : { rgb: ansi256ToRgb(n) }, next: i + 3 };
     }
+    if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+        const [r, g, b] = [codes[i + 2], codes[i + 3], codes[i + 4]].map(v => Math.max(0, Math.min(255, v)));
+        return { color: { rgb: `rgb(${r}, ${g}, ${b})` }, next: i + 5 };
+    }
+    return { color: null, next: codes.length };
+}
 
-    // If still nothing selected, pick the best active conversation.
-    if (!dropdown.value && convos.length > 0) {
-        const bestId = pickDefaultConversation(convos);
-        if (bestId) {
-            dropdown.value = bestId;
-            dropdown.dispatchEvent(new Event('change'));
+function applyAnsiSgr(state, params) {
+    const codes = params === '' ? [0] : params.split(';').map(p => (p === '' ? 0 : parseInt(p, 10)));
+
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            Object.assign(state, { bold: false, dim: false, italic: false, underline: false, inverse: false, fg: null, bg: null });
+        } else if (code === 1) {
+            state.bold = true;
+        } else if (code === 2) {
+            state.dim = true;
+        } else if (code === 3) {
+            state.italic = true;
+        } else if (code === 4) {
+            state.underline = true;
+        } else if (code === 7) {
+            state.inverse = true;
+        } else if (code === 22) {
+            state.bold = false;
+            state.dim = false;
+        } else if (code === 23) {
+            state.italic = false;
+        } else if (code === 24) {
+            state.underline = false;
+        } else if (code === 27) {
+            state.inverse = false;
+        } else if (code >= 30 && code <= 37) {
+            state.fg = { index: code - 30 };
+        } else if (code >= 90 && code <= 97) {
+            state.fg = { index: code - 90 + 8 };
+        } else if (code >= 40 && code <= 47) {
+            state.bg = { index: code - 40 };
+        } else if (code >= 100 && code <= 107) {
+            state.bg = { index: code - 100 + 8 };
+        } else if (code === 39) {
+            state.fg = null;
+        } else if (code === 49) {
+            state.bg = null;
+        } else if (code === 38 || code === 48) {
+            const extended = readAnsiExtendedColor(codes, i);
+            if (code === 38) {
+                state.fg = extended.color;
+            } else {
+                state.bg = extended.color;
+            }
+            i = extended.next - 1;
         }
     }
+}
 
-    // Update delete button visibility.
-    const detailDeleteBtn = document.getElementById('detailDeleteConvoBtn');
-    if (detailDeleteBtn) {
-        detailDeleteBtn.style.display = dropdown.value ? '' : 'none';
-    }
+function ansiColorName(color) {
+    return `${color.index >= 8 ? 'bright-' : ''}${ANSI_COLOR_NAMES[color.index % 8]}`;
 }
 
-// Reloads the detail chat conversation while preserving scroll position.
-async function reloadDetailConversationPreservingScroll(ticketId, conversationId) {
-    const messagesDiv = document.getElementById('detailChatMessages');
-    if (!messagesDiv) return;
+function openAnsiSpan(state) {
+    const fg = state.inverse ? state.bg : state.fg;
+    const bg = state.inverse ? state.fg : state.bg;
+    const classes = [];
+    const styles = [];
+
+    if (state.bold) classes.push('ansi-bold');
+    if (state.dim) classes.push('ansi-dim');
+    if (state.italic) classes.push('ansi-italic');
+    if (state.underline) classes.push('ansi-underline');
+    if (fg) {
+        fg.rgb ? styles.push(`color: ${fg.rgb}`) : classes.push(`ansi-fg-${ansiColorName(fg)}`);
+    } else if (state.inverse) {
+        classes.push('ansi-fg-inverse');
+    }
+    if (bg) {
+        bg.rgb ? styles.push(`background-color: ${bg.rgb}`) : classes.push(`ansi-bg-${ansiColorName(bg)}`);
+    } else if (state.inverse) {
+        classes.push('ansi-bg-inverse');
+    }
 
-    const atBottom = messagesDiv.scrollHeight - messagesDiv.scrollTop - messagesDiv.clientHeight < 40;
-    const previousScroll = messagesDiv.scrollTop;
+    if (classes.length === 0 && styles.length === 0) {
+        return '';
+    }
+    return `<span${classes.length ? ` class="${classes.join(' ')}"` : ''}${styles.length ? ` style="${styles.join('; ')}"` : ''}>`;
+}
 
-    await loadAndDisplayDetailConversation(ticketId, conversationId);
+// Converts terminal output to escaped HTML with ANSI styling applied.
+function ansiToHtml(text) {
+    if (!hasAnsi(text)) {
+        return escapeHtml(text);
+    }
 
-    requestAnimationFrame(() => {
-        if (atBottom) {
-            messagesDiv.scrollTop = messagesDiv.scrollHeight;
-            saveTicketConversationState(ticketId, conversationId, { atBottom: true });
-        } else {
-            messagesDiv.scrollTop = previousScroll;
-            saveTicketConversationState(ticketId, conversationId, { messageIndex: messagesDiv.children.length - 1 });
+    const source = collapseCarriageReturns(text);
+    const state = { bold: false, dim: false, italic: false, underline: false, inverse: false, fg: null, bg: null };
+    const out = [];
+    let last = 0;
+    let open = '';
+
+    const pushText = (chunk) => {
+        if (chunk) {
+            out.push(open ? `${open}${escapeHtml(chunk)}</span>` : escapeHtml(chunk));
         }
-    });
-}
+    };
 
-function renderMarkdown(text) {
-    if (!text) {
-        return '';
+    ANSI_ESCAPE.lastIndex = 0;
+    let match;
+    while ((match = ANSI_ESCAPE.exec(source)) !== null) {
+        pushText(source.slice(last, match.index));
+        last = ANSI_ESCAPE.lastIndex;
+        if (match[2] === 'm' && !/[?<=>]/.test(match[1])) {
+            applyAnsiSgr(state, match[1]);
+            open = openAnsiSpan(state);
+        }
     }
+    pushText(source.slice(last));
 
-    let html = escapeHtml(text);
-
-    // Code blocks
-    html = html.replace(/```(\w*)\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>');
+    return out.join('');
+}
 
-    // Inline code
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+// The raw view keeps every byte, with escape and carriage-return characters made visible.
+function ansiToRawHtml(text) {
+    return escapeHtml(text)
+        .replace(/\x1b/g, '<span class="ansi-control">␛</span>')
+        .replace(/\r/g, '<span class="ansi-control">␍</span>');
+}
 
-    // Bold
-    html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+// Output <pre> for command results. When the text has escape sequences it also carries a hidden raw
+// copy and a toggle between the two; bindAnsiToggles wires the toggles up after insertion.
+function buildAnsiOutputHtml(text, className) {
+    const classAttr = className ? ` class="${className}"` : '';
+    if (!hasAnsi(text)) {
+        return `<pre${classAttr}>${escapeHtml(text)}</pre>`;
+    }
 
-    // Italic
-    html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
+    return `
+        <div class="ansi-view">
+            <button type="button" class="ansi-raw-toggle" title="Show raw escape sequences">Raw</button>
+            <pre${classAttr}>${ansiToHtml(text)}</pre>
+            <pre class="${className ? `${className} ` : ''}ansi-raw" hidden>${ansiToRawHtml(text)}</pre>
+        </div>
+    `;
+}
 
-    return html;
+function bindAnsiToggles(root) {
+    root.querySelectorAll('.ansi-raw-toggle').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const view = button.parentElement;
+            const raw = view.querySelector('.ansi-raw');
+            const rendered = raw.previousElementSibling;
+            raw.hidden = !raw.hidden;
+            rendered.hidden = !raw.hidden;
+            button.textContent = raw.hidden ? 'Raw' : 'Rendered';
+            button.title = raw.hidden ? 'Show raw escape sequences' : 'Show rendered colours';
+        });
+    });
 }
 
 // Utility functions
 
 // Updates busy spinner and stop button state for a conversation.
 function updateBusyIndicators(ticketId, conversationId, isBusy) {
-    // Inline detail chat only.
     if (detailChatTicketId === ticketId && detailChatConversationId === conversationId) {
-        const messagesDiv = document.getElementById('detailChatMessages');
-        const stopBtn = document.getElementById('detailChatStopBtn');
-        if (isBusy) {
-            appendBusySpinner(messagesDiv, 'detailBusySpinner');
-            if (stopBtn) {
-                stopBtn.classList.remove('inactive');
-                stopBtn.classList.add('active');
-            }
-        } else {
-            removeBusySpinner(messagesDiv, 'detailBusySpinner');
-            if (stopBtn) {
-                stopBtn.classList.remove('active');
-                stopBtn.classList.add('inactive');
-            }
+        setPaneBusy('detailChatMessages', 'detailChatStopBtn', 'detailBusySpinner', isBusy);
+    }
+    if (splitChat.open && splitChat.ticketId === ticketId && splitChat.conversationId === conversationId) {
+        setPaneBusy('splitChatMessages', 'splitChatStopBtn', 'splitBusySpinner', isBusy);
+    }
+}
+
+function setPaneBusy(messagesId, stopBtnId, spinnerId, isBusy) {
+    const messagesDiv = document.getElementById(messagesId);
+    const stopBtn = document.getElementById(stopBtnId);
+    if (isBusy) {
+        appendBusySpinner(messagesDiv, spinnerId);
+        if (stopBtn) {
+            stopBtn.classList.remove('inactive');
+            stopBtn.classList.add('active');
+        }
+    } else {
+        removeBusySpinner(messagesDiv, spinnerId);
+        if (stopBtn) {
+            stopBtn.classList.remove('active');
+            stopBtn.classList.add('inactive');
         }
     }
 }
@@ -2528,10 +7385,8 @@ function removeBusySpinner(container, spinnerId) {
     }
 }
 
-function interruptConversation() {
-    // Interrupt the currently viewed conversation.
-    const ticketId = detailChatTicketId;
-    const conversationId = detailChatConversationId;
+// Interrupts the conversation in the main chat pane, or the given one.
+function interruptConversation(ticketId = detailChatTicketId, conversationId = detailChatConversationId) {
     if (!ticketId || !conversationId) {
         return;
     }
@@ -2556,6 +7411,11 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone, so anything placed inside an attribute value goes through here.
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', () => {
     init();
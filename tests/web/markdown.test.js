@@ -0,0 +1,54 @@
+// Markdown renderer tests for env/wwwroot/app.js. Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// app.js is a browser script; it only needs document for escapeHtml and for the listeners it registers.
+function loadApp() {
+    const document = {
+        addEventListener() {},
+        createElement() {
+            let text = '';
+            return {
+                set textContent(value) { text = value; },
+                get innerHTML() { return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'); }
+            };
+        }
+    };
+    const context = { document, console };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../../env/wwwroot/app.js'), 'utf8'), context);
+    return context;
+}
+
+const app = loadApp();
+
+test('code span inside a link label', () => {
+    assert.strictEqual(
+        app.renderMarkdownInline('[`app.js`](./app.js)'),
+        '<a href="./app.js" target="_blank" rel="noopener noreferrer"><code>app.js</code></a>');
+});
+
+test('code span inside an unsafe link label keeps the label text', () => {
+    assert.strictEqual(app.renderMarkdownInline('[`run`](javascript:void)'), '<code>run</code>');
+});
+
+test('code spans beside a link resolve independently', () => {
+    assert.strictEqual(
+        app.renderMarkdownInline('`a` and [see **`b`**](https://example.com) then `c`'),
+        '<code>a</code> and <a href="https://example.com" target="_blank" rel="noopener noreferrer">see <strong><code>b</code></strong></a> then <code>c</code>');
+});
+
+test('code span in a link URL leaves the link as literal text', () => {
+    assert.strictEqual(app.renderMarkdownInline('[x](`a`)'), '[x](<code>a</code>)');
+    assert.strictEqual(app.renderMarkdownInline('[x](./`a`)'), '[x](./<code>a</code>)');
+});
+
+test('bare URL stops where a code span starts', () => {
+    assert.strictEqual(
+        app.renderMarkdownInline('see https://example.com/`a`'),
+        'see <a href="https://example.com/" target="_blank" rel="noopener noreferrer">https://example.com/</a><code>a</code>');
+});